@@ -2,27 +2,43 @@
 // Limits maximum tabs to maintain focus
 // Supports per-window or global (all windows) limit
 
-const MAX_TABS = 3;
-
-// Default settings
-const DEFAULT_SETTINGS = {
-  enabled: true,
-  maxTabs: MAX_TABS,
-  globalLimit: false, // false = per window, true = all windows combined
-  allowlistEnabled: false,
-  allowlist: [],
-  tabLimitLocked: false,
-  inactiveEnabled: false,
-  inactiveMinutes: 30,
-  protectPinned: true,
-  protectAudible: true,
-  protectAllowlist: true,
-  minTabs: 5,
-  corralMax: 100,
-  corralExpireHours: 24, // Auto-delete closed tabs after this many hours (0 = never)
-  debounceDelay: 1, // Wait X seconds before resetting timer (0 = instant)
-  wrangleOption: "exactURLMatch", // "withDupes", "exactURLMatch", "hostnameAndTitleMatch"
-};
+import {
+  isRealUrl,
+  getHostname,
+  findDuplicateTabs,
+  findWindowLimit,
+  getPinnedHosts,
+  matchWindowLimits,
+  isUrlOnDomain,
+  isUrlAllowed,
+  parseUrlPattern,
+  matchesUrlPattern,
+  describeUrlPattern,
+  findDomainLimit,
+  findBlocklistRule,
+  tabWeight,
+  isPendingExpired,
+  decideNewTab,
+  decidePendingTab,
+  getAllowlistTransition,
+  getProtectReason,
+  isLooserSettings,
+  selectInactiveTabs,
+  chooseEvictionVictims,
+  addCorralEntries,
+  expireCorral,
+} from "./policy.js";
+import {
+  SCHEMA_VERSION,
+  DEFAULT_SETTINGS,
+  getDefaultSettings,
+  normalizeSettings,
+  validateSetting,
+  clampSetting,
+  migrateSettings,
+  PRESET_FIELDS,
+} from "./settings-schema.js";
+import { FRICTION_TUNING_KEYS, isWeakerFriction } from "./friction.js";
 
 // Default stats
 const DEFAULT_STATS = {
@@ -32,11 +48,35 @@ const DEFAULT_STATS = {
   blockedWeek: 0,
   blockedTotal: 0,
   inactiveClosed: 0,
+  focusCompleted: 0,
+  focusAbandoned: 0,
+  focusMinutes: 0,
+  pauses: 0,
+  pausedMinutes: 0,
+  streakPauses: 0, // pauses since the current streak started
+  overridesUsed: 0,
+  blocklistClosed: 0,
+  blockedSites: {}, // blocklist pattern -> times closed
   lastActiveDate: null,
   lastBlockDate: null,
   weekStartDate: null,
 };
 
+// One day in the per-day stats history ("statsHistory", keyed by YYYY-MM-DD)
+const DEFAULT_HISTORY_DAY = {
+  blocked: 0,
+  inactiveClosed: 0,
+  samples: 0, // tab-count samples taken (about one per minute)
+  tabSum: 0, // sum of sampled totals - average = tabSum / samples
+  peakTabs: 0, // highest total tab count sampled that day
+  limitMinutes: 0, // minutes spent at or over the limit
+  pauses: 0,
+  overrides: 0, // override tokens spent
+};
+
+// Raw tab-count samples ("tabSamples"), one per periodicCheck tick
+const TAB_SAMPLES_MAX = 1440; // 24 hours at one sample per minute
+
 // Map of pending tabs: tabId -> { windowId, timestamp }
 const pendingTabs = new Map();
 
@@ -44,6 +84,15 @@ const pendingTabs = new Map();
 // When these tabs navigate AWAY from allowlist, we check if over limit and close if needed
 const allowlistTabs = new Set();
 
+// Per-domain caps: tabId -> domain of the cap rule the tab counts toward.
+// A tab is only checked against a cap when it ENTERS that domain, so
+// ordinary updates (title, favicon) on already-counted tabs never close them.
+const domainCapTabs = new Map();
+
+// Blocklist: tabId -> pattern of the blocklist rule the tab matches.
+// Like domainCapTabs, rules only act when a tab ENTERS a blocked site.
+const blocklistTabs = new Map();
+
 // Set of tab IDs recently restored from corral - exempt from tab limit close
 const corralRestoredTabs = new Set();
 
@@ -51,7 +100,29 @@ const corralRestoredTabs = new Set();
 // Safari doesn't support tab.lastAccessed, so we track manually
 const tabLastAccessed = new Map();
 
+// When each tab was opened (tabId -> timestamp), for closeOldest eviction.
+// Tabs already open when the worker started have no entry and count as
+// oldest.
+const tabOpenedAt = new Map();
+
 const INACTIVE_ALARM_NAME = "inactiveTabCheck";
+const SCHEDULE_ALARM_NAME = "scheduleCheck";
+const FOCUS_ALARM_NAME = "focusSessionEnd";
+const FRICTION_ALARM_NAME = "pendingFrictionAction";
+const PAUSE_ALARM_NAME = "pauseEnd";
+
+// Settings a schedule is allowed to override while it is active
+const SCHEDULE_FIELDS = [
+  "maxTabs",
+  "globalLimit",
+  "allowlistEnabled",
+  "inactiveEnabled",
+  "inactiveMinutes",
+  "minTabs",
+  "protectPinned",
+  "protectAudible",
+  "protectAllowlist",
+];
 
 // Initialization gate: alarm/event handlers must wait for restoreTabActivity()
 // to complete before running checkInactiveTabs(). Without this, the alarm
@@ -66,33 +137,70 @@ let activatedDebounceTabId = null;
 // How long to wait for URL before closing (ms)
 const PENDING_TIMEOUT = 300;
 
+// Delay before matching a new window to its window limit (ms)
+const WINDOW_REFRESH_DELAY = 2000;
+
+// Bundled "limit reached" page shown instead of closing (limitAction = "interstitial")
+const INTERSTITIAL_PAGE = "blocked.html";
+
+// Max entries kept in the read-later queue (oldest dropped first)
+const READ_LATER_MAX = 50;
+
+// Serializes opening queued tabs so rapid tab closes don't overshoot the limit
+let readLaterOpening = Promise.resolve();
+
 // Update extension badge with current tab count
 async function updateBadge() {
   try {
     const settings = await getSettings();
+    const activeTab = await getActiveTab();
 
-    // Show "OFF" when disabled
+    // Queued tabs waiting to be opened by hand while a slot is free
+    const queueReady = await getReadLaterReady(activeTab && activeTab.windowId, settings);
+
+    // Show "OFF" when disabled, or the time left when paused
     if (!settings.enabled) {
-      await browser.action.setBadgeText({ text: "OFF" });
+      const pause = await getPause();
+      const text = pause ? formatBadgeMinutes(Math.max(0, pause.endsAt - Date.now())) : "OFF";
+      await browser.action.setBadgeText({ text });
       await browser.action.setBadgeBackgroundColor({ color: "#737373" });
       return;
     }
 
-    // Get current tab count
-    const [activeTab] = await browser.tabs.query({
-      active: true,
-      currentWindow: true,
-    });
+    // "Show remaining slots" shortcut: free slots, briefly
+    if (badgeFlash && Date.now() < badgeFlash.until) {
+      await browser.action.setBadgeText({ text: badgeFlash.text });
+      await browser.action.setBadgeBackgroundColor({ color: "#3b82f6" });
+      return;
+    }
+    badgeFlash = null;
+
+    // Show remaining time during a focus session
+    const focusSession = await getFocusSession();
+    if (focusSession) {
+      const remainingMs = Math.max(0, focusSession.endsAt - Date.now());
+      await browser.action.setBadgeText({ text: formatBadgeMinutes(remainingMs) });
+      await browser.action.setBadgeBackgroundColor({ color: "#8b5cf6" });
+      return;
+    }
 
     if (!activeTab) {
       await browser.action.setBadgeText({ text: "" });
       return;
     }
 
+    // Get current tab count
     const count = await getDisplayTabCount(activeTab.windowId, settings);
-    const max = settings.maxTabs;
+    const max = await getWindowMaxTabs(activeTab.windowId, settings);
     const ratio = count / max;
 
+    // A queued tab could be opened now: show how many are queued
+    if (queueReady) {
+      await browser.action.setBadgeText({ text: `+${queueReady}` });
+      await browser.action.setBadgeBackgroundColor({ color: "#3b82f6" });
+      return;
+    }
+
     // Set badge text as "X/Y"
     await browser.action.setBadgeText({ text: `${count}/${max}` });
 
@@ -112,48 +220,88 @@ async function updateBadge() {
   }
 }
 
+// Format a duration for the badge ("25m", "1h30")
+function formatBadgeMinutes(ms) {
+  const minutes = Math.ceil(ms / 60000);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest > 0 ? `${hours}h${String(rest).padStart(2, "0")}` : `${hours}h`;
+}
+
 // Load settings
 async function getSettings() {
   try {
-    const result = await browser.storage.local.get("settings");
-    return { ...DEFAULT_SETTINGS, ...result.settings };
+    if (!settingsCache) {
+      const load = browser.storage.local.get("settings").then((result) => result.settings);
+      settingsCache = load;
+      load.catch(() => {
+        if (settingsCache === load) settingsCache = null;
+      });
+    }
+    // Normalizing copies, so callers can't modify the cached object
+    return normalizeSettings(await settingsCache);
   } catch (error) {
-    return DEFAULT_SETTINGS;
+    return getDefaultSettings();
   }
 }
 
 // Save settings
 async function saveSettings(settings) {
-  await browser.storage.local.set({ settings });
+  const normalized = normalizeSettings(settings);
+  settingsCache = Promise.resolve(normalized);
+  await browser.storage.local.set({ settings: normalized });
+}
+
+// Bring stored settings up to SCHEMA_VERSION, once per upgrade. A fresh
+// install has nothing to migrate and starts at the current version.
+async function migrateStorage() {
+  const stored = await browser.storage.local.get(["settings", "schemaVersion"]);
+  const fromVersion = stored.schemaVersion || 0;
+  if (fromVersion >= SCHEMA_VERSION) return;
+
+  if (stored.settings) {
+    const { settings, version } = migrateSettings(stored.settings, fromVersion);
+    await browser.storage.local.set({ settings, schemaVersion: version });
+    console.log(`TabCap: Migrated settings from schema ${fromVersion} to ${version}`);
+  } else {
+    await browser.storage.local.set({ schemaVersion: SCHEMA_VERSION });
+  }
 }
 
-// Get start of current week (Sunday)
-function getWeekStart() {
+// Get start of current week (weekStartDay: 0 = Sunday ... 6 = Saturday)
+function getWeekStart(weekStartDay = 0) {
   const now = new Date();
-  const dayOfWeek = now.getDay(); // 0 = Sunday
-  const diff = now.getDate() - dayOfWeek;
-  const weekStart = new Date(now.setDate(diff));
-  weekStart.setHours(0, 0, 0, 0);
+  const diff = (now.getDay() - weekStartDay + 7) % 7;
+  const weekStart = new Date(now.getFullYear(), now.getMonth(), now.getDate() - diff);
   return weekStart.toDateString();
 }
 
+// Local date as YYYY-MM-DD (history key; sorts chronologically as a string)
+function getDateKey(date = new Date()) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
 // Load stats
 async function getStats() {
   try {
     const result = await browser.storage.local.get("stats");
     let stats = { ...DEFAULT_STATS, ...result.stats };
+    const settings = await getSettings();
 
     const today = new Date().toDateString();
-    const weekStart = getWeekStart();
+    const weekStart = getWeekStart(settings.weekStartDay);
 
     // Reset daily count
     if (stats.lastBlockDate !== today) {
       stats.blockedToday = 0;
     }
 
-    // Reset weekly count if new week
+    // New week (or a different week start day): recount from the history
     if (stats.weekStartDate !== weekStart) {
-      stats.blockedWeek = 0;
+      stats.blockedWeek = await countBlockedSince(new Date(weekStart));
       stats.weekStartDate = weekStart;
     }
 
@@ -185,6 +333,7 @@ function updateStreak(stats) {
   } else {
     stats.currentStreak = 1;
     stats.lastActiveDate = today;
+    stats.streakPauses = 0;
   }
 
   if (stats.currentStreak > stats.bestStreak) {
@@ -194,6 +343,143 @@ function updateStreak(stats) {
   return stats;
 }
 
+// Per-day history: blockedToday/blockedWeek reset on rollover, so each
+// day's totals are also kept here for the Stats tab charts
+async function getStatsHistory() {
+  try {
+    const result = await browser.storage.local.get("statsHistory");
+    return result.statsHistory || {};
+  } catch {
+    return {};
+  }
+}
+
+// Drop days older than the retention window
+function pruneStatsHistory(history, days) {
+  const now = new Date();
+  const cutoff = getDateKey(
+    new Date(now.getFullYear(), now.getMonth(), now.getDate() - Math.max(1, days) + 1)
+  );
+  for (const key of Object.keys(history)) {
+    if (key < cutoff) delete history[key];
+  }
+  return history;
+}
+
+// Add to today's history entry. Values are summed, except peakTabs
+// which keeps the day's maximum.
+async function recordHistory(values) {
+  try {
+    const settings = await getSettings();
+    const history = await getStatsHistory();
+    const key = getDateKey();
+    const day = { ...DEFAULT_HISTORY_DAY, ...history[key] };
+
+    for (const [field, value] of Object.entries(values)) {
+      day[field] = field === "peakTabs" ? Math.max(day[field], value) : day[field] + value;
+    }
+    history[key] = day;
+
+    pruneStatsHistory(history, settings.historyDays || DEFAULT_SETTINGS.historyDays);
+    await browser.storage.local.set({ statsHistory: history });
+  } catch {}
+}
+
+// The last `days` days of history, oldest first, with empty days filled in
+async function getHistorySeries(days) {
+  const history = await getStatsHistory();
+  const now = new Date();
+  const series = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const key = getDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - i));
+    const day = { date: key, ...DEFAULT_HISTORY_DAY, ...history[key] };
+    day.avgTabs = day.samples ? Math.round((day.tabSum / day.samples) * 10) / 10 : 0;
+    series.push(day);
+  }
+  return series;
+}
+
+// Count open tabs per window and in total, and whether the limit (per
+// window or global, using the same weights as enforcement) was reached
+async function sampleTabCounts(settings) {
+  const tabs = await queryTabs();
+  const windows = {};
+  const weighted = {};
+  let weightedTotal = 0;
+
+  for (const tab of tabs) {
+    windows[tab.windowId] = (windows[tab.windowId] || 0) + 1;
+    const weight = getTabWeight(tab, settings);
+    weighted[tab.windowId] = (weighted[tab.windowId] || 0) + weight;
+    weightedTotal += weight;
+  }
+
+  let atLimit = false;
+  if (settings.enabled) {
+    if (settings.globalLimit) {
+      atLimit = weightedTotal >= settings.maxTabs;
+    } else {
+      for (const [windowId, count] of Object.entries(weighted)) {
+        if (count >= (await getWindowMaxTabs(Number(windowId), settings))) atLimit = true;
+      }
+    }
+  }
+
+  return { at: Date.now(), total: tabs.length, windows, atLimit };
+}
+
+// Take a sample and fold it into today's history
+async function recordTabSample(settings) {
+  try {
+    const sample = await sampleTabCounts(settings);
+    const result = await browser.storage.local.get("tabSamples");
+    const samples = result.tabSamples || [];
+    samples.push(sample);
+    if (samples.length > TAB_SAMPLES_MAX) samples.splice(0, samples.length - TAB_SAMPLES_MAX);
+    await browser.storage.local.set({ tabSamples: samples });
+
+    await recordHistory({
+      samples: 1,
+      tabSum: sample.total,
+      peakTabs: sample.total,
+      limitMinutes: sample.atLimit ? 1 : 0,
+    });
+  } catch (error) {
+    console.error("TabCap: Tab sample error:", error);
+  }
+}
+
+// Average/peak/time-at-limit over the last 24 hours of samples
+async function getTabMetrics() {
+  try {
+    const result = await browser.storage.local.get("tabSamples");
+    const since = Date.now() - 24 * 60 * 60 * 1000;
+    const samples = (result.tabSamples || []).filter((sample) => sample.at >= since);
+    if (samples.length === 0) {
+      return { samples: 0, average: 0, peak: 0, peakWindow: 0, limitMinutes: 0 };
+    }
+
+    const totals = samples.map((sample) => sample.total);
+    return {
+      samples: samples.length,
+      average: Math.round((totals.reduce((a, b) => a + b, 0) / samples.length) * 10) / 10,
+      peak: Math.max(...totals),
+      peakWindow: Math.max(0, ...samples.flatMap((sample) => Object.values(sample.windows))),
+      limitMinutes: samples.filter((sample) => sample.atLimit).length,
+    };
+  } catch {
+    return { samples: 0, average: 0, peak: 0, peakWindow: 0, limitMinutes: 0 };
+  }
+}
+
+async function countBlockedSince(date) {
+  const since = getDateKey(date);
+  const history = await getStatsHistory();
+  return Object.entries(history)
+    .filter(([key]) => key >= since)
+    .reduce((sum, [, day]) => sum + (day.blocked || 0), 0);
+}
+
 // Increment blocked count
 async function incrementBlocked() {
   let stats = await getStats();
@@ -206,6 +492,7 @@ async function incrementBlocked() {
   stats = updateStreak(stats);
 
   await saveStats(stats);
+  await recordHistory({ blocked: 1 });
   return stats;
 }
 
@@ -214,64 +501,67 @@ async function incrementInactiveClosed(count = 1) {
   let stats = await getStats();
   stats.inactiveClosed = (stats.inactiveClosed || 0) + count;
   await saveStats(stats);
+  await recordHistory({ inactiveClosed: count });
   return stats;
 }
 
-// Tab Corral: save closed tabs so the user can re-open them
-// Supports Tab Wrangler dedup options: withDupes, exactURLMatch, hostnameAndTitleMatch
-async function addToCorral(tabs) {
-  try {
-    const settings = await getSettings();
-    const result = await browser.storage.local.get("tabCorral");
-    const corral = result.tabCorral || [];
-    const wrangleOption = settings.wrangleOption || "exactURLMatch";
+// Record a finished focus session (completed or ended early)
+async function recordFocusSession(completed, minutes) {
+  let stats = await getStats();
+  if (completed) {
+    stats.focusCompleted = (stats.focusCompleted || 0) + 1;
+  } else {
+    stats.focusAbandoned = (stats.focusAbandoned || 0) + 1;
+  }
+  stats.focusMinutes = (stats.focusMinutes || 0) + minutes;
+  stats = updateStreak(stats);
+  await saveStats(stats);
+  return stats;
+}
 
-    for (const tab of tabs) {
-      // Deduplicate based on wrangleOption (Tab Wrangler pattern)
-      if (wrangleOption === "exactURLMatch") {
-        const existingIdx = corral.findIndex((t) => t.url === tab.url);
-        if (existingIdx > -1) corral.splice(existingIdx, 1);
-      } else if (wrangleOption === "hostnameAndTitleMatch") {
-        try {
-          const tabHostname = new URL(tab.url).hostname;
-          const existingIdx = corral.findIndex((t) => {
-            try {
-              return new URL(t.url).hostname === tabHostname && t.title === (tab.title || "Untitled");
-            } catch { return false; }
-          });
-          if (existingIdx > -1) corral.splice(existingIdx, 1);
-        } catch {}
-      }
-      // "withDupes" - no dedup
+// Record the start of a pause; its length is added when it ends
+async function recordPauseStart() {
+  let stats = await getStats();
+  stats.pauses = (stats.pauses || 0) + 1;
+  stats.streakPauses = (stats.streakPauses || 0) + 1;
+  await saveStats(stats);
+  await recordHistory({ pauses: 1 });
+  return stats;
+}
 
-      corral.unshift({
-        url: tab.url || "",
-        title: tab.title || "Untitled",
-        favIconUrl: tab.favIconUrl || "",
-        closedAt: Date.now(),
-      });
-    }
+async function recordPauseEnd(minutes) {
+  const stats = await getStats();
+  stats.pausedMinutes = (stats.pausedMinutes || 0) + minutes;
+  await saveStats(stats);
+  return stats;
+}
 
-    // Trim to max size
-    const max = settings.corralMax || 100;
-    if (corral.length > max) corral.length = max;
+// Record a tab closed by a blocklist rule
+async function recordBlocklistClose(pattern) {
+  let stats = await getStats();
+  stats.blocklistClosed = (stats.blocklistClosed || 0) + 1;
+  // Copy so the shared DEFAULT_STATS object is never mutated
+  stats.blockedSites = { ...(stats.blockedSites || {}) };
+  stats.blockedSites[pattern] = (stats.blockedSites[pattern] || 0) + 1;
+  await saveStats(stats);
+  return stats;
+}
 
+// Tab Corral: save closed tabs so the user can re-open them
+// reason: why the tab was closed - "limit", "inactive", "blocklist",
+// "manual" (closed with the keyboard shortcut) or "duplicate" (merged)
+async function addToCorral(tabs, reason) {
+  try {
+    const settings = await getSettings();
+    const result = await browser.storage.local.get("tabCorral");
+    const corral = addCorralEntries(result.tabCorral || [], tabs, reason, {
+      wrangleOption: settings.wrangleOption || "exactURLMatch",
+      max: settings.corralMax || 100,
+    });
     await browser.storage.local.set({ tabCorral: corral });
   } catch {}
 }
 
-// Check if URL is an internal/special page that should never be closed
-function isInternalUrl(url) {
-  if (!url) return true;
-  if (url === "about:blank" || url === "about:newtab") return true;
-  if (url.startsWith("about:")) return true;
-  if (url.startsWith("safari-resource:")) return true;
-  if (url.startsWith("safari-web-extension:")) return true;
-  if (url.startsWith("favorites://")) return true;
-  if (url.startsWith("chrome://")) return true;
-  return false;
-}
-
 async function getCorral() {
   try {
     const result = await browser.storage.local.get("tabCorral");
@@ -292,6 +582,7 @@ async function restoreFromCorral(index) {
     await browser.storage.local.set({ tabCorral: corral });
 
     const newTab = await browser.tabs.create({ url: entry.url, active: false });
+    indexTab(newTab);
     // Exempt this tab from being immediately closed by the tab limiter.
     // Without this, restoring a tab when at the limit (e.g. 3/3) would
     // trigger handleTabCreated → closeTab, defeating the purpose.
@@ -329,13 +620,7 @@ async function cleanExpiredCorral() {
     const corral = result.tabCorral || [];
     if (corral.length === 0) return;
     
-    const now = Date.now();
-    const expireMs = expireHours * 60 * 60 * 1000;
-    
-    const filtered = corral.filter(tab => {
-      const age = now - (tab.closedAt || 0);
-      return age < expireMs;
-    });
+    const filtered = expireCorral(corral, expireHours, Date.now());
     
     if (filtered.length !== corral.length) {
       await browser.storage.local.set({ tabCorral: filtered });
@@ -346,41 +631,240 @@ async function cleanExpiredCorral() {
   }
 }
 
-// Count tabs in a specific window (excluding allowlisted if enabled)
-async function getWindowTabCount(windowId, settings) {
-  const tabs = await browser.tabs.query({ windowId });
+// Tab index: every open tab by id, kept current from tab events so handlers
+// don't each call browser.tabs.query. Rebuilt from a full query at startup
+// and on every periodic check, in case Safari dropped an event (it doesn't
+// fire onUpdated for URLs typed into the address bar).
+const tabIndex = new Map();
+let focusedWindowId = null;
+let tabIndexReady = null;
+// Tabs created/removed while a rebuild query is in flight
+let tabIndexRebuild = null;
+
+async function rebuildTabIndex() {
+  const changes = { created: new Set(), removed: new Set() };
+  tabIndexRebuild = changes;
+  try {
+    const [tabs, [activeTab]] = await Promise.all([
+      browser.tabs.query({}),
+      browser.tabs.query({ active: true, currentWindow: true }),
+    ]);
+    const fresh = new Map();
+    for (const tab of tabs) {
+      if (!changes.removed.has(tab.id)) fresh.set(tab.id, { ...tab });
+    }
+    for (const tabId of changes.created) {
+      if (tabIndex.has(tabId)) fresh.set(tabId, tabIndex.get(tabId));
+    }
+    tabIndex.clear();
+    for (const [tabId, tab] of fresh) tabIndex.set(tabId, tab);
+    if (activeTab) focusedWindowId = activeTab.windowId;
+  } finally {
+    if (tabIndexRebuild === changes) tabIndexRebuild = null;
+  }
+}
 
-  // If allowlist is enabled, don't count allowlisted tabs
-  if (settings && settings.allowlistEnabled && settings.allowlist.length > 0) {
-    return tabs.filter((tab) => !isUrlAllowed(tab.url, settings.allowlist))
-      .length;
+function ensureTabIndex() {
+  if (!tabIndexReady) {
+    tabIndexReady = rebuildTabIndex().catch((error) => {
+      tabIndexReady = null;
+      throw error;
+    });
   }
+  return tabIndexReady;
+}
 
-  return tabs.length;
+// Add or update a tab from an event payload
+function indexTab(tab) {
+  if (!tab || tab.id == null) return;
+  const existing = tabIndex.get(tab.id);
+  if (!existing && tabIndexRebuild) tabIndexRebuild.created.add(tab.id);
+  tabIndex.set(tab.id, { ...existing, ...tab });
+  if (tab.active) indexActivation(tab.id, tab.windowId);
 }
 
-// Count ALL tabs across all windows (excluding allowlisted if enabled)
-async function getGlobalTabCount(settings) {
-  const tabs = await browser.tabs.query({});
+function unindexTab(tabId) {
+  tabIndex.delete(tabId);
+  if (tabIndexRebuild) tabIndexRebuild.removed.add(tabId);
+}
 
-  // If allowlist is enabled, don't count allowlisted tabs
-  if (settings && settings.allowlistEnabled && settings.allowlist.length > 0) {
-    return tabs.filter((tab) => !isUrlAllowed(tab.url, settings.allowlist))
-      .length;
+function indexActivation(tabId, windowId) {
+  for (const tab of tabIndex.values()) {
+    if (tab.windowId === windowId) tab.active = tab.id === tabId;
   }
+}
 
-  return tabs.length;
+// Open tabs, optionally in one window (same shape as browser.tabs.query)
+async function queryTabs({ windowId } = {}) {
+  await ensureTabIndex();
+  const tabs = [];
+  for (const tab of tabIndex.values()) {
+    if (windowId === undefined || tab.windowId === windowId) tabs.push({ ...tab });
+  }
+  return tabs;
+}
+
+// Active tab of the focused window, like query({ active, currentWindow })
+async function getActiveTab() {
+  await ensureTabIndex();
+  for (const tab of tabIndex.values()) {
+    if (tab.active && tab.windowId === focusedWindowId) return { ...tab };
+  }
+  return undefined;
+}
+
+// Settings cache: the stored settings, dropped whenever storage.onChanged
+// reports a change (from this worker, the popup or an import)
+let settingsCache = null;
+
+function handleStorageChanged(changes, areaName) {
+  if (areaName !== "local") return;
+  if (changes.settings) settingsCache = null;
+  if (popupPorts.size > 0) pushStorageChanges(changes).catch(() => {});
+}
+
+// Open popups connect a port and get pushed what they show: a snapshot on
+// connect, then typed deltas ({ type: "count" | "inactiveTabs" | "corral" |
+// "readLater" | "pendingFriction" | "pause" | "overrides" | "focusSession" |
+// "schedule" | "settings" }) as things change
+const POPUP_PORT_NAME = "popup";
+const popupPorts = new Set();
+
+async function getPopupSnapshot() {
+  const settings = await getSettings();
+  const activeTab = await getActiveTab();
+  return {
+    count: activeTab ? await getDisplayTabCount(activeTab.windowId, settings) : 0,
+    limit: activeTab ? await getWindowMaxTabs(activeTab.windowId, settings) : settings.maxTabs,
+    settings,
+    inactiveTabs: await getInactiveTabsInfo(),
+    corral: await getCorral(),
+    readLater: await getReadLaterQueue(),
+    pendingFriction: await getPendingFriction(),
+    pause: await getPause(),
+    overrides: await getOverrideState(settings),
+    focusSession: await getFocusSession(),
+    activeSchedule: (await getActiveScheduleInfo()).active,
+    confirm: takePendingConfirm(),
+  };
+}
+
+// A confirmation requested by a shortcut goes to the next popup only
+function takePendingConfirm() {
+  const action = pendingConfirm;
+  pendingConfirm = null;
+  return action;
+}
+
+function postToPopups(message) {
+  for (const port of popupPorts) {
+    try {
+      port.postMessage(message);
+    } catch {
+      popupPorts.delete(port);
+    }
+  }
+}
+
+async function handlePopupConnect(port) {
+  if (port.name !== POPUP_PORT_NAME) return;
+  popupPorts.add(port);
+  port.onDisconnect.addListener(() => popupPorts.delete(port));
+  try {
+    port.postMessage({ type: "snapshot", state: await getPopupSnapshot() });
+  } catch {
+    popupPorts.delete(port);
+  }
+}
+
+async function pushStorageChanges(changes) {
+  if (changes.settings) {
+    postToPopups({ type: "settings", settings: normalizeSettings(changes.settings.newValue) });
+    // The limit or the allowlist may have changed the count
+    requestUIUpdate();
+  }
+  if (changes.tabCorral) {
+    postToPopups({ type: "corral", tabs: changes.tabCorral.newValue || [] });
+  }
+  if (changes.readLaterQueue) {
+    postToPopups({ type: "readLater", queue: changes.readLaterQueue.newValue || [] });
+  }
+  if (changes.pendingFriction) {
+    postToPopups({ type: "pendingFriction", pending: changes.pendingFriction.newValue || null });
+  }
+  if (changes.pause) {
+    postToPopups({ type: "pause", pause: changes.pause.newValue || null });
+  }
+  if (changes.focusSession) {
+    postToPopups({ type: "focusSession", session: changes.focusSession.newValue || null });
+  }
+  if (changes.settings || changes.scheduleState) {
+    postToPopups({ type: "schedule", active: (await getActiveScheduleInfo()).active });
+  }
+  if (changes.settings || changes.overrideUsage || changes.overrideArmedUntil) {
+    postToPopups({ type: "overrides", overrides: await getOverrideState() });
+  }
+  if (changes.settings || changes.tabActivity || changes.tabProtections) {
+    postToPopups({ type: "inactiveTabs", tabs: await getInactiveTabsInfo() });
+  }
+}
+
+// Badge and popup count updates requested during a burst of tab events are
+// coalesced into one, UI_UPDATE_DELAY ms after the first request
+const UI_UPDATE_DELAY = 100;
+let uiUpdateTimer = null;
+
+function requestUIUpdate() {
+  if (uiUpdateTimer) return;
+  uiUpdateTimer = setTimeout(() => {
+    uiUpdateTimer = null;
+    broadcastTabCount().catch(() => {});
+  }, UI_UPDATE_DELAY);
+}
+
+function getTabWeight(tab, settings) {
+  return tabWeight(tab, settings, browser.runtime.getURL(INTERSTITIAL_PAGE));
+}
+
+// Count tabs in a specific window (excluding allowlisted, weighting blocklisted)
+async function getWindowTabCount(windowId, settings) {
+  const tabs = await queryTabs({ windowId });
+  if (!settings) return tabs.length;
+  return tabs.reduce((sum, tab) => sum + getTabWeight(tab, settings), 0);
+}
+
+// A window's limit: its own (windowLimits) or maxTabs. A focus session's
+// lower limit still caps windows that have their own.
+async function getWindowMaxTabs(windowId, settings) {
+  const rule = findWindowLimit(windowId, settings);
+  if (!rule) return settings.maxTabs;
+  const focusSession = await getFocusSession();
+  return focusSession ? Math.min(rule.max, focusSession.maxTabs) : rule.max;
+}
+
+// Settings as they apply to one window (maxTabs is that window's limit).
+// For decisions only - never save the result.
+async function getSettingsForWindow(windowId, settings) {
+  const maxTabs = await getWindowMaxTabs(windowId, settings);
+  return maxTabs === settings.maxTabs ? settings : { ...settings, maxTabs };
+}
+
+// Count ALL tabs across all windows (excluding allowlisted, weighting blocklisted)
+async function getGlobalTabCount(settings) {
+  const tabs = await queryTabs();
+  if (!settings) return tabs.length;
+  return tabs.reduce((sum, tab) => sum + getTabWeight(tab, settings), 0);
 }
 
 // Count tabs for display. This includes allowlisted/protected tabs so the UI
 // reflects how many tabs are actually open.
 async function getDisplayTabCount(windowId, settings) {
   if (settings.globalLimit) {
-    const tabs = await browser.tabs.query({});
+    const tabs = await queryTabs();
     return tabs.length;
   }
 
-  const tabs = await browser.tabs.query({ windowId });
+  const tabs = await queryTabs({ windowId });
   return tabs.length;
 }
 
@@ -393,112 +877,616 @@ async function getCurrentTabCount(windowId, settings) {
   }
 }
 
-// Check if URL is in allowlist
-function isUrlAllowed(url, allowlist) {
-  if (!url || !allowlist || allowlist.length === 0) return false;
+// Re-identify windows with their own limit (after a Safari relaunch the
+// ids are new, see handleStartup) and keep each rule's pinned sites
+// current. Saves only when something changed.
+async function refreshWindowLimits({ coldStart = false } = {}) {
+  const settings = await getSettings();
+  if (settings.windowLimits.length === 0) return;
 
-  try {
-    const urlObj = new URL(url);
-    const hostname = urlObj.hostname.toLowerCase().replace(/^www\./, "");
+  const windows = new Map();
+  const tabs = await queryTabs();
+  for (const tab of tabs) {
+    if (!windows.has(tab.windowId)) windows.set(tab.windowId, []);
+  }
+  for (const windowId of windows.keys()) {
+    windows.set(windowId, getPinnedHosts(tabs.filter((t) => t.windowId === windowId)));
+  }
 
-    return allowlist.some((domain) => {
-      const cleanDomain = domain.toLowerCase().replace(/^www\./, "");
-      return hostname === cleanDomain || hostname.endsWith("." + cleanDomain);
-    });
-  } catch {
-    return false;
+  const matches = matchWindowLimits(settings.windowLimits, windows, { coldStart });
+  const windowLimits = settings.windowLimits.map((rule) => {
+    const windowId = matches.get(rule.id);
+    if (windowId == null) return { ...rule, windowId: null };
+    // Pinning or unpinning in the window updates what it's recognized by
+    const pinnedHosts = windows.get(windowId);
+    return { ...rule, windowId, pinnedHosts: pinnedHosts.length > 0 ? pinnedHosts : rule.pinnedHosts };
+  });
+
+  if (JSON.stringify(windowLimits) !== JSON.stringify(settings.windowLimits)) {
+    await saveSettings({ ...settings, windowLimits });
+    requestUIUpdate();
   }
 }
 
-// Check if URL is real (not blank/special)
-function isRealUrl(url) {
-  if (!url || url === "") return false;
-  if (url === "about:blank" || url === "about:newtab") return false;
-  if (url.startsWith("safari-resource:")) return false;
-  if (url.startsWith("favorites://")) return false;
-  return url.startsWith("http://") || url.startsWith("https://");
+// Give a window its own limit (replacing any it had) under a label the user
+// can reattach it by if it isn't recognized after a restart
+async function setWindowLimit(windowId, label, max) {
+  const settings = await getSettings();
+  const existing = findWindowLimit(windowId, { ...settings, globalLimit: false });
+  const rule = {
+    id: existing ? existing.id : `w${Date.now().toString(36)}`,
+    label: String(label || "").trim().slice(0, 30) || (existing ? existing.label : "Window"),
+    max: clampSetting("maxTabs", max),
+    windowId,
+    pinnedHosts: getPinnedHosts(await queryTabs({ windowId })),
+  };
+  const windowLimits = settings.windowLimits.filter((r) => r.id !== rule.id);
+  windowLimits.push(rule);
+  await applySettings({ ...settings, windowLimits });
+  return rule;
+}
+
+// Point a saved window limit at a window (by hand, when it wasn't recognized)
+async function attachWindowLimit(ruleId, windowId) {
+  const settings = await getSettings();
+  const rule = settings.windowLimits.find((r) => r.id === ruleId);
+  if (!rule) return false;
+  const pinnedHosts = getPinnedHosts(await queryTabs({ windowId }));
+  const windowLimits = settings.windowLimits.map((r) => {
+    if (r.id === ruleId) return { ...r, windowId, pinnedHosts };
+    // A window has one limit: detach whatever rule it had
+    return r.windowId === windowId ? { ...r, windowId: null } : r;
+  });
+  await applySettings({ ...settings, windowLimits });
+  return true;
+}
+
+async function removeWindowLimit(ruleId) {
+  const settings = await getSettings();
+  const windowLimits = settings.windowLimits.filter((r) => r.id !== ruleId);
+  if (windowLimits.length === settings.windowLimits.length) return false;
+  await applySettings({ ...settings, windowLimits });
+  return true;
 }
 
-// Close tab
-async function closeTab(tabId) {
+// Validate an allowlist/blocklist entry for the popup editor and preview
+// which open tabs it would match
+async function validateUrlPattern(entry) {
+  let pattern;
   try {
-    pendingTabs.delete(tabId);
-    allowlistTabs.delete(tabId);
-    await browser.tabs.remove(tabId);
-    await incrementBlocked();
-    console.log(`TabCap: Tab ${tabId} closed`);
+    pattern = parseUrlPattern(entry);
   } catch (error) {
-    console.error("TabCap: Error closing tab:", error);
+    return { valid: false, error: error.message };
   }
-}
 
-// Check pending tab after timeout
-// RULE: We ONLY close THIS pending tab if it's not allowlisted, NEVER other tabs
-async function checkPendingTab(tabId) {
-  const pending = pendingTabs.get(tabId);
-  if (!pending) return;
+  let matches = [];
+  try {
+    const tabs = await queryTabs();
+    matches = tabs.filter((tab) => isRealUrl(tab.url) && matchesUrlPattern(tab.url, pattern));
+  } catch {}
 
-  if (Date.now() - pending.timestamp < PENDING_TIMEOUT) return;
+  return {
+    valid: true,
+    entry: pattern.entry,
+    description: describeUrlPattern(pattern),
+    matchCount: matches.length,
+    matchTitles: matches.slice(0, 3).map((tab) => tab.title || "Untitled"),
+  };
+}
 
-  pendingTabs.delete(tabId);
+// Count tabs on a domain across all windows
+async function getDomainTabCount(domain) {
+  const tabs = await queryTabs();
+  return tabs.filter((tab) => isUrlOnDomain(tab.url, domain)).length;
+}
 
-  const settings = await getSettings();
-  if (!settings.enabled) return;
-  if (!settings.allowlistEnabled) return; // Pending tabs only exist when allowlist is enabled
+// Enforce per-domain caps when a tab enters a capped domain.
+// Independent of maxTabs and the allowlist. Returns true if the tab was closed.
+async function enforceDomainLimit(tabId, url, settings) {
+  const rule = findDomainLimit(url, settings.domainLimits);
+  if (!rule) {
+    domainCapTabs.delete(tabId);
+    return false;
+  }
 
-  try {
-    const tab = await browser.tabs.get(tabId);
+  // Already counted toward this cap - nothing changed
+  if (domainCapTabs.get(tabId) === rule.domain) return false;
+  domainCapTabs.set(tabId, rule.domain);
 
-    // Check if this tab is in allowlist
-    if (isRealUrl(tab.url) && isUrlAllowed(tab.url, settings.allowlist)) {
-      // Tab is allowlisted - track it so we detect when it leaves
-      allowlistTabs.add(tabId);
-      console.log(
-        `TabCap: Pending tab is in allowlist, tracking (id: ${tabId})`
-      );
-      return;
-    }
+  // Tabs restored from corral are exempt, like the tab limit
+  if (corralRestoredTabs.has(tabId)) return false;
 
-    // Tab is NOT in allowlist - check if we're over limit
-    const tabCount = await getCurrentTabCount(tab.windowId, settings);
-    if (tabCount <= settings.maxTabs) {
-      console.log(`TabCap: Within limit now, keeping tab`);
-      return;
-    }
+  const count = await getDomainTabCount(rule.domain);
+  if (count <= rule.max) return false;
 
-    // Over limit and this tab is NOT allowlisted - close THIS tab only
-    console.log(`TabCap: Closing pending tab (not in allowlist, over limit)`);
-    await closeTab(tabId);
-  } catch (error) {
-    // Tab doesn't exist anymore
-  }
+  console.log(
+    `TabCap: Closing tab over ${rule.domain} limit (${count}/${rule.max}, id: ${tabId})`
+  );
+  await closeTab(tabId);
+  return true;
 }
 
-// Handler: New tab created
-// RULE: We ONLY close the NEW tab, NEVER existing tabs
-async function handleTabCreated(tab) {
-  if (!initResolved && initPromise) {
-    await initPromise;
+// Close a tab matched by a "close" blocklist rule
+async function closeBlockedTab(tab, rule) {
+  console.log(`TabCap: Closing blocklisted tab (${rule.pattern}, id: ${tab.id})`);
+  await recordBlocklistClose(rule.pattern);
+  await closeTab(tab.id, "blocklist");
+}
+
+// Enforce blocklist rules when a tab enters a blocked site: "close" rules
+// close it on sight, "weight" rules make it count more and enforce the tab
+// limit on it if that puts the window (or all windows) over the limit.
+// Returns true if the tab was handled.
+async function enforceBlocklist(tab, url, settings) {
+  const rule = findBlocklistRule(url, settings);
+  if (!rule) {
+    blocklistTabs.delete(tab.id);
+    return false;
   }
 
-  // Start inactivity tracking at creation time. Background-opened tabs may never
-  // fire onActivated, so waiting for activation makes auto-close depend on the popup.
-  tabLastAccessed.set(tab.id, Date.now());
-  await persistTabActivityNow();
+  // Already matched this rule - nothing changed
+  if (blocklistTabs.get(tab.id) === rule.pattern) return false;
+  blocklistTabs.set(tab.id, rule.pattern);
 
-  // Service worker just woke up - check for expired inactive tabs.
-  // This is important because if handleTabCreated closes the new tab immediately
-  // (over limit), handleTabActivated may never fire, so checkInactiveTabs
-  // wouldn't be triggered by the activation path.
-  checkInactiveTabs().catch(() => {});
+  // Tabs restored from corral are exempt, like the tab limit
+  if (corralRestoredTabs.has(tab.id)) return false;
 
-  const settings = await getSettings();
+  if (rule.action === "close") {
+    await closeBlockedTab({ ...tab, url }, rule);
+    return true;
+  }
+
+  const tabCount = await getCurrentTabCount(tab.windowId, settings);
+  if (tabCount <= settings.maxTabs) return false;
+
+  console.log(`TabCap: Weighted blocklist tab puts count over limit (id: ${tab.id})`);
+  await enforceTabLimit({ ...tab, url }, settings);
+  return true;
+}
+
+// Mark tabs already open on capped or blocked sites as counted, without
+// closing any. Run at startup and whenever settings change, so adding a
+// rule only affects tabs that navigate into the site afterwards.
+async function seedTabRuleTracking(settings) {
+  domainCapTabs.clear();
+  blocklistTabs.clear();
+
+  try {
+    const tabs = await queryTabs();
+    for (const tab of tabs) {
+      const capRule = findDomainLimit(tab.url, settings.domainLimits);
+      if (capRule) domainCapTabs.set(tab.id, capRule.domain);
+      const blockRule = findBlocklistRule(tab.url, settings);
+      if (blockRule) blocklistTabs.set(tab.id, blockRule.pattern);
+    }
+  } catch {}
+}
+
+// Close tab, saving it to the corral so it can be restored
+// reason: "limit" (over the tab limit) or "blocklist"
+// readLater: queue the tab to reopen when a slot frees up instead of
+// saving it to the corral
+// countBlocked: false for existing tabs evicted to make room, which weren't
+// blocked
+async function closeTab(tabId, reason = "limit", { readLater = false, countBlocked = true } = {}) {
+  try {
+    untrackTab(tabId);
+
+    // Look the tab up before removing it - tabs without a real URL yet
+    // (blank new tabs) have nothing worth restoring, unless a link is
+    // still loading in them (pendingUrl)
+    let tab = null;
+    try {
+      tab = await browser.tabs.get(tabId);
+      if (!isRealUrl(tab.url) && isRealUrl(tab.pendingUrl)) tab = { ...tab, url: tab.pendingUrl };
+    } catch {}
+
+    await browser.tabs.remove(tabId);
+    unindexTab(tabId);
+    if (tab && isRealUrl(tab.url)) {
+      if (readLater) {
+        await addToReadLater(tab.url, tab.title);
+      } else {
+        await addToCorral([tab], reason);
+      }
+    }
+    if (countBlocked) await incrementBlocked();
+    console.log(`TabCap: Tab ${tabId} closed`);
+  } catch (error) {
+    console.error("TabCap: Error closing tab:", error);
+  }
+}
+
+// Pick existing tabs to evict so the count drops back to maxTabs.
+// Returns null if the policy can't free enough room (caller closes the new tab).
+async function pickEvictionVictims(newTab, settings) {
+  const tabs = await queryTabs(settings.globalLimit ? {} : { windowId: newTab.windowId });
+  return chooseEvictionVictims(newTab, tabs, settings, {
+    lastAccessed: tabLastAccessed,
+    exemptIds: new Set([...pendingTabs.keys(), ...corralRestoredTabs]),
+    interstitialUrl: browser.runtime.getURL(INTERSTITIAL_PAGE),
+    protections: getTabProtections(),
+    openedAt: tabOpenedAt,
+  });
+}
+
+// Over the limit: close the incoming tab, or evict existing tabs into the
+// corral when evictionPolicy says so. Falls back to closing the incoming
+// tab (or showing the limit-reached page) if every candidate is protected.
+// With readLaterEnabled the closed tab is queued to reopen later.
+async function enforceTabLimit(tab, settings) {
+  // An armed override token lets this one tab stay
+  if (await useArmedOverride(tab)) return;
+
+  const policy = settings.evictionPolicy || "closeNew";
+
+  if (policy !== "closeNew") {
+    const victims = await pickEvictionVictims(tab, settings);
+    if (victims) {
+      console.log(
+        `TabCap: Evicting ${victims.length} tab(s) (${policy}) to keep new tab ${tab.id}`
+      );
+      // closeTab() saves each victim to the corral
+      for (const victim of victims) {
+        tabLastAccessed.delete(victim.id);
+        await closeTab(victim.id, "limit", { countBlocked: false });
+      }
+      persistTabActivity();
+      return;
+    }
+    console.log(`TabCap: No tab can be evicted (${policy}), closing new tab`);
+  }
+
+  // Tabs without a URL yet have nothing to show on the limit page
+  if (settings.limitAction === "interstitial" && isRealUrl(tab.url)) {
+    await showLimitInterstitial(tab, settings);
+    return;
+  }
+
+  await closeTab(tab.id, "limit", { readLater: settings.readLaterEnabled });
+}
+
+// Apply the duplicate policy to a new tab at url. "focus" switches to the
+// open copy and closes the new tab; "merge" keeps the new tab and closes the
+// older copies that aren't protected (pinned, audible, kept...), saving them
+// to the corral. These tabs weren't blocked: no blocked count.
+// Returns true if the new tab was closed.
+async function handleDuplicateTab(tab, url, settings) {
+  if (settings.duplicatePolicy === "allow" || !isRealUrl(url)) return false;
+
+  const tabs = await queryTabs();
+  const duplicates = findDuplicateTabs(tab, url, tabs, settings, tabLastAccessed);
+  if (duplicates.length === 0) return false;
+
+  try {
+    if (settings.duplicatePolicy === "focus") {
+      const existing = duplicates[0];
+      untrackTab(tab.id);
+      await browser.tabs.remove(tab.id);
+      unindexTab(tab.id);
+      await browser.tabs.update(existing.id, { active: true });
+      indexActivation(existing.id, existing.windowId);
+      await browser.windows.update(existing.windowId, { focused: true });
+      console.log(`TabCap: Duplicate tab ${tab.id} closed, focused ${existing.id}`);
+      requestUIUpdate();
+      return true;
+    }
+
+    // merge
+    const protections = getTabProtections();
+    const merged = duplicates.filter((t) => !getProtectReason(t, settings, protections));
+    if (merged.length === 0) return false;
+    const ids = merged.map((t) => t.id);
+    ids.forEach(untrackTab);
+    await browser.tabs.remove(ids);
+    ids.forEach(unindexTab);
+    await addToCorral(merged, "duplicate");
+    console.log(`TabCap: Merged ${ids.length} duplicate(s) into tab ${tab.id}`);
+    requestUIUpdate();
+  } catch (error) {
+    console.error("TabCap: Error handling duplicate tab:", error);
+  }
+  return false;
+}
+
+// Forget the per-tab rule tracking of a tab about to be closed
+function untrackTab(tabId) {
+  pendingTabs.delete(tabId);
+  allowlistTabs.delete(tabId);
+  domainCapTabs.delete(tabId);
+  blocklistTabs.delete(tabId);
+}
+
+function isInterstitialUrl(url) {
+  return !!url && url.startsWith(browser.runtime.getURL(INTERSTITIAL_PAGE));
+}
+
+// Redirect an over-limit tab to the limit-reached page instead of closing it.
+// The page lets the user swap it for an existing tab, save it for later,
+// or go back. Limit pages don't count toward the limit, so only one is kept
+// per limit scope: an older one is closed and its page saved to the corral.
+async function showLimitInterstitial(tab, settings) {
+  try {
+    untrackTab(tab.id);
+
+    const scope = await queryTabs(settings.globalLimit ? {} : { windowId: tab.windowId });
+    for (const page of scope.filter((t) => t.id !== tab.id && isInterstitialUrl(t.url))) {
+      const blocked = new URL(page.url).searchParams;
+      await browser.tabs.remove(page.id);
+      unindexTab(page.id);
+      if (isRealUrl(blocked.get("url"))) {
+        await addToCorral([{ url: blocked.get("url"), title: blocked.get("title") }], "limit");
+      }
+    }
+
+    const params = new URLSearchParams({ url: tab.url, title: tab.title || "" });
+    const url = browser.runtime.getURL(`${INTERSTITIAL_PAGE}?${params}`);
+    await browser.tabs.update(tab.id, { url });
+    indexTab({ id: tab.id, url });
+    await incrementBlocked();
+    console.log(`TabCap: Tab ${tab.id} redirected to limit page`);
+  } catch (error) {
+    console.error("TabCap: Error showing limit page:", error);
+  }
+}
+
+// State for the limit-reached page: count and the tabs it could replace
+async function getInterstitialState(pageTab) {
+  const settings = await getSettingsForWindow(pageTab.windowId, await getSettings());
+  const tabs = await queryTabs(settings.globalLimit ? {} : { windowId: pageTab.windowId });
+  const count = await getCurrentTabCount(pageTab.windowId, settings);
+
+  return {
+    count,
+    maxTabs: settings.maxTabs,
+    globalLimit: settings.globalLimit,
+    overrides: await getOverrideState(settings),
+    tabs: tabs
+      .filter((tab) => tab.id !== pageTab.id && !isInterstitialUrl(tab.url))
+      .map((tab) => ({
+        id: tab.id,
+        title: tab.title || "Untitled",
+        url: tab.url || "",
+        pinned: !!tab.pinned,
+      })),
+  };
+}
+
+// Close an existing tab (saved to corral) and load the blocked URL in the
+// limit page's tab, so the count stays the same
+async function swapBlockedTab(pageTab, closeTabId, url) {
+  if (!isRealUrl(url)) return false;
+
+  try {
+    const victim = await browser.tabs.get(closeTabId);
+    tabLastAccessed.delete(closeTabId);
+    await browser.tabs.remove(closeTabId);
+    unindexTab(closeTabId);
+    if (isRealUrl(victim.url)) {
+      await addToCorral([victim], "limit");
+    }
+
+    indexTab(await browser.tabs.update(pageTab.id, { url, active: true }));
+    tabLastAccessed.set(pageTab.id, Date.now());
+    persistTabActivity();
+    return true;
+  } catch (error) {
+    console.error("TabCap: Error swapping tabs:", error);
+    return false;
+  }
+}
+
+// Spend an override token to load the blocked URL in the limit page's tab
+// after all. The tab is exempt from the limit check its navigation causes.
+async function openWithOverride(pageTab, url) {
+  if (!isRealUrl(url) || !(await spendOverrideToken())) return false;
+
+  try {
+    corralRestoredTabs.add(pageTab.id);
+    setTimeout(() => corralRestoredTabs.delete(pageTab.id), 5000);
+    indexTab(await browser.tabs.update(pageTab.id, { url, active: true }));
+    tabLastAccessed.set(pageTab.id, Date.now());
+    persistTabActivity();
+    return true;
+  } catch (error) {
+    console.error("TabCap: Error opening blocked tab:", error);
+    return false;
+  }
+}
+
+// Read-later queue ("up next"): URLs blocked by the limit or set aside from
+// the limit page. FIFO - the first entry opens when a slot frees up.
+async function getReadLaterQueue() {
+  try {
+    const result = await browser.storage.local.get("readLaterQueue");
+    return result.readLaterQueue || [];
+  } catch {
+    return [];
+  }
+}
+
+async function addToReadLater(url, title) {
+  if (!isRealUrl(url)) return false;
+
+  try {
+    const queue = (await getReadLaterQueue()).filter((entry) => entry.url !== url);
+    queue.push({ url, title: title || "Untitled", addedAt: Date.now() });
+    if (queue.length > READ_LATER_MAX) queue.splice(0, queue.length - READ_LATER_MAX);
+    await browser.storage.local.set({ readLaterQueue: queue });
+    await updateBadge();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+async function removeFromReadLater(index) {
+  try {
+    const queue = await getReadLaterQueue();
+    if (index < 0 || index >= queue.length) return false;
+
+    queue.splice(index, 1);
+    await browser.storage.local.set({ readLaterQueue: queue });
+    await updateBadge();
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Move a queue entry one place up (-1) or down (+1)
+async function moveReadLater(index, direction) {
+  try {
+    const queue = await getReadLaterQueue();
+    const target = index + direction;
+    if (index < 0 || index >= queue.length || target < 0 || target >= queue.length) {
+      return false;
+    }
+
+    [queue[index], queue[target]] = [queue[target], queue[index]];
+    await browser.storage.local.set({ readLaterQueue: queue });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Open a queued entry. Like corral restores, the new tab is exempt from
+// the limit - opening from the popup is an explicit choice.
+async function openFromReadLater(index, windowId) {
+  try {
+    const queue = await getReadLaterQueue();
+    if (index < 0 || index >= queue.length) return false;
+
+    const [entry] = queue.splice(index, 1);
+    await browser.storage.local.set({ readLaterQueue: queue });
+
+    const newTab = await browser.tabs.create({
+      url: entry.url,
+      active: false,
+      ...(windowId != null ? { windowId } : {}),
+    });
+    indexTab(newTab);
+    corralRestoredTabs.add(newTab.id);
+    setTimeout(() => corralRestoredTabs.delete(newTab.id), 5000);
+    console.log(`TabCap: Opened queued tab ${entry.url}`);
+    return true;
+  } catch (error) {
+    console.error("TabCap: Error opening queued tab:", error);
+    return false;
+  }
+}
+
+// Open the next queued URL if the window (or all windows) is below the limit
+async function openNextReadLater(windowId) {
+  const run = readLaterOpening.then(async () => {
+    const settings = await getSettings();
+    if (!settings.enabled) return false;
+
+    const queue = await getReadLaterQueue();
+    if (queue.length === 0) return false;
+
+    const count = await getCurrentTabCount(windowId, settings);
+    if (count >= (await getWindowMaxTabs(windowId, settings))) return false;
+
+    return await openFromReadLater(0, windowId);
+  });
+  readLaterOpening = run.catch(() => {});
+  return run;
+}
+
+// In "click" mode queued tabs are opened by hand - from the popup, the
+// "open-next-queued" shortcut or the page context menu. Returns the queue
+// length while one could be opened (a slot is free), 0 otherwise.
+async function getReadLaterReady(windowId, settings) {
+  if (!settings.enabled || settings.readLaterOpen !== "click" || windowId == null) return 0;
+  const queue = await getReadLaterQueue();
+  if (queue.length === 0) return 0;
+  const count = await getCurrentTabCount(windowId, settings);
+  return count < (await getWindowMaxTabs(windowId, settings)) ? queue.length : 0;
+}
+
+// Check pending tab after timeout
+// RULE: We only close THIS pending tab (or evict per evictionPolicy) if it's
+// not allowlisted
+async function checkPendingTab(tabId) {
+  const pending = pendingTabs.get(tabId);
+  if (!pending) return;
+
+  if (!isPendingExpired(pending, Date.now(), PENDING_TIMEOUT)) return;
+
+  pendingTabs.delete(tabId);
+
+  const settings = await getSettings();
+  if (!settings.enabled) return;
+
+  try {
+    const tab = await browser.tabs.get(tabId);
+    const tabCount = await getCurrentTabCount(tab.windowId, settings);
+    const decision = decidePendingTab(tab.url, tabCount, settings);
+
+    if (decision === "allowlisted") {
+      // Tab is allowlisted - track it so we detect when it leaves
+      allowlistTabs.add(tabId);
+      console.log(
+        `TabCap: Pending tab is in allowlist, tracking (id: ${tabId})`
+      );
+      return;
+    }
+
+    if (decision === "keep") {
+      console.log(`TabCap: Within limit now, keeping tab`);
+      return;
+    }
+
+    // Over limit and this tab is NOT allowlisted
+    console.log(`TabCap: Pending tab over limit (not in allowlist)`);
+    await enforceTabLimit(tab, settings);
+  } catch (error) {
+    // Tab doesn't exist anymore
+  }
+}
+
+// Handler: New tab created
+// RULE: By default we ONLY close the NEW tab. Existing tabs are only closed
+// when the user picked an eviction policy (see enforceTabLimit)
+async function handleTabCreated(tab) {
+  indexTab(tab);
+  if (!initResolved && initPromise) {
+    await initPromise;
+  }
+
+  // Start inactivity tracking at creation time. Background-opened tabs may never
+  // fire onActivated, so waiting for activation makes auto-close depend on the popup.
+  tabLastAccessed.set(tab.id, Date.now());
+  tabOpenedAt.set(tab.id, Date.now());
+  await persistTabActivityNow();
+
+  // Service worker just woke up - check for expired inactive tabs.
+  // This is important because if handleTabCreated closes the new tab immediately
+  // (over limit), handleTabActivated may never fire, so checkInactiveTabs
+  // wouldn't be triggered by the activation path.
+  checkInactiveTabs().catch(() => {});
+
+  // maxTabs below is this window's own limit if it has one
+  const settings = await getSettingsForWindow(tab.windowId, await getSettings());
   if (!settings.enabled) return;
 
   // Skip tab limit enforcement for tabs restored from corral
   if (corralRestoredTabs.has(tab.id)) {
     console.log(`TabCap: Tab restored from corral, skipping limit check (id: ${tab.id})`);
-    await broadcastTabCount();
+    requestUIUpdate();
+    return;
+  }
+
+  // A page that's already open is handled before it can count
+  if (await handleDuplicateTab(tab, tab.url, settings)) return;
+
+  // Blocklist and per-domain caps are enforced independently of maxTabs
+  if (isRealUrl(tab.url) && (await enforceBlocklist(tab, tab.url, settings))) {
+    return;
+  }
+  if (isRealUrl(tab.url) && (await enforceDomainLimit(tab.id, tab.url, settings))) {
     return;
   }
 
@@ -511,43 +1499,28 @@ async function handleTabCreated(tab) {
     }
   }
 
-  // Broadcast count update
   const tabCount = await getCurrentTabCount(tab.windowId, settings);
-  const displayTabCount = await getDisplayTabCount(tab.windowId, settings);
   const limitType = settings.globalLimit ? "global" : "window";
 
   console.log(
     `TabCap: Tab created. Count: ${tabCount}/${settings.maxTabs} (${limitType})`
   );
 
-  browser.runtime
-    .sendMessage({ type: "TAB_COUNT_UPDATED", count: displayTabCount })
-    .catch(() => {});
-
-  // Update badge
-  await updateBadge();
-
-  // If within limit, nothing to do
-  if (tabCount <= settings.maxTabs) return;
+  // Broadcast count update and refresh the badge (once per burst)
+  requestUIUpdate();
 
-  // Over limit - but we ONLY close the NEW tab, never existing ones
-
-  // If allowlist is enabled, check if this new tab is in allowlist
-  if (settings.allowlistEnabled) {
-    // If URL is available, check if it's allowlisted
-    if (isRealUrl(tab.url)) {
-      if (isUrlAllowed(tab.url, settings.allowlist)) {
-        // New tab is in allowlist - it doesn't count, keep it (already tracked above)
-        console.log(`TabCap: New tab in allowlist, doesn't count toward limit`);
-        return;
-      }
-      // New tab is NOT in allowlist - close IT (not old tabs)
-      console.log(`TabCap: Closing NEW tab (not in allowlist, over limit)`);
-      await closeTab(tab.id);
-      return;
+  // Over limit - close the NEW tab, or evict per evictionPolicy.
+  // Allowlisted new tabs don't count; tabs without a URL wait for one when
+  // the decision depends on it (allowlist or same-domain eviction).
+  const decision = decideNewTab(tab, tabCount, settings);
+  if (decision === "keep") {
+    if (tabCount > settings.maxTabs) {
+      console.log(`TabCap: New tab in allowlist, doesn't count toward limit`);
     }
+    return;
+  }
 
-    // No URL yet - wait and check later
+  if (decision === "pending") {
     console.log(`TabCap: Tab pending URL check`);
     pendingTabs.set(tab.id, {
       windowId: tab.windowId,
@@ -557,9 +1530,8 @@ async function handleTabCreated(tab) {
     return;
   }
 
-  // Allowlist disabled - close the NEW tab (never existing tabs)
-  console.log(`TabCap: Closing NEW excess tab`);
-  await closeTab(tab.id);
+  console.log(`TabCap: NEW excess tab`);
+  await enforceTabLimit(tab, settings);
 }
 
 // Handler: Tab updated
@@ -567,25 +1539,66 @@ async function handleTabCreated(tab) {
 async function handleTabUpdated(tabId, changeInfo, tab) {
   // Safari doesn't always populate changeInfo.url (known bug in older versions).
   // Use tab.url (3rd param) as fallback when changeInfo.url is unavailable.
+  // Pinned/audible changes matter to the index even without a URL
+  const previous = tabIndex.get(tabId);
+  if (tab || previous) indexTab({ ...tab, ...changeInfo, id: tabId });
+
   const url = changeInfo.url || (tab && tab.url);
   if (!url) return;
+
+  // Follow a protected tab's URL so it can be found again after a relaunch
+  const protection = protectedTabs.get(tabId);
+  if (protection && protection.url !== url) {
+    protection.url = url;
+    persistTabProtections();
+  }
+
   if (!isRealUrl(url)) return;
 
   // Opportunistic inactive tab check while the service worker is awake
   checkInactiveTabs().catch(() => {});
 
-  const settings = await getSettings();
+  const windowId = (tab || previous || {}).windowId;
+  const settings = await getSettingsForWindow(windowId, await getSettings());
   if (!settings.enabled) return;
-  if (!settings.allowlistEnabled) return;
 
-  const isNowAllowlisted = isUrlAllowed(url, settings.allowlist);
+  // A new tab getting its first URL (Safari opens links blank, then loads
+  // them) may turn out to be a page that's already open
+  if (
+    (!previous || !isRealUrl(previous.url)) &&
+    !corralRestoredTabs.has(tabId) &&
+    (await handleDuplicateTab({ ...tab, id: tabId }, url, settings))
+  ) {
+    return;
+  }
+
+  // Blocklist and per-domain caps apply whether or not the allowlist is enabled
+  if (await enforceBlocklist({ ...tab, id: tabId }, url, settings)) return;
+  if (await enforceDomainLimit(tabId, url, settings)) return;
+
+  // Leaving the limit page for a real page (going back to the blocked URL)
+  // lets a tab in: check the limit again. Swaps and overrides make room or
+  // are exempt.
+  if (previous && isInterstitialUrl(previous.url) && !corralRestoredTabs.has(tabId)) {
+    const tabCount = await getCurrentTabCount(windowId, settings);
+    if (decidePendingTab(url, tabCount, settings) === "enforce") {
+      console.log(`TabCap: Tab ${tabId} left the limit page over the limit`);
+      await enforceTabLimit({ ...tab, id: tabId, url }, settings);
+      return;
+    }
+  }
+
+  const isNowAllowlisted =
+    settings.allowlistEnabled && isUrlAllowed(url, settings.allowlist);
   const wasAllowlisted = allowlistTabs.has(tabId);
 
-  // Case 1: Pending tab got its URL
+  // Case 1: Pending tab got its URL (allowlist or same-domain eviction)
   if (pendingTabs.has(tabId)) {
     pendingTabs.delete(tabId);
 
-    if (isNowAllowlisted) {
+    const tabCount = await getCurrentTabCount(tab.windowId, settings);
+    const decision = decidePendingTab(url, tabCount, settings);
+    if (decision === "allowlisted") {
       allowlistTabs.add(tabId);
       console.log(
         `TabCap: Pending tab is in allowlist, tracking (id: ${tabId})`
@@ -593,26 +1606,29 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
       return;
     }
 
-    // Not allowlisted - close if over limit
-    const tabCount = await getCurrentTabCount(tab.windowId, settings);
-    if (tabCount > settings.maxTabs) {
-      console.log(`TabCap: Closing pending tab (not in allowlist, over limit)`);
-      await closeTab(tabId);
+    // Not allowlisted - enforce if over limit
+    if (decision === "enforce") {
+      console.log(`TabCap: Pending tab over limit (not in allowlist)`);
+      await enforceTabLimit({ ...tab, id: tabId, url }, settings);
     }
     return;
   }
 
+  if (!settings.allowlistEnabled) return;
+
+  const transition = getAllowlistTransition(wasAllowlisted, isNowAllowlisted);
+
   // Case 2: Tab navigated to allowlist site
-  if (isNowAllowlisted && !wasAllowlisted) {
+  if (transition === "enter") {
     allowlistTabs.add(tabId);
     console.log(`TabCap: Tab entered allowlist, tracking (id: ${tabId})`);
     // Broadcast updated count (this tab no longer counts)
-    await broadcastTabCount();
+    requestUIUpdate();
     return;
   }
 
   // Case 3: Tab LEFT allowlist (was allowlisted, now isn't)
-  if (!isNowAllowlisted && wasAllowlisted) {
+  if (transition === "leave") {
     allowlistTabs.delete(tabId);
     console.log(`TabCap: Tab left allowlist (id: ${tabId})`);
 
@@ -620,28 +1636,37 @@ async function handleTabUpdated(tabId, changeInfo, tab) {
     const tabCount = await getCurrentTabCount(tab.windowId, settings);
 
     if (tabCount > settings.maxTabs) {
-      console.log(
-        `TabCap: Over limit after leaving allowlist - closing tab (id: ${tabId})`
-      );
-      await closeTab(tabId);
+      console.log(`TabCap: Over limit after leaving allowlist (id: ${tabId})`);
+      await enforceTabLimit({ ...tab, id: tabId, url }, settings);
     } else {
       console.log(`TabCap: Within limit, tab is now regular (id: ${tabId})`);
-      await broadcastTabCount();
+      requestUIUpdate();
     }
   }
 }
 
 // Handler: Tab removed
-async function handleTabRemoved(tabId) {
+async function handleTabRemoved(tabId, removeInfo = {}) {
+  unindexTab(tabId);
   pendingTabs.delete(tabId);
   allowlistTabs.delete(tabId);
+  domainCapTabs.delete(tabId);
+  blocklistTabs.delete(tabId);
   tabLastAccessed.delete(tabId);
+  tabOpenedAt.delete(tabId);
   persistTabActivity();
+  if (protectedTabs.delete(tabId)) persistTabProtections();
 
   // Small delay to let Safari finish updating
   setTimeout(async () => {
-    await broadcastTabCount();
-    await updateBadge();
+    // A slot may have freed up: open the next queued tab
+    if (!removeInfo.isWindowClosing) {
+      const settings = await getSettings();
+      if (settings.readLaterOpen !== "click") {
+        await openNextReadLater(removeInfo.windowId);
+      }
+    }
+    requestUIUpdate();
   }, 100);
 }
 
@@ -649,6 +1674,7 @@ async function handleTabRemoved(tabId) {
 // Tab Wrangler pattern: debounceOnActivated - only reset timer after tab is
 // active for 1 second. Prevents rapid tab-switching from resetting all timers.
 async function handleTabActivated(activeInfo) {
+  indexActivation(activeInfo.tabId, activeInfo.windowId);
   const settings = await getSettings();
 
   const delay = settings.debounceDelay != null ? settings.debounceDelay : 1;
@@ -679,65 +1705,75 @@ async function handleTabActivated(activeInfo) {
   // to catch tabs that expired while worker was suspended
   checkInactiveTabs().catch(() => {});
 
-  try {
-    const count = await getDisplayTabCount(activeInfo.windowId, settings);
-    browser.runtime
-      .sendMessage({ type: "TAB_COUNT_UPDATED", count })
-      .catch(() => {});
-    await updateBadge();
-  } catch {}
+  requestUIUpdate();
 }
 
 // Handler: Tab moved (reordered or moved between groups)
 async function handleTabMoved(tabId, moveInfo) {
-  await broadcastTabCount();
+  requestUIUpdate();
 }
 
 // Handler: Tab attached to window (moved from another window/group)
 async function handleTabAttached(tabId, attachInfo) {
-  await broadcastTabCount();
+  const tab = tabIndex.get(tabId);
+  if (tab) tab.windowId = attachInfo.newWindowId;
+  requestUIUpdate();
 }
 
 // Handler: Tab detached from window (moving to another window/group)
 async function handleTabDetached(tabId, detachInfo) {
-  await broadcastTabCount();
+  requestUIUpdate();
 }
 
 // Handler: Window focus changed (user switched between Safari windows)
 async function handleWindowFocusChanged(windowId) {
   // windowId is -1 when all windows lose focus (Safari goes to background)
   if (windowId === browser.windows.WINDOW_ID_NONE) return;
+  focusedWindowId = windowId;
   
   // Service worker woke up - check inactive tabs
   checkInactiveTabs().catch(() => {});
-  await broadcastTabCount();
+  requestUIUpdate();
 }
 
 // Handler: New window created
 async function handleWindowCreated(window) {
   checkInactiveTabs().catch(() => {});
-  await broadcastTabCount();
+  // Restored windows get their tabs (and pinned sites) a moment later
+  setTimeout(() => refreshWindowLimits().catch(() => {}), WINDOW_REFRESH_DELAY);
+  requestUIUpdate();
+}
+
+// Handler: Safari launched. Every window has a new id now.
+async function handleStartup() {
+  if (!initResolved && initPromise) {
+    await initPromise;
+  }
+  await refreshWindowLimits({ coldStart: true });
 }
 
 // Handler: Window removed/closed
 async function handleWindowRemoved(windowId) {
+  for (const tab of [...tabIndex.values()]) {
+    if (tab.windowId === windowId) unindexTab(tab.id);
+  }
   checkInactiveTabs().catch(() => {});
-  await broadcastTabCount();
+  requestUIUpdate();
 }
 
-// Broadcast current tab count to popup
+// Push the current tab count to open popups and update the badge
 async function broadcastTabCount() {
   try {
     const settings = await getSettings();
-    const [activeTab] = await browser.tabs.query({
-      active: true,
-      currentWindow: true,
-    });
+    const activeTab = await getActiveTab();
     if (activeTab) {
       const count = await getDisplayTabCount(activeTab.windowId, settings);
-      browser.runtime
-        .sendMessage({ type: "TAB_COUNT_UPDATED", count })
-        .catch(() => {});
+      const limit = await getWindowMaxTabs(activeTab.windowId, settings);
+      postToPopups({ type: "count", count, limit });
+      // Titles and the tab list change without touching tabActivity
+      if (popupPorts.size > 0) {
+        postToPopups({ type: "inactiveTabs", tabs: await getInactiveTabsInfo() });
+      }
       await updateBadge();
     }
   } catch {}
@@ -780,7 +1816,7 @@ async function restoreTabActivity() {
     const result = await browser.storage.local.get("tabActivity");
     if (result.tabActivity) {
       // Only restore entries for tabs that still exist
-      const allTabs = await browser.tabs.query({});
+      const allTabs = await queryTabs();
       const existingIds = new Set(allTabs.map((t) => t.id));
 
       for (const [idStr, timestamp] of Object.entries(result.tabActivity)) {
@@ -792,7 +1828,7 @@ async function restoreTabActivity() {
     }
 
     // Ensure all current tabs have an entry
-    const allTabs = await browser.tabs.query({});
+    const allTabs = await queryTabs();
     const now = Date.now();
     for (const tab of allTabs) {
       if (!tabLastAccessed.has(tab.id)) {
@@ -840,148 +1876,36 @@ async function _doInactiveCheck() {
   const settings = await getSettings();
   if (!settings.inactiveEnabled) return;
 
-  // Guard: inactiveMinutes must be at least 1. A value of 0 would make
-  // elapsed >= 0 always true, closing all non-active tabs instantly.
-  // The UI enforces min=1, but corrupted storage could bypass it.
-  const inactiveMinutes = Math.max(1, settings.inactiveMinutes || 1);
-
   const now = Date.now();
-  const limitMs = inactiveMinutes * 60 * 1000;
-
-  // Handle sleep/wake drift: if any timestamp is in the future
-  // (clock changed), recalibrate
-  let activityChanged = false;
-  for (const [tabId, ts] of tabLastAccessed) {
-    if (ts > now) {
-      tabLastAccessed.set(tabId, now);
-      activityChanged = true;
-    }
-  }
-
-  const allTabs = await browser.tabs.query({});
-
-  // Group tabs by window to enforce "keep at least 1 per window"
-  const windowTabs = new Map();
-  for (const tab of allTabs) {
-    if (!windowTabs.has(tab.windowId)) {
-      windowTabs.set(tab.windowId, []);
-    }
-    windowTabs.get(tab.windowId).push(tab);
-  }
-
-  const minTabs = Math.max(0, settings.minTabs != null ? settings.minTabs : 5);
-  const tabsToClose = [];
-
-  for (const tab of allTabs) {
-    // Never close the active tab
-    // Only refresh timestamp if no debounce is pending for this tab
-    if (tab.active) {
-      if (activatedDebounceTabId !== tab.id) {
-        tabLastAccessed.set(tab.id, now);
-        activityChanged = true;
-      }
-      continue;
-    }
-
-    // Never close internal/special pages (Tab Wrangler: about:, chrome://)
-    if (isInternalUrl(tab.url)) {
-      tabLastAccessed.set(tab.id, now);
-      activityChanged = true;
-      continue;
-    }
-
-    // Protected tabs: refresh timestamp (like Tab Wrangler) instead of
-    // just skipping. This prevents them from accumulating stale timestamps
-    // that would cause immediate close if protection is later disabled.
-    if (settings.protectPinned && tab.pinned) {
-      tabLastAccessed.set(tab.id, now);
-      activityChanged = true;
-      continue;
-    }
-    if (settings.protectAudible && tab.audible) {
-      tabLastAccessed.set(tab.id, now);
-      activityChanged = true;
-      continue;
-    }
-    if (settings.protectAllowlist && settings.allowlistEnabled && settings.allowlist.length > 0) {
-      if (isUrlAllowed(tab.url, settings.allowlist)) {
-        tabLastAccessed.set(tab.id, now);
-        activityChanged = true;
-        continue;
-      }
-    }
-
-    const lastAccessed = tabLastAccessed.get(tab.id);
-    if (!lastAccessed) {
-      tabLastAccessed.set(tab.id, now);
-      activityChanged = true;
-      continue;
-    }
-
-    const elapsed = now - lastAccessed;
-    if (elapsed >= limitMs) {
-      tabsToClose.push({ id: tab.id, windowId: tab.windowId, elapsed });
-    }
-  }
-
-  // Sort by elapsed descending (close the oldest-inactive first)
-  tabsToClose.sort((a, b) => b.elapsed - a.elapsed);
-
-  // Track how many tabs remain per window
-  const windowRemaining = new Map();
-  for (const [windowId, tabs] of windowTabs) {
-    windowRemaining.set(windowId, tabs.length);
-  }
-
-  // minTabs check: if a window is already at or below minTabs,
-  // reset all its candidates' timestamps (Tab Wrangler pattern).
-  // This gives them a fresh timer instead of closing immediately
-  // when a new tab arrives.
-  for (const [windowId, tabs] of windowTabs) {
-    if (tabs.length <= minTabs) {
-      for (const tab of tabs) {
-        tabLastAccessed.set(tab.id, now);
-        activityChanged = true;
-      }
-    }
-  }
-
-  // Filter out candidates from windows already at minTabs
-  const eligibleToClose = tabsToClose.filter(({ windowId }) => {
-    return windowRemaining.get(windowId) > minTabs;
-  });
-
-  // Determine which tabs we can actually close (respect minTabs per window)
-  const tabsToActuallyClose = [];
-  for (const { id, windowId } of eligibleToClose) {
-    if (windowRemaining.get(windowId) <= minTabs) {
-      // Reset timestamp for tabs we can't close yet
-      tabLastAccessed.set(id, now);
-      activityChanged = true;
-      continue;
-    }
-    
-    // Save tab info to corral before closing
-    const tab = allTabs.find((t) => t.id === id);
-    if (tab) tabsToActuallyClose.push({ id, windowId, tab });
-    
-    // Pre-decrement to calculate correctly for subsequent tabs in same window
-    windowRemaining.set(windowId, windowRemaining.get(windowId) - 1);
+  const allTabs = await queryTabs();
+
+  // Protected, active and minTabs-held tabs get a fresh timer instead of
+  // being skipped; the rest past inactiveMinutes are closed oldest first
+  const { close, touch } = selectInactiveTabs(
+    allTabs,
+    tabLastAccessed,
+    settings,
+    now,
+    activatedDebounceTabId,
+    getTabProtections()
+  );
+  for (const tabId of touch) {
+    tabLastAccessed.set(tabId, now);
   }
+  const activityChanged = touch.length > 0;
 
   // Close all eligible tabs in parallel for instant bulk close
-  if (tabsToActuallyClose.length > 0) {
-    const closedTabs = tabsToActuallyClose.map(({ tab }) => tab);
-    
+  if (close.length > 0) {
     // Clean up tracking first
-    for (const { id } of tabsToActuallyClose) {
-      tabLastAccessed.delete(id);
+    for (const tab of close) {
+      tabLastAccessed.delete(tab.id);
     }
     
     // Close all tabs in parallel
-    const closePromises = tabsToActuallyClose.map(async ({ id }) => {
+    const closePromises = close.map(async ({ id }) => {
       try {
         await browser.tabs.remove(id);
+        unindexTab(id);
         return { id, success: true };
       } catch (error) {
         console.log(`TabCap: Error closing inactive tab ${id}:`, error);
@@ -994,7 +1918,7 @@ async function _doInactiveCheck() {
     console.log(`TabCap: Closed ${successCount} inactive tabs at once`);
     
     // Save to corral and update stats
-    await addToCorral(closedTabs);
+    await addToCorral(close, "inactive");
     await incrementInactiveClosed(successCount);
     await persistTabActivityNow();
     await broadcastTabCount();
@@ -1008,32 +1932,15 @@ async function _doInactiveCheck() {
 async function getInactiveTabsInfo() {
   const settings = await getSettings();
   const now = Date.now();
-  const allTabs = await browser.tabs.query({});
+  const allTabs = await queryTabs();
+  const protections = getTabProtections();
   const result = [];
 
   for (const tab of allTabs) {
     const lastAccessed = tabLastAccessed.get(tab.id) || now;
-    let isProtected = false;
-    let protectReason = "";
-
-    if (tab.active) {
-      isProtected = true;
-      protectReason = "active";
-    } else if (isInternalUrl(tab.url)) {
-      isProtected = true;
-      protectReason = "system";
-    } else if (settings.protectPinned && tab.pinned) {
-      isProtected = true;
-      protectReason = "pinned";
-    } else if (settings.protectAudible && tab.audible) {
-      isProtected = true;
-      protectReason = "audible";
-    } else if (settings.protectAllowlist && settings.allowlistEnabled && settings.allowlist.length > 0) {
-      if (isUrlAllowed(tab.url, settings.allowlist)) {
-        isProtected = true;
-        protectReason = "allowlist";
-      }
-    }
+    const protectReason = getProtectReason(tab, settings, protections);
+    const isProtected = protectReason !== "";
+    const userProtection = protections.has(tab.id) ? protectedTabs.get(tab.id) : null;
 
     result.push({
       id: tab.id,
@@ -1041,6 +1948,9 @@ async function getInactiveTabsInfo() {
       lastAccessed,
       isProtected,
       protectReason,
+      // Snoozed/kept by the user (can be undone from the popup)
+      userProtected: !!userProtection,
+      protectedUntil: userProtection ? userProtection.until : null,
     });
   }
 
@@ -1049,6 +1959,89 @@ async function getInactiveTabsInfo() {
   return result;
 }
 
+// Tabs the user protected from auto-close by hand, by tab id: snoozed
+// (exempt until a time) or kept (until = null, for good). Stored as
+// { [tabId]: { url, until } }. Safari renumbers tabs on relaunch, so the URL
+// is kept current and used to find the tab again.
+const protectedTabs = new Map();
+
+// Snooze lengths offered in the popup; "tomorrow" ends at SNOOZE_TOMORROW_HOUR
+const SNOOZE_DURATIONS = { "1h": 60 * 60 * 1000, "4h": 4 * 60 * 60 * 1000 };
+const SNOOZE_TOMORROW_HOUR = 8;
+
+// tab id -> protect reason ("snoozed" or "kept"), as policy.getProtectReason()
+// takes it. Snoozes that have run out are left out.
+function getTabProtections(now = Date.now()) {
+  const protections = new Map();
+  for (const [tabId, entry] of protectedTabs) {
+    if (entry.until == null) protections.set(tabId, "kept");
+    else if (entry.until > now) protections.set(tabId, "snoozed");
+  }
+  return protections;
+}
+
+// When a snooze ends: a duration key, "tomorrow", or "keep" (null = never)
+function getProtectUntil(duration, now = Date.now()) {
+  if (duration === "keep") return null;
+  if (duration === "tomorrow") {
+    const until = new Date(now);
+    until.setDate(until.getDate() + 1);
+    until.setHours(SNOOZE_TOMORROW_HOUR, 0, 0, 0);
+    return until.getTime();
+  }
+  return now + (SNOOZE_DURATIONS[duration] || SNOOZE_DURATIONS["1h"]);
+}
+
+async function restoreTabProtections() {
+  try {
+    const result = await browser.storage.local.get("tabProtections");
+    const tabs = await queryTabs();
+    const tabsById = new Map(tabs.map((t) => [t.id, t]));
+    const now = Date.now();
+    const unmatched = [];
+
+    // Same id and URL: a worker restart, the tab is still there
+    for (const [idStr, entry] of Object.entries(result.tabProtections || {})) {
+      if (entry.until != null && entry.until <= now) continue;
+      const tab = tabsById.get(parseInt(idStr));
+      if (tab && (!entry.url || tab.url === entry.url)) protectedTabs.set(tab.id, entry);
+      else unmatched.push(entry);
+    }
+
+    // Otherwise (Safari relaunched): the first unclaimed tab on that URL
+    for (const entry of unmatched) {
+      const tab = tabs.find((t) => t.url === entry.url && !protectedTabs.has(t.id));
+      if (tab) protectedTabs.set(tab.id, entry);
+    }
+
+    await persistTabProtections();
+  } catch {}
+}
+
+async function persistTabProtections() {
+  try {
+    const now = Date.now();
+    for (const [tabId, entry] of protectedTabs) {
+      if (entry.until != null && entry.until <= now) protectedTabs.delete(tabId);
+    }
+    await browser.storage.local.set({
+      tabProtections: Object.fromEntries(protectedTabs),
+    });
+  } catch {}
+}
+
+// Snooze or keep a tab. duration: "1h", "4h", "tomorrow" or "keep".
+async function protectTab(tab, duration) {
+  protectedTabs.set(tab.id, { url: tab.url || "", until: getProtectUntil(duration) });
+  await persistTabProtections();
+}
+
+async function unprotectTab(tabId) {
+  if (!protectedTabs.delete(tabId)) return false;
+  await persistTabProtections();
+  return true;
+}
+
 // Setup or clear the inactive tabs alarm
 async function setupInactiveAlarm() {
   const settings = await getSettings();
@@ -1070,6 +2063,1194 @@ async function setupInactiveAlarm() {
   }
 }
 
+// Save settings and apply side effects (timer resets, badge, alarms).
+// Every settings change - from the popup or from a schedule switch - goes
+// through here so inactivity timers are reset consistently.
+async function applySettings(settings) {
+  const newSettings = normalizeSettings(settings);
+
+  // Tab Wrangler pattern: reset all timers when inactivity time changes
+  const oldSettings = await getSettings();
+  await saveSettings(newSettings);
+
+  // Turning protection back on, by hand or when the time is up, ends a pause
+  if (newSettings.enabled) await endPause();
+
+  // Reset all inactivity timestamps when:
+  // 1. inactiveMinutes changed (Tab Wrangler pattern)
+  // 2. inactiveEnabled just turned ON - without this, tabs that have been
+  //    idle for hours get immediately closed on the very first check,
+  //    because handleTabActivated tracks timestamps even when disabled.
+  const minutesChanged = oldSettings.inactiveMinutes !== newSettings.inactiveMinutes;
+  const justEnabled = !oldSettings.inactiveEnabled && newSettings.inactiveEnabled;
+  if (minutesChanged || justEnabled) {
+    const now = Date.now();
+    for (const tabId of tabLastAccessed.keys()) {
+      tabLastAccessed.set(tabId, now);
+    }
+    await persistTabActivityNow();
+    console.log(`TabCap: Timer reset - ${justEnabled ? "inactive closing enabled" : "inactivity time changed"}`);
+  }
+
+  await seedTabRuleTracking(newSettings);
+  await updateBadge();
+  await setupInactiveAlarm();
+}
+
+// Schedules: weekly time windows that temporarily override settings.
+// The values a schedule replaced are kept in "scheduleState" (separate from
+// settings, so popup saves can't clobber them) and restored when it ends,
+// along with the overrides applied, so edits to them are picked up.
+
+// Parse "HH:MM" into minutes since midnight (null if invalid)
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  const hours = parseInt(match[1]);
+  const minutes = parseInt(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+// Check if a schedule covers the given date.
+// Windows where end <= start run overnight (e.g. 22:00-02:00) and belong
+// to the day they started on.
+function isScheduleActiveAt(schedule, date) {
+  const start = parseTimeOfDay(schedule.start);
+  const end = parseTimeOfDay(schedule.end);
+  if (start === null || end === null || start === end) return false;
+
+  const days = schedule.days || [];
+  const day = date.getDay();
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  if (start < end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+
+  if (days.includes(day) && minutes >= start) return true;
+  return days.includes((day + 6) % 7) && minutes < end;
+}
+
+// First matching schedule wins (list order = priority)
+function findActiveSchedule(schedules, date) {
+  return (
+    (schedules || []).find((schedule) => isScheduleActiveAt(schedule, date)) ||
+    null
+  );
+}
+
+// Timestamp of the next schedule start or end after `date` (null if none)
+function getNextScheduleBoundary(schedules, date) {
+  let next = null;
+  const nowMs = date.getTime();
+
+  for (const schedule of schedules || []) {
+    const start = parseTimeOfDay(schedule.start);
+    const end = parseTimeOfDay(schedule.end);
+    if (start === null || end === null || start === end) continue;
+
+    // Look one day back for overnight windows that end today
+    for (let offset = -1; offset <= 7; offset++) {
+      const day = new Date(date);
+      day.setHours(0, 0, 0, 0);
+      day.setDate(day.getDate() + offset);
+      if (!(schedule.days || []).includes(day.getDay())) continue;
+
+      const startAt = new Date(day);
+      startAt.setHours(0, start);
+      const endAt = new Date(day);
+      if (end <= start) endAt.setDate(endAt.getDate() + 1);
+      endAt.setHours(0, end);
+
+      for (const time of [startAt.getTime(), endAt.getTime()]) {
+        if (time > nowMs && (next === null || time < next)) next = time;
+      }
+    }
+  }
+
+  return next;
+}
+
+async function getScheduleState() {
+  try {
+    const result = await browser.storage.local.get("scheduleState");
+    return { activeId: null, base: null, overrides: null, ...result.scheduleState };
+  } catch {
+    return { activeId: null, base: null, overrides: null };
+  }
+}
+
+async function saveScheduleState(scheduleState) {
+  await browser.storage.local.set({ scheduleState });
+}
+
+// The schedule fields a schedule sets (unset ones keep the base value)
+function getScheduleOverrides(schedule) {
+  const overrides = {};
+  for (const field of SCHEDULE_FIELDS) {
+    const value = (schedule.overrides || {})[field];
+    if (value !== undefined && value !== null) overrides[field] = value;
+  }
+  return overrides;
+}
+
+// A popup edit to a field the running schedule overrides is kept in its
+// base too, so it survives the schedule ending
+async function recordScheduleBaseEdits(current, next) {
+  const state = await getScheduleState();
+  if (!state.activeId || !state.base) return;
+
+  let edited = false;
+  for (const field of Object.keys(state.base)) {
+    if (JSON.stringify(next[field]) !== JSON.stringify(current[field])) {
+      state.base[field] = next[field];
+      edited = true;
+    }
+  }
+  if (edited) await saveScheduleState(state);
+}
+
+// Switch to whichever schedule should be active right now.
+// Restores the values overridden by the previous schedule before applying
+// the next one, then saves through applySettings().
+async function checkSchedules() {
+  try {
+    // Focus sessions own maxTabs while they run; endFocusSession() calls
+    // checkSchedules() again once the previous limit is restored
+    if (await getFocusSession()) return;
+
+    const settings = await getSettings();
+    const state = await getScheduleState();
+    const active = settings.schedulesEnabled
+      ? findActiveSchedule(settings.schedules, new Date())
+      : null;
+    const activeId = active ? active.id : null;
+    const overrides = active ? getScheduleOverrides(active) : null;
+
+    if (
+      activeId === state.activeId &&
+      JSON.stringify(overrides) === JSON.stringify(state.overrides)
+    ) {
+      return;
+    }
+
+    let next = { ...settings };
+    if (state.activeId && state.base) {
+      next = { ...next, ...state.base };
+    }
+
+    let base = null;
+    if (active) {
+      base = {};
+      for (const [field, value] of Object.entries(overrides)) {
+        base[field] = next[field];
+        next[field] = value;
+      }
+    }
+
+    await saveScheduleState({ activeId, base, overrides });
+    await applySettings(next);
+    console.log(
+      active
+        ? `TabCap: Schedule "${active.name}" active`
+        : "TabCap: No schedule active, restored base settings"
+    );
+  } catch (error) {
+    console.error("TabCap: Schedule check error:", error);
+  }
+}
+
+// Schedule an alarm at the next schedule start/end.
+// periodicCheck() also calls checkSchedules() as a safety net in case
+// Safari delays or drops the one-shot alarm.
+async function setupScheduleAlarm() {
+  const settings = await getSettings();
+
+  try {
+    await browser.alarms.clear(SCHEDULE_ALARM_NAME);
+  } catch {}
+
+  if (!settings.schedulesEnabled) return;
+
+  const next = getNextScheduleBoundary(settings.schedules, new Date());
+  if (!next) return;
+
+  try {
+    await browser.alarms.create(SCHEDULE_ALARM_NAME, { when: next });
+  } catch (error) {
+    console.error("TabCap: Could not create schedule alarm:", error);
+  }
+}
+
+// Active schedule info for the popup status card
+async function getActiveScheduleInfo() {
+  const settings = await getSettings();
+  const state = await getScheduleState();
+  if (!settings.schedulesEnabled || !state.activeId) return { active: null };
+
+  const schedule = (settings.schedules || []).find((s) => s.id === state.activeId);
+  if (!schedule) return { active: null };
+
+  return {
+    active: { id: schedule.id, name: schedule.name, end: schedule.end },
+  };
+}
+
+// Focus sessions: temporarily lower maxTabs for a fixed duration.
+// Stored separately from settings ("focusSession") so the previous limit
+// can be restored when the alarm fires, even after a worker restart.
+async function getFocusSession() {
+  try {
+    const result = await browser.storage.local.get("focusSession");
+    return result.focusSession || null;
+  } catch {
+    return null;
+  }
+}
+
+// Serializes starting and ending a session: the alarm, periodicCheck(), the
+// shortcut and the popup can all try at once, and only the first may save
+// or restore the limit and count it
+let focusSessionUpdating = Promise.resolve();
+
+function withFocusSessionLock(task) {
+  const run = focusSessionUpdating.then(task);
+  focusSessionUpdating = run.catch(() => {});
+  return run;
+}
+
+function startFocusSession(minutes, maxTabs) {
+  return withFocusSessionLock(async () => {
+    // Re-read inside the guard: an earlier caller may have started one
+    if (await getFocusSession()) return false;
+
+    const duration = Math.min(240, Math.max(1, parseInt(minutes) || 25));
+    const settings = await getSettings();
+    // A session can only make the limit stricter
+    const limit = Math.max(1, Math.min(settings.maxTabs, parseInt(maxTabs) || settings.maxTabs));
+    const now = Date.now();
+
+    const session = {
+      startedAt: now,
+      endsAt: now + duration * 60 * 1000,
+      minutes: duration,
+      maxTabs: limit,
+      previousMaxTabs: settings.maxTabs,
+    };
+
+    await browser.storage.local.set({ focusSession: session });
+    await applySettings({ ...settings, maxTabs: limit });
+
+    try {
+      await browser.alarms.create(FOCUS_ALARM_NAME, { when: session.endsAt });
+    } catch (error) {
+      // periodicCheck() still ends the session once endsAt has passed
+      console.error("TabCap: Could not create focus session alarm:", error);
+    }
+
+    console.log(`TabCap: Focus session started - ${duration} min at ${limit} tabs`);
+    return true;
+  });
+}
+
+// End the running session and restore the previous limit.
+// completed = true when the timer ran out, false when ended early.
+function endFocusSession(completed) {
+  return withFocusSessionLock(async () => {
+    // Re-read inside the guard: an earlier caller may have ended it
+    const session = await getFocusSession();
+    if (!session) return false;
+
+    await browser.storage.local.remove("focusSession");
+    try {
+      await browser.alarms.clear(FOCUS_ALARM_NAME);
+    } catch {}
+
+    const settings = await getSettings();
+    await applySettings({ ...settings, maxTabs: session.previousMaxTabs });
+
+    const focusedMs = Math.min(session.endsAt, Date.now()) - session.startedAt;
+    await recordFocusSession(completed, Math.max(0, Math.round(focusedMs / 60000)));
+
+    // Apply any schedule change that was deferred during the session
+    await checkSchedules();
+    await setupScheduleAlarm();
+
+    console.log(`TabCap: Focus session ${completed ? "completed" : "ended early"}`);
+    return true;
+  });
+}
+
+// End the session if its alarm was missed (worker asleep, Safari coalescing)
+async function checkFocusSession() {
+  const session = await getFocusSession();
+  if (session && Date.now() >= session.endsAt) {
+    await endFocusSession(true);
+  }
+}
+
+// Delayed friction: a loosening action confirmed with the "delayed"
+// challenge is stored ("pendingFriction") and applied when its alarm fires,
+// unless cancelled first. Only one can be pending; a new one replaces it.
+const FRICTION_ACTIONS = {
+  disable: { enabled: false },
+  allowlist: { allowlistEnabled: true },
+  unlock: { tabLimitLocked: false },
+  disableGlobal: { globalLimit: false },
+};
+
+// Actions that carry their own changes, and the settings each may touch.
+// ("importLoosen" carries the backup instead; "endFocus" nothing.)
+const FRICTION_CHANGE_KEYS = {
+  frictionSettings: FRICTION_TUNING_KEYS,
+  preset: PRESET_FIELDS,
+  overrideBudget: ["overrideTokens"],
+  schedule: ["schedules"],
+};
+
+// Whether the lock rules out a delayed action: friction and schedules are
+// fixed while the limit is locked, and a looser preset would get around it
+function isFrictionActionLocked(action, settings, changes) {
+  if (!settings.tabLimitLocked) return false;
+  if (action === "frictionSettings" || action === "schedule") return true;
+  return action === "preset" && isLooserSettings(settings, { ...settings, ...changes });
+}
+
+async function getPendingFriction() {
+  try {
+    const result = await browser.storage.local.get("pendingFriction");
+    return result.pendingFriction || null;
+  } catch {
+    return null;
+  }
+}
+
+// A delayed disable may be a pause (minutes), which starts when it applies
+async function scheduleFrictionAction(action, { minutes, changes, backup, mode } = {}) {
+  const settings = await getSettings();
+  const pending = {
+    action,
+    applyAt: Date.now() + settings.frictionDelayMinutes * 60 * 1000,
+  };
+  if (FRICTION_CHANGE_KEYS[action]) {
+    if (typeof changes !== "object" || !changes) return false;
+    pending.changes = {};
+    for (const key of FRICTION_CHANGE_KEYS[action]) {
+      if (key in changes) pending.changes[key] = changes[key];
+    }
+    if (isFrictionActionLocked(action, settings, pending.changes)) return false;
+  } else if (action === "importLoosen") {
+    if (validateBackup(backup).length) return false;
+    pending.backup = backup;
+    pending.mode = mode === "merge" ? "merge" : "replace";
+  } else if (!FRICTION_ACTIONS[action] && action !== "endFocus") {
+    return false;
+  }
+  if (action === "disable" && PAUSE_DURATIONS.includes(minutes)) pending.minutes = minutes;
+  await browser.storage.local.set({ pendingFriction: pending });
+
+  try {
+    await browser.alarms.create(FRICTION_ALARM_NAME, { when: pending.applyAt });
+  } catch (error) {
+    // periodicCheck() still applies it once applyAt has passed
+    console.error("TabCap: Could not create friction alarm:", error);
+  }
+
+  console.log(`TabCap: "${action}" scheduled in ${settings.frictionDelayMinutes} min`);
+  return true;
+}
+
+async function cancelFrictionAction() {
+  if (!(await getPendingFriction())) return false;
+  await browser.storage.local.remove("pendingFriction");
+  try {
+    await browser.alarms.clear(FRICTION_ALARM_NAME);
+  } catch {}
+  console.log("TabCap: Pending friction action cancelled");
+  return true;
+}
+
+// Apply the pending action once its time has come (alarm or safety net)
+async function checkPendingFriction() {
+  const pending = await getPendingFriction();
+  if (!pending || Date.now() < pending.applyAt) return;
+
+  await browser.storage.local.remove("pendingFriction");
+  if (pending.minutes) {
+    await startPause(pending.minutes);
+    return;
+  }
+  if (pending.action === "endFocus") {
+    await endFocusSession(false);
+    return;
+  }
+  if (pending.action === "importLoosen") {
+    const result = await applyImport(pending.backup, pending.mode, true);
+    if (!result.success) console.log("TabCap: Delayed import failed:", result.errors);
+    return;
+  }
+  // Turning protection off for good replaces a running pause
+  if (pending.action === "disable") await endPause();
+  const settings = await getSettings();
+  if (isFrictionActionLocked(pending.action, settings, pending.changes)) {
+    console.log(`TabCap: Dropped delayed "${pending.action}" (limit locked)`);
+    return;
+  }
+  const changes = pending.changes || FRICTION_ACTIONS[pending.action];
+  await applySettings({ ...settings, ...changes });
+  // An added schedule may apply right away
+  if (pending.action === "schedule") {
+    await checkSchedules();
+    await setupScheduleAlarm();
+  }
+  requestUIUpdate();
+  console.log(`TabCap: Applied delayed "${pending.action}"`);
+}
+
+// Pauses: protection off for a few minutes, turned back on by an alarm.
+// Stored as "pause" so the badge can count down and a restarted worker
+// still knows when to re-enable.
+const PAUSE_DURATIONS = [5, 15, 60];
+
+async function getPause() {
+  try {
+    const result = await browser.storage.local.get("pause");
+    return result.pause || null;
+  } catch {
+    return null;
+  }
+}
+
+async function startPause(minutes) {
+  if (!PAUSE_DURATIONS.includes(minutes)) return false;
+  const settings = await getSettings();
+  const running = await getPause();
+  // Already off for good: a pause would turn it back on
+  if (!settings.enabled && !running) return false;
+  // Pausing again while paused starts over
+  if (running) await endPause();
+
+  const now = Date.now();
+  const pause = { startedAt: now, endsAt: now + minutes * 60 * 1000, minutes };
+  await browser.storage.local.set({ pause });
+  await applySettings({ ...settings, enabled: false });
+  await recordPauseStart();
+
+  try {
+    await browser.alarms.create(PAUSE_ALARM_NAME, { when: pause.endsAt });
+  } catch (error) {
+    // periodicCheck() still ends the pause once endsAt has passed
+    console.error("TabCap: Could not create pause alarm:", error);
+  }
+
+  requestUIUpdate();
+  console.log(`TabCap: Paused for ${minutes} min`);
+  return true;
+}
+
+// Forget the pause and log how long it lasted. Called by applySettings()
+// whenever protection is on, so resuming early goes through here too.
+async function endPause() {
+  const pause = await getPause();
+  if (!pause) return false;
+
+  await browser.storage.local.remove("pause");
+  try {
+    await browser.alarms.clear(PAUSE_ALARM_NAME);
+  } catch {}
+
+  const pausedMs = Math.min(pause.endsAt, Date.now()) - pause.startedAt;
+  await recordPauseEnd(Math.max(0, Math.round(pausedMs / 60000)));
+  console.log("TabCap: Pause ended");
+  return true;
+}
+
+// Turn protection back on once the pause is over (alarm or safety net)
+async function checkPause() {
+  const pause = await getPause();
+  if (!pause || Date.now() < pause.endsAt) return;
+  const settings = await getSettings();
+  await applySettings({ ...settings, enabled: true });
+  requestUIUpdate();
+}
+
+// Override tokens: settings.overrideTokens over-limit tabs a day may stay
+// open. Usage is stored per local date ("overrideUsage"), so the budget
+// resets at midnight without an alarm. A token is spent either from the
+// limit page or by arming one in the popup for the next blocked tab.
+const OVERRIDE_ARM_MS = 2 * 60 * 1000;
+
+// Serializes spending and arming so two blocked tabs can't share one token
+let overrideUpdating = Promise.resolve();
+
+function withOverrideLock(task) {
+  const run = overrideUpdating.then(task);
+  overrideUpdating = run.catch(() => {});
+  return run;
+}
+
+async function getOverridesUsedToday() {
+  try {
+    const result = await browser.storage.local.get("overrideUsage");
+    const usage = result.overrideUsage;
+    return usage && usage.date === getDateKey() ? usage.used : 0;
+  } catch {
+    return 0;
+  }
+}
+
+async function getOverrideState(settings) {
+  if (!settings) settings = await getSettings();
+  const used = await getOverridesUsedToday();
+  const result = await browser.storage.local.get("overrideArmedUntil");
+  const armedUntil = result.overrideArmedUntil || 0;
+  return {
+    budget: settings.overrideTokens,
+    remaining: Math.max(0, settings.overrideTokens - used),
+    armedUntil: armedUntil > Date.now() ? armedUntil : null,
+  };
+}
+
+// Callers hold the override lock
+async function takeOverrideToken() {
+  const { remaining } = await getOverrideState();
+  if (remaining <= 0) return false;
+
+  const used = await getOverridesUsedToday();
+  await browser.storage.local.set({ overrideUsage: { date: getDateKey(), used: used + 1 } });
+
+  const stats = await getStats();
+  stats.overridesUsed = (stats.overridesUsed || 0) + 1;
+  await saveStats(stats);
+  await recordHistory({ overrides: 1 });
+  console.log(`TabCap: Override token spent (${remaining - 1} left today)`);
+  return true;
+}
+
+function spendOverrideToken() {
+  return withOverrideLock(takeOverrideToken);
+}
+
+// Let the next over-limit tab through, if it comes within OVERRIDE_ARM_MS
+function armOverride() {
+  return withOverrideLock(async () => {
+    const { remaining } = await getOverrideState();
+    if (remaining <= 0) return false;
+    await browser.storage.local.set({ overrideArmedUntil: Date.now() + OVERRIDE_ARM_MS });
+    return true;
+  });
+}
+
+async function disarmOverride() {
+  await browser.storage.local.remove("overrideArmedUntil");
+}
+
+// Called for a tab about to be blocked: spends the armed token on it
+async function useArmedOverride(tab) {
+  const used = await withOverrideLock(async () => {
+    const { armedUntil } = await getOverrideState();
+    if (!armedUntil) return false;
+    await disarmOverride();
+    return await takeOverrideToken();
+  });
+  if (!used) return false;
+
+  corralRestoredTabs.add(tab.id);
+  setTimeout(() => corralRestoredTabs.delete(tab.id), 5000);
+  console.log(`TabCap: Tab ${tab.id} kept with an override token`);
+  return true;
+}
+
+// Keyboard shortcuts (manifest "commands"). Shortcuts that loosen protection
+// don't act directly: they open the popup - or, where Safari can't open it
+// programmatically, popup.html in a tab - with the friction prompt showing.
+const COMMAND_FOCUS_MINUTES = 25;
+const CONFIRM_PAGE = "popup.html";
+
+// How long "show remaining slots" replaces the badge
+const BADGE_FLASH_MS = 3000;
+let badgeFlash = null; // { text, until }
+
+// Friction action the next popup snapshot should prompt for (see handleCommand)
+let pendingConfirm = null;
+
+async function handleCommand(command) {
+  if (!initResolved && initPromise) {
+    await initPromise;
+  }
+  const settings = await getSettings();
+
+  switch (command) {
+    case "restore-last-closed":
+      await restoreFromCorral(0);
+      break;
+
+    case "toggle-focus-session":
+      if (await getFocusSession()) {
+        await requestConfirmation("endFocus");
+      } else {
+        await startFocusSession(COMMAND_FOCUS_MINUTES, Math.max(1, settings.maxTabs - 1));
+      }
+      requestUIUpdate();
+      break;
+
+    case "close-to-corral":
+      await closeTabToCorral(await getActiveTab());
+      break;
+
+    case "show-remaining-slots":
+      await flashRemainingSlots(settings);
+      break;
+
+    case "open-next-queued": {
+      const activeTab = await getActiveTab();
+      if (activeTab) await openNextReadLater(activeTab.windowId);
+      requestUIUpdate();
+      break;
+    }
+
+    case "toggle-protection":
+      if (settings.enabled) {
+        await requestConfirmation("disable");
+      } else {
+        await applySettings({ ...settings, enabled: true });
+        requestUIUpdate();
+      }
+      break;
+  }
+}
+
+// Ask for the popup's friction prompt before a loosening change
+async function requestConfirmation(action) {
+  pendingConfirm = action;
+  try {
+    await browser.action.openPopup();
+    return;
+  } catch {}
+
+  // No programmatic popup: show the same page in a tab, exempt from the limit
+  pendingConfirm = null;
+  try {
+    const url = browser.runtime.getURL(`${CONFIRM_PAGE}?confirm=${encodeURIComponent(action)}`);
+    const tab = await browser.tabs.create({ url });
+    indexTab(tab);
+    corralRestoredTabs.add(tab.id);
+    setTimeout(() => corralRestoredTabs.delete(tab.id), 5000);
+  } catch (error) {
+    console.error("TabCap: Could not open confirmation page:", error);
+  }
+}
+
+// Close a tab by hand, keeping it in the corral (reason "manual")
+async function closeTabToCorral(tab) {
+  if (!tab) return;
+  try {
+    await browser.tabs.remove(tab.id);
+    unindexTab(tab.id);
+    if (isRealUrl(tab.url)) await addToCorral([tab], "manual");
+    requestUIUpdate();
+  } catch (error) {
+    console.error("TabCap: Error closing tab to corral:", error);
+  }
+}
+
+// Show how many tabs fit before the limit on the badge for a moment
+async function flashRemainingSlots(settings) {
+  const activeTab = await getActiveTab();
+  if (!activeTab || !settings.enabled) return;
+  const count = await getCurrentTabCount(activeTab.windowId, settings);
+  const remaining = Math.max(0, (await getWindowMaxTabs(activeTab.windowId, settings)) - count);
+  badgeFlash = { text: `${remaining}`, until: Date.now() + BADGE_FLASH_MS };
+  await updateBadge();
+  setTimeout(() => updateBadge().catch(() => {}), BADGE_FLASH_MS);
+}
+
+// Context menu items (created at startup; Safari keeps no menus across
+// extension reloads)
+const CONTEXT_MENU_ITEMS = [
+  { id: "allow-site", title: "Always allow this site", contexts: ["page"] },
+  { id: "close-to-corral", title: "Close and save to corral", contexts: ["page"] },
+  { id: "protect-tab", title: "Protect this tab from auto-close", contexts: ["page"] },
+  { id: "open-link-under-limit", title: "Open link in new tab only if under limit", contexts: ["link"] },
+  { id: "open-next-queued", title: "Open next tab from Up next", contexts: ["page"] },
+];
+
+async function setupContextMenus() {
+  try {
+    await browser.contextMenus.removeAll();
+    for (const item of CONTEXT_MENU_ITEMS) {
+      browser.contextMenus.create(item);
+    }
+  } catch (error) {
+    console.error("TabCap: Could not create context menus:", error);
+  }
+}
+
+async function handleContextMenuClick(info, tab) {
+  if (!initResolved && initPromise) {
+    await initPromise;
+  }
+  const settings = await getSettings();
+
+  switch (info.menuItemId) {
+    case "allow-site":
+      await allowSite(info.pageUrl || (tab && tab.url), settings);
+      break;
+
+    case "close-to-corral":
+      await closeTabToCorral(tab);
+      break;
+
+    case "protect-tab":
+      if (tab) await protectTab(tab, "keep");
+      break;
+
+    case "open-link-under-limit":
+      await openLinkUnderLimit(info.linkUrl, tab, settings);
+      break;
+
+    case "open-next-queued":
+      if (tab) await openNextReadLater(tab.windowId);
+      requestUIUpdate();
+      break;
+  }
+}
+
+// Add a page's site to the allowlist. Turning the allowlist on loosens
+// protection, so while it's off the entry is saved and the popup asks.
+async function allowSite(url, settings) {
+  const hostname = isRealUrl(url) ? getHostname(url) : "";
+  if (!hostname) return;
+
+  if (!settings.allowlist.includes(hostname)) {
+    await applySettings({ ...settings, allowlist: [...settings.allowlist, hostname] });
+  }
+  if (!settings.allowlistEnabled) {
+    await requestConfirmation("allowlist");
+  }
+}
+
+// Open a link in a background tab if it fits under the limit; otherwise
+// leave it and flash the (zero) remaining slots on the badge
+async function openLinkUnderLimit(url, tab, settings) {
+  if (!isRealUrl(url)) return;
+  const windowId = tab ? tab.windowId : undefined;
+
+  if (settings.enabled && windowId != null) {
+    const count = await getCurrentTabCount(windowId, settings);
+    if (count >= (await getWindowMaxTabs(windowId, settings))) {
+      await flashRemainingSlots(settings);
+      return;
+    }
+  }
+
+  try {
+    const newTab = await browser.tabs.create({
+      url,
+      active: false,
+      ...(windowId != null ? { windowId } : {}),
+    });
+    indexTab(newTab);
+  } catch (error) {
+    console.error("TabCap: Error opening link:", error);
+  }
+}
+
+// Backup: export/import settings, stats, history, corral, tab activity and
+// tab-count samples as one versioned JSON document. Bump BACKUP_VERSION
+// when the format changes.
+const BACKUP_FORMAT = "tabcap-backup";
+const BACKUP_VERSION = 1;
+const BACKUP_SECTIONS = [
+  "settings",
+  "stats",
+  "statsHistory",
+  "tabCorral",
+  "tabActivity",
+  "readLaterQueue",
+  "tabSamples",
+];
+
+// Settings without a running schedule's overrides or a focus session's
+// clamped limit - the values the user actually chose
+async function getBaseSettings() {
+  const settings = { ...(await getSettings()) };
+  const focusSession = await getFocusSession();
+  if (focusSession) settings.maxTabs = focusSession.previousMaxTabs;
+
+  const state = await getScheduleState();
+  if (state.activeId && state.base) Object.assign(settings, state.base);
+  return settings;
+}
+
+async function exportBackup() {
+  const data = await browser.storage.local.get(BACKUP_SECTIONS);
+
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: {
+      settings: await getBaseSettings(),
+      stats: { ...DEFAULT_STATS, ...data.stats },
+      statsHistory: data.statsHistory || {},
+      tabCorral: data.tabCorral || [],
+      tabActivity: data.tabActivity || {},
+      readLaterQueue: data.readLaterQueue || [],
+      tabSamples: data.tabSamples || [],
+    },
+  };
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+// Check a backup document. Returns a list of user-facing errors (empty if valid).
+function validateBackup(backup) {
+  if (!isPlainObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return ["Not a TabCap backup file"];
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) {
+    return ["Backup has no valid version"];
+  }
+  if (backup.version > BACKUP_VERSION) {
+    return [`Backup is from a newer TabCap (version ${backup.version})`];
+  }
+  if (!isPlainObject(backup.data)) return ["Backup has no data"];
+
+  const errors = [];
+  const { settings, stats, statsHistory, tabCorral, tabActivity, readLaterQueue, tabSamples } =
+    backup.data;
+
+  if (settings !== undefined) {
+    if (!isPlainObject(settings)) {
+      errors.push("settings must be an object");
+    } else {
+      for (const [key, value] of Object.entries(settings)) {
+        if (!(key in DEFAULT_SETTINGS)) continue; // unknown keys are dropped
+        const error = validateSetting(key, value);
+        if (error) errors.push(`settings.${error}`);
+      }
+      if (Array.isArray(settings.allowlist)) {
+        for (const entry of settings.allowlist) {
+          try {
+            parseUrlPattern(entry);
+          } catch (error) {
+            errors.push(`Allowlist entry "${entry}": ${error.message}`);
+          }
+        }
+      }
+      if (Array.isArray(settings.blocklist)) {
+        for (const rule of settings.blocklist) {
+          if (!isPlainObject(rule) || !["close", "weight"].includes(rule.action)) {
+            errors.push("Blocklist rules need a pattern and a close/weight action");
+            continue;
+          }
+          try {
+            parseUrlPattern(rule.pattern);
+          } catch (error) {
+            errors.push(`Blocklist entry "${rule.pattern}": ${error.message}`);
+          }
+        }
+      }
+      if (Array.isArray(settings.domainLimits)) {
+        const bad = settings.domainLimits.some(
+          (rule) =>
+            !isPlainObject(rule) ||
+            typeof rule.domain !== "string" ||
+            !Number.isInteger(rule.max) ||
+            rule.max < 1
+        );
+        if (bad) errors.push("Domain limits need a domain and a max of at least 1");
+      }
+      if (Array.isArray(settings.schedules)) {
+        const bad = settings.schedules.some(
+          (schedule) =>
+            !isPlainObject(schedule) ||
+            !schedule.id ||
+            !Array.isArray(schedule.days) ||
+            parseTimeOfDay(schedule.start) === null ||
+            parseTimeOfDay(schedule.end) === null
+        );
+        if (bad) errors.push("Schedules need an id, days and HH:MM start/end times");
+      }
+    }
+  }
+
+  if (stats !== undefined) {
+    if (!isPlainObject(stats)) {
+      errors.push("stats must be an object");
+    } else {
+      for (const [key, value] of Object.entries(stats)) {
+        if (typeof DEFAULT_STATS[key] === "number" && typeof value !== "number") {
+          errors.push(`stats.${key} must be a number`);
+        }
+      }
+    }
+  }
+
+  if (statsHistory !== undefined) {
+    const ok =
+      isPlainObject(statsHistory) &&
+      Object.entries(statsHistory).every(
+        ([key, day]) =>
+          /^\d{4}-\d{2}-\d{2}$/.test(key) &&
+          isPlainObject(day) &&
+          Object.values(day).every((value) => typeof value === "number")
+      );
+    if (!ok) errors.push("statsHistory must map YYYY-MM-DD dates to daily counts");
+  }
+
+  if (tabCorral !== undefined) {
+    const ok =
+      Array.isArray(tabCorral) &&
+      tabCorral.every((entry) => isPlainObject(entry) && typeof entry.url === "string");
+    if (!ok) errors.push("tabCorral must be a list of tabs with a url");
+  }
+
+  if (tabActivity !== undefined) {
+    const ok =
+      isPlainObject(tabActivity) &&
+      Object.values(tabActivity).every((timestamp) => typeof timestamp === "number");
+    if (!ok) errors.push("tabActivity must map tab IDs to timestamps");
+  }
+
+  if (readLaterQueue !== undefined) {
+    const ok =
+      Array.isArray(readLaterQueue) &&
+      readLaterQueue.every((entry) => isPlainObject(entry) && typeof entry.url === "string");
+    if (!ok) errors.push("readLaterQueue must be a list of entries with a url");
+  }
+
+  if (tabSamples !== undefined) {
+    const ok =
+      Array.isArray(tabSamples) &&
+      tabSamples.every(
+        (sample) =>
+          isPlainObject(sample) &&
+          typeof sample.at === "number" &&
+          typeof sample.total === "number" &&
+          isPlainObject(sample.windows)
+      );
+    if (!ok) errors.push("tabSamples must be a list of timestamped tab counts");
+  }
+
+  return errors;
+}
+
+// Union two lists, keeping the first occurrence of each key (current first)
+function mergeByKey(current, imported, key) {
+  const seen = new Set(current.map(key));
+  return [...current, ...imported.filter((item) => !seen.has(key(item)))];
+}
+
+function mergeSettings(current, imported) {
+  const merged = { ...current, ...imported };
+  merged.allowlist = mergeByKey(current.allowlist, imported.allowlist || [], (d) => d);
+  merged.blocklist = mergeByKey(current.blocklist, imported.blocklist || [], (r) => r.pattern);
+  merged.schedules = mergeByKey(current.schedules, imported.schedules || [], (s) => s.id);
+  // Imported caps replace current caps for the same domain
+  merged.domainLimits = mergeByKey(
+    imported.domainLimits || [],
+    current.domainLimits,
+    (r) => r.domain
+  );
+  return merged;
+}
+
+// Counters keep the higher value, dates the later one
+function mergeStats(current, imported) {
+  const merged = { ...current };
+  for (const [key, value] of Object.entries(imported)) {
+    if (typeof value === "number") {
+      merged[key] = Math.max(current[key] || 0, value);
+    }
+  }
+  merged.blockedSites = { ...current.blockedSites };
+  for (const [pattern, count] of Object.entries(imported.blockedSites || {})) {
+    merged.blockedSites[pattern] = Math.max(merged.blockedSites[pattern] || 0, count);
+  }
+  for (const key of ["lastActiveDate", "lastBlockDate", "weekStartDate"]) {
+    const dates = [current[key], imported[key]].filter(Boolean);
+    if (dates.length) {
+      merged[key] = dates.reduce((a, b) => (new Date(a) >= new Date(b) ? a : b));
+    }
+  }
+  return merged;
+}
+
+// Whether the imported settings weaken a locked limit (needs friction).
+// Friction is fixed while locked, so easier challenges count too.
+function loosensLockedLimit(current, next) {
+  if (!current.tabLimitLocked) return false;
+  return (
+    !next.tabLimitLocked ||
+    isLooserSettings(current, next) ||
+    isWeakerFriction(current, next)
+  );
+}
+
+// Work out the data an import would write, without writing it.
+// mode: "merge" combines with current data, "replace" overwrites each
+// section present in the backup. Sections missing from the backup are kept.
+async function planImport(backup, mode) {
+  const imported = backup.data;
+  const stored = await browser.storage.local.get(BACKUP_SECTIONS);
+  const current = {
+    settings: await getBaseSettings(),
+    stats: { ...DEFAULT_STATS, ...stored.stats },
+    statsHistory: stored.statsHistory || {},
+    tabCorral: stored.tabCorral || [],
+    tabActivity: stored.tabActivity || {},
+    readLaterQueue: stored.readLaterQueue || [],
+    tabSamples: stored.tabSamples || [],
+  };
+  const next = { ...current };
+  const merge = mode === "merge";
+
+  if (imported.settings) {
+    const settings = {};
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (key in imported.settings) settings[key] = imported.settings[key];
+    }
+    next.settings = merge
+      ? mergeSettings(current.settings, settings)
+      : normalizeSettings(settings);
+  }
+
+  if (imported.stats) {
+    next.stats = merge
+      ? mergeStats(current.stats, imported.stats)
+      : { ...DEFAULT_STATS, ...imported.stats };
+  }
+
+  if (imported.statsHistory) {
+    let history = { ...imported.statsHistory };
+    if (merge) {
+      history = { ...current.statsHistory };
+      // Same day on both sides: keep the higher value of each count
+      for (const [key, day] of Object.entries(imported.statsHistory)) {
+        const merged = { ...DEFAULT_HISTORY_DAY, ...history[key] };
+        for (const [field, value] of Object.entries(day)) {
+          merged[field] = Math.max(merged[field] || 0, value);
+        }
+        history[key] = merged;
+      }
+    }
+    next.statsHistory = pruneStatsHistory(history, next.settings.historyDays);
+  }
+
+  if (imported.tabCorral) {
+    const corral = merge
+      ? mergeByKey(current.tabCorral, imported.tabCorral, (t) => `${t.url}|${t.closedAt}`)
+      : [...imported.tabCorral];
+    corral.sort((a, b) => (b.closedAt || 0) - (a.closedAt || 0));
+    const max = next.settings.corralMax || 100;
+    if (corral.length > max) corral.length = max;
+    next.tabCorral = corral;
+  }
+
+  if (imported.tabActivity) {
+    next.tabActivity = merge
+      ? { ...imported.tabActivity, ...current.tabActivity }
+      : { ...imported.tabActivity };
+  }
+
+  if (imported.readLaterQueue) {
+    const queue = merge
+      ? mergeByKey(current.readLaterQueue, imported.readLaterQueue, (e) => e.url)
+      : [...imported.readLaterQueue];
+    if (queue.length > READ_LATER_MAX) queue.length = READ_LATER_MAX;
+    next.readLaterQueue = queue;
+  }
+
+  if (imported.tabSamples) {
+    const samples = merge
+      ? mergeByKey(current.tabSamples, imported.tabSamples, (sample) => sample.at)
+      : [...imported.tabSamples];
+    samples.sort((a, b) => a.at - b.at);
+    if (samples.length > TAB_SAMPLES_MAX) samples.splice(0, samples.length - TAB_SAMPLES_MAX);
+    next.tabSamples = samples;
+  }
+
+  const changedSettings = Object.keys(DEFAULT_SETTINGS).filter(
+    (key) => JSON.stringify(current.settings[key]) !== JSON.stringify(next.settings[key])
+  );
+
+  return {
+    next,
+    summary: {
+      mode: merge ? "merge" : "replace",
+      exportedAt: backup.exportedAt || null,
+      settingsChanged: changedSettings,
+      statsChanged: JSON.stringify(current.stats) !== JSON.stringify(next.stats),
+      statsHistory: {
+        before: Object.keys(current.statsHistory).length,
+        after: Object.keys(next.statsHistory).length,
+      },
+      tabCorral: { before: current.tabCorral.length, after: next.tabCorral.length },
+      tabActivity: {
+        before: Object.keys(current.tabActivity).length,
+        after: Object.keys(next.tabActivity).length,
+      },
+      readLaterQueue: {
+        before: current.readLaterQueue.length,
+        after: next.readLaterQueue.length,
+      },
+      tabSamples: { before: current.tabSamples.length, after: next.tabSamples.length },
+      loosensLimit: loosensLockedLimit(current.settings, next.settings),
+    },
+  };
+}
+
+// Dry run: validate and summarize what an import would change
+async function previewImport(backup, mode) {
+  const errors = validateBackup(backup);
+  if (errors.length) return { valid: false, errors };
+  if (await getFocusSession()) {
+    return { valid: false, errors: ["End the focus session before importing"] };
+  }
+
+  const { summary } = await planImport(backup, mode);
+  return { valid: true, errors: [], summary };
+}
+
+// confirmed: the popup asked for the friction challenge (loosening imports)
+async function applyImport(backup, mode, confirmed) {
+  const preview = await previewImport(backup, mode);
+  if (!preview.valid) return { success: false, errors: preview.errors };
+  if (preview.summary.loosensLimit && !confirmed) {
+    return { success: false, errors: ["This backup weakens your locked tab limit"] };
+  }
+
+  const { next } = await planImport(backup, mode);
+  await browser.storage.local.set({
+    stats: next.stats,
+    statsHistory: next.statsHistory,
+    tabCorral: next.tabCorral,
+    tabActivity: next.tabActivity,
+    readLaterQueue: next.readLaterQueue,
+    tabSamples: next.tabSamples,
+  });
+
+  // Imported settings are base settings: drop the running schedule's saved
+  // base so checkSchedules() re-applies overrides on top of them
+  await saveScheduleState({ activeId: null, base: null, overrides: null });
+  await applySettings(next.settings);
+  await checkSchedules();
+  await setupScheduleAlarm();
+
+  // Pick up imported activity for tabs that are still open
+  tabLastAccessed.clear();
+  await restoreTabActivity();
+
+  await broadcastTabCount();
+  console.log(`TabCap: Imported backup (${mode})`);
+  return { success: true, errors: [] };
+}
+
 // Alarm listener
 browser.alarms.onAlarm.addListener(async (alarm) => {
   // Safety net: flush any dirty persist data on every alarm tick.
@@ -1089,57 +3270,144 @@ browser.alarms.onAlarm.addListener(async (alarm) => {
     await periodicCheck();
     await cleanExpiredCorral(); // Clean old tabs from corral
   }
+
+  if (alarm.name === FOCUS_ALARM_NAME) {
+    await endFocusSession(true);
+  }
+
+  if (alarm.name === FRICTION_ALARM_NAME) {
+    await checkPendingFriction();
+  }
+
+  if (alarm.name === PAUSE_ALARM_NAME) {
+    await checkPause();
+  }
+
+  if (alarm.name === SCHEDULE_ALARM_NAME) {
+    await checkSchedules();
+    await setupScheduleAlarm();
+  }
 });
 
 // Message listener
-browser.runtime.onMessage.addListener(async (message) => {
+browser.runtime.onMessage.addListener(async (message, sender) => {
   switch (message.type) {
     case "GET_SETTINGS":
       return await getSettings();
 
     case "SAVE_SETTINGS": {
-      // Tab Wrangler pattern: reset all timers when inactivity time changes
-      const oldSettings = await getSettings();
-      const newSettings = message.settings;
-      await saveSettings(newSettings);
-
-      // Reset all inactivity timestamps when:
-      // 1. inactiveMinutes changed (Tab Wrangler pattern)
-      // 2. inactiveEnabled just turned ON - without this, tabs that have been
-      //    idle for hours get immediately closed on the very first check,
-      //    because handleTabActivated tracks timestamps even when disabled.
-      const minutesChanged = oldSettings.inactiveMinutes !== newSettings.inactiveMinutes;
-      const justEnabled = !oldSettings.inactiveEnabled && newSettings.inactiveEnabled;
-      if (minutesChanged || justEnabled) {
-        const now = Date.now();
-        for (const tabId of tabLastAccessed.keys()) {
-          tabLastAccessed.set(tabId, now);
-        }
-        await persistTabActivityNow();
-        console.log(`TabCap: Timer reset - ${justEnabled ? "inactive closing enabled" : "inactivity time changed"}`);
+      // The limit can't be raised above the focus session limit until the
+      // session ends (ending early goes through STOP_FOCUS_SESSION)
+      const focusSession = await getFocusSession();
+      const newSettings = { ...message.settings };
+      if (focusSession && newSettings.maxTabs > focusSession.maxTabs) {
+        newSettings.maxTabs = focusSession.maxTabs;
       }
+      await recordScheduleBaseEdits(await getSettings(), newSettings);
+      await applySettings(newSettings);
 
-      await updateBadge();
-      await setupInactiveAlarm();
+      // Schedules may have been edited or toggled - re-evaluate which one
+      // applies now and when the next switch happens
+      await checkSchedules();
+      await setupScheduleAlarm();
+
+      return { success: true };
+    }
+
+    case "GET_INTERSTITIAL_STATE":
+      return await getInterstitialState(sender.tab);
+
+    case "SWAP_BLOCKED_TAB": {
+      const swapped = await swapBlockedTab(sender.tab, message.closeTabId, message.url);
+      return { success: swapped };
+    }
+
+    case "SAVE_BLOCKED_FOR_LATER": {
+      const saved = await addToReadLater(message.url, message.title);
+      if (saved) await browser.tabs.remove(sender.tab.id).catch(() => {});
+      return { success: saved };
+    }
+
+    case "OPEN_WITH_OVERRIDE":
+      // Only the limit page itself may spend a token on its tab
+      if (!sender.tab || !isInterstitialUrl(sender.url)) return { success: false };
+      return { success: await openWithOverride(sender.tab, message.url) };
 
+    case "CLOSE_INTERSTITIAL":
+      await browser.tabs.remove(sender.tab.id).catch(() => {});
       return { success: true };
+
+    case "VALIDATE_URL_PATTERN":
+      return await validateUrlPattern(message.entry);
+
+    case "START_FOCUS_SESSION": {
+      const started = await startFocusSession(message.minutes, message.maxTabs);
+      return { success: started };
+    }
+
+    case "STOP_FOCUS_SESSION": {
+      const stopped = await endFocusSession(false);
+      return { success: stopped };
     }
 
+    case "SCHEDULE_FRICTION_ACTION":
+      return {
+        success: await scheduleFrictionAction(message.action, {
+          minutes: message.minutes,
+          changes: message.changes,
+          backup: message.backup,
+          mode: message.mode,
+        }),
+      };
+
+    case "PAUSE_PROTECTION":
+      return { success: await startPause(message.minutes) };
+
+    case "ARM_OVERRIDE":
+      return { success: await armOverride() };
+
+    case "DISARM_OVERRIDE":
+      await disarmOverride();
+      return { success: true };
+
+    case "CANCEL_FRICTION_ACTION":
+      return { success: await cancelFrictionAction() };
+
+    case "GET_STATS_HISTORY":
+      return { days: await getHistorySeries(Math.min(366, Math.max(1, message.days || 7))) };
+
+    case "GET_TAB_METRICS":
+      return await getTabMetrics();
+
     case "GET_STATS":
       return await getStats();
 
+    case "PROTECT_TAB": {
+      const tab = (await queryTabs()).find((t) => t.id === message.tabId);
+      if (!tab) return { success: false };
+      await protectTab(tab, message.duration);
+      return { success: true };
+    }
+
+    case "SET_WINDOW_LIMIT": {
+      const rule = await setWindowLimit(message.windowId, message.label, message.max);
+      return { success: true, rule };
+    }
+
+    case "ATTACH_WINDOW_LIMIT":
+      return { success: await attachWindowLimit(message.id, message.windowId) };
+
+    case "REMOVE_WINDOW_LIMIT":
+      return { success: await removeWindowLimit(message.id) };
+
+    case "UNPROTECT_TAB":
+      return { success: await unprotectTab(message.tabId) };
+
     case "CHECK_INACTIVE_TABS":
       // Allow popup to trigger immediate check/close when it sees tabs at 0s
       await checkInactiveTabs(true); // force=true to bypass throttle
       return { success: true };
 
-    case "GET_INACTIVE_TABS":
-      const inactiveTabs = await getInactiveTabsInfo();
-      return { tabs: inactiveTabs };
-
-    case "GET_CORRAL":
-      return { tabs: await getCorral() };
-
     case "RESTORE_FROM_CORRAL": {
       const restored = await restoreFromCorral(message.index);
       return { success: restored };
@@ -1150,19 +3418,35 @@ browser.runtime.onMessage.addListener(async (message) => {
       return { success };
     }
 
-    case "GET_TAB_COUNT":
-      try {
-        const settings = await getSettings();
-        const [activeTab] = await browser.tabs.query({
-          active: true,
-          currentWindow: true,
-        });
-        if (activeTab) {
-          const count = await getDisplayTabCount(activeTab.windowId, settings);
-          return { count };
-        }
-      } catch {}
-      return { count: 0 };
+    case "EXPORT_BACKUP":
+      return await exportBackup();
+
+    case "PREVIEW_IMPORT":
+      return await previewImport(message.backup, message.mode);
+
+    case "APPLY_IMPORT":
+      return await applyImport(message.backup, message.mode, message.confirmed === true);
+
+    case "OPEN_READ_LATER": {
+      const opened = await openFromReadLater(message.index);
+      return { success: opened };
+    }
+
+    case "OPEN_NEXT_READ_LATER": {
+      const opened = await openNextReadLater(message.windowId);
+      requestUIUpdate();
+      return { success: opened };
+    }
+
+    case "MOVE_READ_LATER": {
+      const moved = await moveReadLater(message.index, message.direction);
+      return { success: moved };
+    }
+
+    case "REMOVE_READ_LATER": {
+      const removed = await removeFromReadLater(message.index);
+      return { success: removed };
+    }
 
     default:
       return null;
@@ -1183,11 +3467,43 @@ browser.windows.onFocusChanged.addListener(handleWindowFocusChanged);
 browser.windows.onCreated.addListener(handleWindowCreated);
 browser.windows.onRemoved.addListener(handleWindowRemoved);
 
+// Drop cached settings when anything writes them
+browser.storage.onChanged.addListener(handleStorageChanged);
+
+// Popup state is pushed over this port instead of polled
+browser.runtime.onConnect.addListener(handlePopupConnect);
+browser.runtime.onStartup.addListener(handleStartup);
+
+// Keyboard shortcuts
+browser.commands.onCommand.addListener(handleCommand);
+
+// Context menu items
+browser.contextMenus.onClicked.addListener(handleContextMenuClick);
+
 // Periodic consistency check - broadcasts count to popup
 async function periodicCheck() {
   try {
+    // Safety net for the one-shot schedule, focus session, friction and
+    // pause alarms
+    await checkFocusSession();
+    await checkSchedules();
+    await checkPendingFriction();
+    await checkPause();
+
+    // Resync the tab index in case an event was missed
+    await rebuildTabIndex();
+    await refreshWindowLimits();
+
     const settings = await getSettings();
-    if (!settings.enabled) return;
+
+    // One sample per tick (about once a minute), even while disabled
+    await recordTabSample(settings);
+
+    if (!settings.enabled) {
+      // Keep the pause countdown on the badge current
+      if (await getPause()) await updateBadge();
+      return;
+    }
 
     // NOTE: checkInactiveTabs is called by the alarm handler itself (for
     // ALL alarms), so we don't call it here. This avoids gating it behind
@@ -1195,18 +3511,14 @@ async function periodicCheck() {
     // own settings.inactiveEnabled flag.
 
     // Get current window's tabs
-    const [activeTab] = await browser.tabs.query({
-      active: true,
-      currentWindow: true,
-    });
+    const activeTab = await getActiveTab();
     if (!activeTab) return;
 
     const currentCount = await getDisplayTabCount(activeTab.windowId, settings);
+    const limit = await getWindowMaxTabs(activeTab.windowId, settings);
 
-    // Broadcast count to popup
-    browser.runtime
-      .sendMessage({ type: "TAB_COUNT_UPDATED", count: currentCount })
-      .catch(() => {});
+    // Push count to open popups
+    postToPopups({ type: "count", count: currentCount, limit });
 
     // Update badge
     await updateBadge();
@@ -1225,12 +3537,22 @@ async function periodicCheck() {
 // stats/storage never permanently blocks checkInactiveTabs.
 initPromise = (async () => {
   try {
+    // Upgrade stored settings before anything reads them
+    await migrateStorage();
+
     const stats = await getStats();
     await saveStats(stats);
     console.log("TabCap: Initialized - Auto-close mode");
 
     // Restore tab activity tracking from storage
     await restoreTabActivity();
+    await restoreTabProtections();
+
+    // Tabs already open on capped/blocked sites count, but are not closed
+    await seedTabRuleTracking(await getSettings());
+
+    // Window ids change when Safari relaunches: find each window limit's window
+    await refreshWindowLimits();
   } catch (error) {
     console.error("TabCap: Init error (continuing anyway):", error);
   } finally {
@@ -1241,6 +3563,13 @@ initPromise = (async () => {
 
   // Setup inactive tab alarm
   await setupInactiveAlarm();
+  await setupContextMenus();
+
+  // Apply any focus session end or schedule switch that happened while the
+  // worker was down
+  await checkFocusSession();
+  await checkSchedules();
+  await setupScheduleAlarm();
 
   // Run immediate check for tabs that expired while worker was down
   await checkInactiveTabs(true);
@@ -0,0 +1,148 @@
+// Safari Tab Limit - Limit Reached Page
+// Shown instead of closing an over-limit tab (limitAction = "interstitial")
+
+const params = new URLSearchParams(window.location.search);
+const blockedUrl = params.get("url") || "";
+const blockedTitle = params.get("title") || "";
+
+// DOM Elements
+let elements = {};
+
+function initElements() {
+  elements = {
+    tabCount: document.getElementById("tabCount"),
+    maxTabs: document.getElementById("maxTabs"),
+    limitScope: document.getElementById("limitScope"),
+    blockedTitle: document.getElementById("blockedTitle"),
+    blockedUrl: document.getElementById("blockedUrl"),
+    readLaterBtn: document.getElementById("readLaterBtn"),
+    goBackBtn: document.getElementById("goBackBtn"),
+    overrideSection: document.getElementById("overrideSection"),
+    overrideBtn: document.getElementById("overrideBtn"),
+    overrideHint: document.getElementById("overrideHint"),
+    tabList: document.getElementById("tabList"),
+  };
+}
+
+function getDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+async function loadState() {
+  try {
+    const state = await browser.runtime.sendMessage({
+      type: "GET_INTERSTITIAL_STATE",
+    });
+    if (state) render(state);
+  } catch {}
+}
+
+function render(state) {
+  elements.tabCount.textContent = state.count;
+  elements.maxTabs.textContent = state.maxTabs;
+  elements.limitScope.textContent = state.globalLimit
+    ? "across all windows"
+    : "in this window";
+  renderOverrides(state.overrides);
+
+  elements.tabList.innerHTML = "";
+  if (state.tabs.length === 0) {
+    elements.tabList.innerHTML = '<p class="hint">No open tabs</p>';
+    return;
+  }
+
+  state.tabs.forEach((tab) => {
+    const item = document.createElement("div");
+    item.className = "tab-item";
+
+    const info = document.createElement("div");
+    info.className = "tab-info";
+    const title = document.createElement("span");
+    title.className = "tab-title";
+    title.textContent = tab.title;
+    const domain = document.createElement("span");
+    domain.className = "tab-domain";
+    domain.textContent = `${getDomain(tab.url)}${tab.pinned ? " · pinned" : ""}`;
+    info.appendChild(title);
+    info.appendChild(domain);
+
+    const btn = document.createElement("button");
+    btn.className = "btn-small";
+    btn.dataset.tabId = tab.id;
+    btn.textContent = "Close & open here";
+
+    item.appendChild(info);
+    item.appendChild(btn);
+    elements.tabList.appendChild(item);
+  });
+}
+
+// Daily override tokens (hidden when the budget is 0)
+function renderOverrides(overrides) {
+  elements.overrideSection.hidden = !overrides || overrides.budget === 0;
+  if (elements.overrideSection.hidden) return;
+  elements.overrideBtn.disabled = overrides.remaining === 0;
+  elements.overrideHint.textContent =
+    overrides.remaining === 0
+      ? "No overrides left today"
+      : `Uses 1 of ${overrides.remaining} override${overrides.remaining === 1 ? "" : "s"} left today`;
+}
+
+function setupEventListeners() {
+  elements.readLaterBtn.addEventListener("click", async () => {
+    await browser.runtime.sendMessage({
+      type: "SAVE_BLOCKED_FOR_LATER",
+      url: blockedUrl,
+      title: blockedTitle,
+    });
+  });
+
+  // Back to the previous page; a tab opened straight into the limit has
+  // nowhere to go back to, so it's closed
+  elements.goBackBtn.addEventListener("click", async () => {
+    if (window.history.length > 1) {
+      window.history.back();
+      return;
+    }
+    await browser.runtime.sendMessage({ type: "CLOSE_INTERSTITIAL" });
+  });
+
+  elements.overrideBtn.addEventListener("click", async () => {
+    elements.overrideBtn.disabled = true;
+    const response = await browser.runtime.sendMessage({
+      type: "OPEN_WITH_OVERRIDE",
+      url: blockedUrl,
+    });
+    if (!response || !response.success) await loadState();
+  });
+
+  // Swap: close the chosen tab, open the blocked URL here
+  elements.tabList.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-tab-id]");
+    if (!btn) return;
+    btn.disabled = true;
+    const response = await browser.runtime.sendMessage({
+      type: "SWAP_BLOCKED_TAB",
+      closeTabId: parseInt(btn.dataset.tabId),
+      url: blockedUrl,
+    });
+    if (!response || !response.success) {
+      btn.disabled = false;
+      await loadState();
+    }
+  });
+}
+
+// Initialize
+document.addEventListener("DOMContentLoaded", async () => {
+  initElements();
+  elements.blockedTitle.textContent = blockedTitle || getDomain(blockedUrl) || "Untitled";
+  elements.blockedUrl.textContent = blockedUrl;
+  document.title = `Tab limit reached – ${blockedTitle || getDomain(blockedUrl)}`;
+  setupEventListeners();
+  await loadState();
+});
@@ -0,0 +1,188 @@
+// Safari Tab Limit - Friction Challenges
+// What the confirmation modal asks before a change that loosens protection.
+// Each challenge type builds a challenge object the popup renders:
+//   prompt        text shown in the phrase box
+//   input         "text", "number" or null (nothing to type)
+//   readyAt       time Confirm unlocks (wait), or 0
+//   delayMinutes  > 0 when confirming only schedules the change (delayed)
+//   isSolved(answer, now)
+// Adding a type means adding a factory to CHALLENGES.
+
+// Built-in phrases (settings.customPhrases are added to these)
+export const FRICTION_PHRASES = [
+  "I am intentionally choosing distraction",
+  "I am breaking my focus on purpose",
+  "I accept this will hurt my productivity",
+  "I choose distraction over deep work",
+  "I am consciously multitasking now",
+  "I understand this breaks my momentum",
+  "I know this will fragment my attention",
+  "I accept the cost of context switching",
+  "I am trading focus for convenience",
+  "I acknowledge this hurts my flow state",
+  "This is my choice and I own it",
+  "I take full responsibility for this",
+  "I am aware of what I am doing",
+  "I choose short-term over long-term",
+  "I am deliberately reducing my focus",
+  "I will return to focused work soon",
+  "This is temporary and intentional",
+  "I promise to re-engage my focus",
+  "I am making an exception not a habit",
+  "I will protect my focus after this",
+  "I am sabotaging my own success",
+  "I am choosing chaos over clarity",
+  "I am letting distraction win today",
+  "I know better but I do it anyway",
+  "I am betraying my future self",
+  "I accept I am wasting my potential",
+  "I am feeding my worst habits",
+  "I prefer noise over signal right now",
+  "I am choosing the easy path",
+  "I am stealing time from my goals",
+  "I know this dopamine is not worth it",
+  "I am actively hurting my brain",
+  "I choose scattered over centered",
+  "I am giving up on deep thinking",
+  "I am training my brain to quit",
+];
+
+// Actions whose challenge type is configurable, and the setting holding it
+export const FRICTION_SETTING_KEYS = {
+  disable: "frictionDisable",
+  allowlist: "frictionAllowlist",
+  unlock: "frictionUnlock",
+  disableGlobal: "frictionDisableGlobal",
+};
+
+// Phrases joined for the "longPhrase" challenge
+const LONG_PHRASE_PARTS = 3;
+
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function phrasePool(settings) {
+  const custom = (settings.customPhrases || []).filter((p) => typeof p === "string" && p.trim());
+  return [...FRICTION_PHRASES, ...custom];
+}
+
+function typedChallenge(type, phrase) {
+  return {
+    type,
+    prompt: phrase,
+    input: "text",
+    readyAt: 0,
+    delayMinutes: 0,
+    isSolved: (answer) => String(answer || "").trim().toLowerCase() === phrase.toLowerCase(),
+  };
+}
+
+// Listed from easiest to hardest to pass (see isWeakerFriction)
+const CHALLENGES = {
+  phrase(settings, { random }) {
+    return typedChallenge("phrase", pick(phrasePool(settings), random));
+  },
+
+  arithmetic(settings, { random }) {
+    const a = 12 + Math.floor(random() * 28);
+    const b = 3 + Math.floor(random() * 7);
+    const c = 10 + Math.floor(random() * 90);
+    const result = a * b + c;
+    return {
+      type: "arithmetic",
+      prompt: `${a} × ${b} + ${c} = ?`,
+      input: "number",
+      readyAt: 0,
+      delayMinutes: 0,
+      isSolved: (answer) => parseInt(answer) === result,
+    };
+  },
+
+  longPhrase(settings, { random }) {
+    const pool = [...phrasePool(settings)];
+    const parts = [];
+    while (parts.length < LONG_PHRASE_PARTS && pool.length > 0) {
+      parts.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+    }
+    return typedChallenge("longPhrase", parts.join(". "));
+  },
+
+  wait(settings, { now }) {
+    const readyAt = now + settings.frictionWaitSeconds * 1000;
+    return {
+      type: "wait",
+      prompt: "",
+      input: null,
+      readyAt,
+      delayMinutes: 0,
+      isSolved: (answer, at = Date.now()) => at >= readyAt,
+    };
+  },
+
+  delayed(settings) {
+    return {
+      type: "delayed",
+      prompt: "",
+      input: null,
+      readyAt: 0,
+      delayMinutes: settings.frictionDelayMinutes,
+      isSolved: () => true,
+    };
+  },
+};
+
+export const CHALLENGE_TYPES = Object.keys(CHALLENGES);
+
+// Every setting that tunes friction (the per-action types plus the ones
+// shared by all challenges), and the only ones a scheduled
+// "frictionSettings" change may touch
+export const FRICTION_TUNING_KEYS = [
+  ...Object.values(FRICTION_SETTING_KEYS),
+  "frictionWaitSeconds",
+  "frictionDelayMinutes",
+  "customPhrases",
+];
+
+// The challenge type an action asks for ("phrase" if its setting is
+// unknown). Actions without a setting of their own (switching preset,
+// importing a backup, raising overrides, ending a focus session) loosen
+// limits too, so they ask for the hardest one.
+export function getChallengeType(action, settings) {
+  const key = FRICTION_SETTING_KEYS[action];
+  if (!key) return getChallengeType(getHardestFrictionAction(settings), settings);
+  return CHALLENGES[settings[key]] ? settings[key] : "phrase";
+}
+
+// The configurable action with the hardest challenge. Weakening a shared
+// setting, and any action without its own setting, asks for this one, so
+// neither can be used to get around any of them.
+export function getHardestFrictionAction(settings) {
+  const rank = (action) => CHALLENGE_TYPES.indexOf(getChallengeType(action, settings));
+  return Object.keys(FRICTION_SETTING_KEYS).reduce((hardest, action) =>
+    rank(action) > rank(hardest) ? action : hardest
+  );
+}
+
+// Whether next makes any challenge easier than current: an easier type,
+// a shorter wait or delay, or a removed phrase
+export function isWeakerFriction(current, next) {
+  const easierType = Object.keys(FRICTION_SETTING_KEYS).some(
+    (action) =>
+      CHALLENGE_TYPES.indexOf(getChallengeType(action, next)) <
+      CHALLENGE_TYPES.indexOf(getChallengeType(action, current))
+  );
+  const removedPhrase = current.customPhrases.some(
+    (phrase) => !next.customPhrases.includes(phrase)
+  );
+  return (
+    easierType ||
+    next.frictionWaitSeconds < current.frictionWaitSeconds ||
+    next.frictionDelayMinutes < current.frictionDelayMinutes ||
+    removedPhrase
+  );
+}
+
+export function createChallenge(action, settings, { random = Math.random, now = Date.now() } = {}) {
+  return CHALLENGES[getChallengeType(action, settings)](settings, { random, now });
+}
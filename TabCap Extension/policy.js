@@ -0,0 +1,690 @@
+// Safari Tab Limit - Policy Core
+// Pure decisions behind the background script: URL matching, tab weights,
+// what to do with a new tab, which tabs go inactive and which get evicted.
+// Nothing here touches the browser API, so it can run under Node for tests.
+
+// Check if URL is real (not blank/special)
+export function isRealUrl(url) {
+  if (!url || url === "") return false;
+  if (url === "about:blank" || url === "about:newtab") return false;
+  if (url.startsWith("safari-resource:")) return false;
+  if (url.startsWith("favorites://")) return false;
+  return url.startsWith("http://") || url.startsWith("https://");
+}
+
+// Check if URL is an internal/special page that should never be closed
+export function isInternalUrl(url) {
+  if (!url) return true;
+  if (url === "about:blank" || url === "about:newtab") return true;
+  if (url.startsWith("about:")) return true;
+  if (url.startsWith("safari-resource:")) return true;
+  if (url.startsWith("safari-web-extension:")) return true;
+  if (url.startsWith("favorites://")) return true;
+  if (url.startsWith("chrome://")) return true;
+  return false;
+}
+
+// Get hostname without www (empty string if URL can't be parsed)
+export function getHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+}
+
+// Check if URL's hostname is the domain or one of its subdomains
+export function isUrlOnDomain(url, domain) {
+  if (!url || !domain) return false;
+
+  try {
+    const hostname = new URL(url).hostname.toLowerCase().replace(/^www\./, "");
+    const cleanDomain = domain.toLowerCase().replace(/^www\./, "");
+    return hostname === cleanDomain || hostname.endsWith("." + cleanDomain);
+  } catch {
+    return false;
+  }
+}
+
+
+// Check if URL is in allowlist
+export function isUrlAllowed(url, allowlist) {
+  if (!url || !allowlist || allowlist.length === 0) return false;
+
+  return allowlist.some((entry) => {
+    const pattern = compileUrlPattern(entry);
+    return pattern ? matchesUrlPattern(url, pattern) : false;
+  });
+}
+
+// Allowlist entry patterns:
+//   example.com                  domain and all its subdomains
+//   localhost:3000, 10.0.0.5     that host (and port) only
+//   docs.google.com/document/    pages under a path on that host
+//   *.google.com/document/*      glob over host[:port]/path?query
+//   /github\.com\/acme\//        regular expression over the full URL
+// Hosts are compared in ASCII (punycode) form, so IDN entries match the
+// hostnames Safari reports.
+const urlPatternCache = new Map();
+
+// Compiled pattern for an allowlist entry, or null if it's invalid.
+// Cached because isUrlAllowed() runs for every tab on every count.
+export function compileUrlPattern(entry) {
+  if (urlPatternCache.has(entry)) return urlPatternCache.get(entry);
+
+  let pattern = null;
+  try {
+    pattern = parseUrlPattern(entry);
+  } catch {}
+  urlPatternCache.set(entry, pattern);
+  return pattern;
+}
+
+// Parse an allowlist entry. Throws with a user-facing message if invalid.
+export function parseUrlPattern(entry) {
+  const raw = String(entry || "").trim();
+  if (!raw) throw new Error("Enter a domain, path or pattern");
+
+  const regexMatch = /^\/(.+)\/([a-z]*)$/.exec(raw);
+  if (regexMatch) {
+    // Stateful flags would make test() alternate between calls
+    const flags = regexMatch[2].replace(/[gy]/g, "");
+    try {
+      return { type: "regex", entry: raw, regex: new RegExp(regexMatch[1], flags) };
+    } catch {
+      throw new Error("Invalid regular expression");
+    }
+  }
+
+  const stripped = raw.replace(/^https?:\/\//i, "").replace(/^www\./i, "");
+  if (/\s/.test(stripped)) throw new Error("Entries can't contain spaces");
+
+  const parts = /^(\[[^\]]*\]|[^:/?#]*)(?::(\d+|\*))?([/?#].*)?$/.exec(stripped);
+  if (!parts || !parts[1]) throw new Error("Missing host");
+
+  const port = parts[2] || "";
+  let path = parts[3] || "";
+
+  if (stripped.includes("*")) {
+    const host = toAsciiGlobHost(parts[1]);
+    return {
+      type: "glob",
+      entry: host + (port ? ":" + port : "") + path,
+      port,
+      hostRegex: globHostToRegExp(host),
+      pathRegex: path ? globPathToRegExp(path) : null,
+    };
+  }
+
+  if (port && (parseInt(port) < 1 || parseInt(port) > 65535)) {
+    throw new Error("Invalid port");
+  }
+
+  const host = toAsciiHost(parts[1]);
+  const hostWithPort = host + (port ? ":" + port : "");
+
+  if (path) {
+    // Path prefixes match on the pathname only
+    path = path.split(/[?#]/)[0] || "/";
+    return { type: "path", entry: hostWithPort + path, host, port, path };
+  }
+
+  // IPs and explicit ports match that exact host; domains include subdomains
+  const exact = !!port || isIpHost(host);
+  return { type: exact ? "host" : "domain", entry: hostWithPort, host, port };
+}
+
+// Lowercase + punycode a hostname the same way URL() does
+function toAsciiHost(host) {
+  let hostname;
+  try {
+    hostname = new URL("http://" + host).hostname;
+  } catch {
+    throw new Error("Invalid host");
+  }
+  hostname = hostname.replace(/\.$/, "");
+  if (!hostname) throw new Error("Invalid host");
+  return hostname;
+}
+
+// Convert a host containing * wildcards to ASCII, keeping the wildcards
+function toAsciiGlobHost(host) {
+  if (host === "*") return host;
+  const placeholder = "tabcap-wildcard";
+  return toAsciiHost(host.split("*").join(placeholder)).split(placeholder).join("*");
+}
+
+function isIpHost(host) {
+  return host.startsWith("[") || /^\d{1,3}(\.\d{1,3}){3}$/.test(host);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Host and path are matched separately, so a wildcard can't run from the
+// host into the path or query ("*.google.com" vs evil.com/x.google.com).
+// In the host, a leading "*" label stands for one or more subdomain labels
+// and any other "*" for part of a single label.
+function globHostToRegExp(host) {
+  const labels = host.split(".").map((label, index) => {
+    if (label === "*" && index === 0) return "[^/?#:]+";
+    return label.split("*").map(escapeRegExp).join("[^./?#:]*");
+  });
+  return new RegExp(`^${labels.join("\\.")}$`, "i");
+}
+
+// In the path (and query), "*" matches any run of characters
+function globPathToRegExp(path) {
+  return new RegExp(`^${path.split("*").map(escapeRegExp).join(".*")}$`, "i");
+}
+
+export function matchesUrlPattern(url, pattern) {
+  if (pattern.type === "regex") return pattern.regex.test(url);
+
+  let urlObj;
+  try {
+    urlObj = new URL(url);
+  } catch {
+    return false;
+  }
+
+  const fullHostname = urlObj.hostname.toLowerCase();
+  const hostname = fullHostname.replace(/^www\./, "");
+  const port =
+    urlObj.port ||
+    (urlObj.protocol === "https:" ? "443" : urlObj.protocol === "http:" ? "80" : "");
+
+  if (pattern.port && pattern.port !== "*" && pattern.port !== port) return false;
+
+  // Globs are tried on the full hostname ("*.google.com" covers
+  // www.google.com) and without www (entries have theirs stripped).
+  // Without a path part, any path matches.
+  if (pattern.type === "glob") {
+    const hostMatches = pattern.hostRegex.test(fullHostname) || pattern.hostRegex.test(hostname);
+    if (!hostMatches) return false;
+    return !pattern.pathRegex || pattern.pathRegex.test(urlObj.pathname + urlObj.search);
+  }
+
+  if (pattern.type === "domain") {
+    return hostname === pattern.host || hostname.endsWith("." + pattern.host);
+  }
+  if (hostname !== pattern.host) return false;
+  if (pattern.type === "host") return true;
+
+  // Path prefix, on segment boundaries: "/doc" doesn't match "/document"
+  const prefix = pattern.path.endsWith("/") ? pattern.path : pattern.path + "/";
+  return urlObj.pathname === pattern.path || urlObj.pathname.startsWith(prefix);
+}
+
+export function describeUrlPattern(pattern) {
+  switch (pattern.type) {
+    case "domain":
+      return `${pattern.host} and its subdomains`;
+    case "host":
+      return `${pattern.entry} only`;
+    case "path":
+      return `Pages under ${pattern.entry}`;
+    case "glob":
+      return "Wildcard pattern";
+    default:
+      return "Regular expression (full URL)";
+  }
+}
+
+// Find the per-domain cap rule for a URL (first match wins)
+export function findDomainLimit(url, domainLimits) {
+  if (!isRealUrl(url) || !domainLimits || domainLimits.length === 0) return null;
+  return domainLimits.find((rule) => isUrlOnDomain(url, rule.domain)) || null;
+}
+
+// Find the blocklist rule for a URL (first match wins)
+export function findBlocklistRule(url, settings) {
+  if (!settings.blocklistEnabled || !settings.blocklist || settings.blocklist.length === 0) {
+    return null;
+  }
+  if (!isRealUrl(url)) return null;
+
+  return (
+    settings.blocklist.find((rule) => {
+      const pattern = compileUrlPattern(rule.pattern);
+      return pattern ? matchesUrlPattern(url, pattern) : false;
+    }) || null
+  );
+}
+
+// How much a tab counts toward maxTabs. Blocklist rules win over the
+// allowlist: a weighted blocked site counts its weight even if allowlisted.
+// interstitialUrl is the limit-reached page, which stands in for a blocked
+// tab and doesn't count.
+export function tabWeight(tab, settings, interstitialUrl = "") {
+  if (interstitialUrl && tab.url && tab.url.startsWith(interstitialUrl)) return 0;
+
+  const rule = findBlocklistRule(tab.url, settings);
+  if (rule && rule.action === "weight") return Math.max(1, rule.weight || 1);
+
+  // If allowlist is enabled, don't count allowlisted tabs
+  if (settings.allowlistEnabled && settings.allowlist.length > 0) {
+    if (isUrlAllowed(tab.url, settings.allowlist)) return 0;
+  }
+
+  return 1;
+}
+
+// Whether a pending tab (waiting for its URL) has waited long enough
+export function isPendingExpired(pending, now, timeout) {
+  return now - pending.timestamp >= timeout;
+}
+
+// What to do with a tab that was just created, given the count including it:
+//   "keep"    within the limit, or allowlisted (and not blocklisted)
+//   "pending" over the limit but the tab has no URL yet
+//   "enforce" over the limit: close it or evict per evictionPolicy
+export function decideNewTab(tab, count, settings) {
+  if (count <= settings.maxTabs) return "keep";
+
+  // Links open blank and load a moment later. Every outcome needs the URL:
+  // the allowlist, same-domain eviction and duplicate checks, and the
+  // corral, read-later queue or limit page the tab ends up in - wait for it
+  if (!isRealUrl(tab.url)) return "pending";
+
+  if (
+    settings.allowlistEnabled &&
+    isUrlAllowed(tab.url, settings.allowlist) &&
+    !findBlocklistRule(tab.url, settings)
+  ) {
+    return "keep";
+  }
+  return "enforce";
+}
+
+// What to do with a pending tab once its URL is known (or it timed out):
+//   "allowlisted" track it as allowlisted
+//   "keep"        within the limit now
+//   "enforce"     over the limit
+export function decidePendingTab(url, count, settings) {
+  if (settings.allowlistEnabled && isRealUrl(url) && isUrlAllowed(url, settings.allowlist)) {
+    return "allowlisted";
+  }
+  return count <= settings.maxTabs ? "keep" : "enforce";
+}
+
+// "enter" or "leave" when a navigation moves a tab across the allowlist
+export function getAllowlistTransition(wasAllowlisted, isNowAllowlisted) {
+  if (isNowAllowlisted && !wasAllowlisted) return "enter";
+  if (!isNowAllowlisted && wasAllowlisted) return "leave";
+  return null;
+}
+
+// Why a tab is protected from inactive auto-close ("" if it isn't).
+// protections maps tab id -> reason for tabs the user protected by hand
+// (e.g. "kept" from the context menu).
+export function getProtectReason(tab, settings, protections = new Map()) {
+  if (tab.active) return "active";
+  // Never close internal/special pages (Tab Wrangler: about:, chrome://)
+  if (isInternalUrl(tab.url)) return "system";
+  if (protections.has(tab.id)) return protections.get(tab.id);
+  if (settings.protectPinned && tab.pinned) return "pinned";
+  if (settings.protectAudible && tab.audible) return "audible";
+  if (settings.protectAllowlist && settings.allowlistEnabled && settings.allowlist.length > 0) {
+    if (isUrlAllowed(tab.url, settings.allowlist)) return "allowlist";
+  }
+  return "";
+}
+
+// Split tabs into those to auto-close and those whose inactivity timer
+// should restart. lastAccessed maps tab id -> timestamp; debounceTabId is an
+// active tab whose activation hasn't been recorded yet (left untouched);
+// protections is passed on to getProtectReason().
+// Returns { close: [tab], touch: [tabId] }.
+export function selectInactiveTabs(
+  tabs,
+  lastAccessed,
+  settings,
+  now,
+  debounceTabId = null,
+  protections = new Map()
+) {
+  const touch = new Set();
+
+  // Guard: inactiveMinutes must be at least 1. A value of 0 would make
+  // elapsed >= 0 always true, closing all non-active tabs instantly.
+  const inactiveMinutes = Math.max(1, settings.inactiveMinutes || 1);
+  const limitMs = inactiveMinutes * 60 * 1000;
+  const minTabs = Math.max(0, settings.minTabs != null ? settings.minTabs : 5);
+
+  // Handle sleep/wake drift: timestamps in the future (clock changed) recalibrate
+  for (const [tabId, ts] of lastAccessed) {
+    if (ts > now) touch.add(tabId);
+  }
+
+  // Group tabs by window to enforce minTabs per window
+  const windowTabs = new Map();
+  for (const tab of tabs) {
+    if (!windowTabs.has(tab.windowId)) windowTabs.set(tab.windowId, []);
+    windowTabs.get(tab.windowId).push(tab);
+  }
+
+  const candidates = [];
+  for (const tab of tabs) {
+    // Never close the active tab; only refresh it if no debounce is pending
+    if (tab.active) {
+      if (debounceTabId !== tab.id) touch.add(tab.id);
+      continue;
+    }
+
+    // Protected tabs: refresh timestamp (like Tab Wrangler) instead of
+    // just skipping, so they don't accumulate stale timestamps that would
+    // cause an immediate close if protection is later disabled.
+    if (getProtectReason(tab, settings, protections)) {
+      touch.add(tab.id);
+      continue;
+    }
+
+    const last = lastAccessed.get(tab.id);
+    if (!last) {
+      touch.add(tab.id);
+      continue;
+    }
+
+    // Future timestamps give a negative elapsed, so they never close here
+    const elapsed = now - last;
+    if (elapsed >= limitMs) candidates.push({ tab, elapsed });
+  }
+
+  // Close the oldest-inactive first
+  candidates.sort((a, b) => b.elapsed - a.elapsed);
+
+  // Windows already at or below minTabs: give every tab a fresh timer
+  // (Tab Wrangler pattern) instead of closing when a new tab arrives
+  const windowRemaining = new Map();
+  for (const [windowId, list] of windowTabs) {
+    windowRemaining.set(windowId, list.length);
+    if (list.length <= minTabs) {
+      for (const tab of list) touch.add(tab.id);
+    }
+  }
+
+  const close = [];
+  for (const { tab } of candidates) {
+    const remaining = windowRemaining.get(tab.windowId);
+    if (remaining <= minTabs) {
+      // Can't close yet without dropping below minTabs
+      touch.add(tab.id);
+      continue;
+    }
+    close.push(tab);
+    windowRemaining.set(tab.windowId, remaining - 1);
+  }
+
+  return { close, touch: [...touch] };
+}
+
+// Whether an existing tab may be evicted to make room for a new one.
+// Uses the same protections as inactive auto-close. exemptIds holds tabs
+// that are pending or were just restored from the corral; protections holds
+// tabs the user protected by hand.
+export function isEvictable(
+  tab,
+  settings,
+  { exemptIds = new Set(), interstitialUrl = "", protections = new Map() } = {}
+) {
+  if (tab.active) return false;
+  if (isInternalUrl(tab.url)) return false;
+  if (settings.protectPinned && tab.pinned) return false;
+  if (settings.protectAudible && tab.audible) return false;
+  if (exemptIds.has(tab.id) || protections.has(tab.id)) return false;
+  // Allowlisted tabs don't count (weight 0), so evicting them frees nothing
+  return tabWeight(tab, settings, interstitialUrl) > 0;
+}
+
+// Pick existing tabs to evict so the count of tabs drops back to maxTabs.
+// Returns null if the policy can't free enough room (caller closes the new tab).
+// openedAt maps tab id -> time opened; tabs without an entry were open
+// before tracking started and count as oldest.
+export function chooseEvictionVictims(newTab, tabs, settings, options = {}) {
+  const { lastAccessed = new Map(), openedAt = new Map(), interstitialUrl = "" } = options;
+  const policy = settings.evictionPolicy;
+
+  let excess =
+    tabs.reduce((sum, tab) => sum + tabWeight(tab, settings, interstitialUrl), 0) -
+    settings.maxTabs;
+  if (excess <= 0) return [];
+
+  let candidates = tabs.filter(
+    (tab) => tab.id !== newTab.id && isEvictable(tab, settings, options)
+  );
+
+  if (policy === "closeSameDomain") {
+    const hostname = getHostname(newTab.url);
+    if (!hostname) return null;
+    candidates = candidates.filter((tab) => getHostname(tab.url) === hostname);
+  }
+
+  if (policy === "closeOldest") {
+    // Tab IDs break ties between tabs opened before tracking started
+    candidates.sort((a, b) => (openedAt.get(a.id) || 0) - (openedAt.get(b.id) || 0) || a.id - b.id);
+  } else {
+    // closeLRU and closeSameDomain: least recently used first
+    candidates.sort((a, b) => (lastAccessed.get(a.id) || 0) - (lastAccessed.get(b.id) || 0));
+  }
+
+  const victims = [];
+  for (const tab of candidates) {
+    if (excess <= 0) break;
+    victims.push(tab);
+    excess -= tabWeight(tab, settings, interstitialUrl);
+  }
+
+  return excess <= 0 ? victims : null;
+}
+
+// Add closed tabs to the front of the corral, newest first.
+// Supports Tab Wrangler dedup options: withDupes, exactURLMatch, hostnameAndTitleMatch
+// reason: why the tab was closed - "limit", "inactive", "blocklist", "manual"
+// or "duplicate"
+export function addCorralEntries(corral, tabs, reason, options = {}) {
+  const { wrangleOption = "exactURLMatch", max = 100, now = Date.now() } = options;
+  const next = [...corral];
+
+  for (const tab of tabs) {
+    // Deduplicate based on wrangleOption (Tab Wrangler pattern)
+    if (wrangleOption === "exactURLMatch") {
+      const existingIdx = next.findIndex((t) => t.url === tab.url);
+      if (existingIdx > -1) next.splice(existingIdx, 1);
+    } else if (wrangleOption === "hostnameAndTitleMatch") {
+      try {
+        const tabHostname = new URL(tab.url).hostname;
+        const existingIdx = next.findIndex((t) => {
+          try {
+            return new URL(t.url).hostname === tabHostname && t.title === (tab.title || "Untitled");
+          } catch { return false; }
+        });
+        if (existingIdx > -1) next.splice(existingIdx, 1);
+      } catch {}
+    }
+    // "withDupes" - no dedup
+
+    next.unshift({
+      url: tab.url || "",
+      title: tab.title || "Untitled",
+      favIconUrl: tab.favIconUrl || "",
+      closedAt: now,
+      reason,
+    });
+  }
+
+  // Trim to max size
+  if (next.length > max) next.length = max;
+  return next;
+}
+
+// Drop corral entries older than expireHours (0 = never expire)
+export function expireCorral(corral, expireHours, now) {
+  if (!expireHours || expireHours <= 0) return corral;
+  const expireMs = expireHours * 60 * 60 * 1000;
+  return corral.filter((tab) => now - (tab.closedAt || 0) < expireMs);
+}
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = /^(utm_.+|fbclid|gclid|dclid|msclkid|yclid|mc_cid|mc_eid|igshid|_hsenc|_hsmi|ref_src)$/i;
+
+// URL reduced to what makes two tabs "the same page" for duplicate
+// detection. Options: ignoreHash, ignoreTracking, ignoreQuery.
+export function normalizeDuplicateUrl(url, options = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return url || "";
+  }
+  if (options.ignoreHash) parsed.hash = "";
+  if (options.ignoreQuery) {
+    parsed.search = "";
+  } else if (options.ignoreTracking) {
+    for (const key of [...parsed.searchParams.keys()]) {
+      if (TRACKING_PARAMS.test(key)) parsed.searchParams.delete(key);
+    }
+  }
+  parsed.hostname = parsed.hostname.replace(/^www\./, "");
+  return parsed.href;
+}
+
+// Other open tabs showing the same page as tab (at url), most recently
+// used first. Empty while the duplicate policy is "allow".
+export function findDuplicateTabs(tab, url, tabs, settings, lastAccessed = new Map()) {
+  if (settings.duplicatePolicy === "allow" || !isRealUrl(url)) return [];
+  const options = {
+    ignoreHash: settings.duplicateIgnoreHash,
+    ignoreTracking: settings.duplicateIgnoreTracking,
+    ignoreQuery: settings.duplicateIgnoreQuery,
+  };
+  const key = normalizeDuplicateUrl(url, options);
+  return tabs
+    .filter(
+      (other) =>
+        other.id !== tab.id &&
+        isRealUrl(other.url) &&
+        normalizeDuplicateUrl(other.url, options) === key
+    )
+    .sort((a, b) => (lastAccessed.get(b.id) || 0) - (lastAccessed.get(a.id) || 0));
+}
+
+// Per-window limits: settings.windowLimits holds
+// [{ id, label, max, windowId, pinnedHosts }]. Window ids change when Safari
+// relaunches, so each rule remembers its window's pinned sites and is
+// matched back to the window pinning (mostly) the same ones.
+const WINDOW_MATCH_THRESHOLD = 0.5;
+
+// The rule for a window, or null (no rule, or the limit is global)
+export function findWindowLimit(windowId, settings) {
+  if (settings.globalLimit || !settings.windowLimits || windowId == null) return null;
+  return settings.windowLimits.find((rule) => rule.windowId === windowId) || null;
+}
+
+// Sorted, unique hostnames of a window's pinned tabs
+export function getPinnedHosts(tabs) {
+  const hosts = new Set();
+  for (const tab of tabs) {
+    if (tab.pinned && isRealUrl(tab.url)) hosts.add(getHostname(tab.url));
+  }
+  return [...hosts].sort();
+}
+
+// Overlap of two host sets (0..1); no pinned tabs is no evidence at all
+function hostSimilarity(a, b) {
+  if (a.length === 0 || b.length === 0) return 0;
+  const shared = a.filter((host) => b.includes(host)).length;
+  return shared / new Set([...a, ...b]).size;
+}
+
+// Match rules to open windows. windows maps window id -> pinned hosts.
+// A rule keeps its window while that window still looks like it (or the
+// rule has no pinned sites to compare); otherwise it goes to the unclaimed
+// window with the most similar pinned sites, or to none (windowId null).
+// On a cold start (coldStart) window ids were handed out afresh, so a rule
+// with no pinned sites is let go rather than kept on whichever window got
+// its old id; it's reattached by its label.
+// Returns a Map of rule id -> window id or null.
+export function matchWindowLimits(rules, windows, { coldStart = false } = {}) {
+  const result = new Map();
+  const claimed = new Set();
+
+  for (const rule of rules) {
+    const current = windows.get(rule.windowId);
+    if (!current || claimed.has(rule.windowId)) continue;
+    const hosts = rule.pinnedHosts || [];
+    const keep =
+      hosts.length === 0 ? !coldStart : hostSimilarity(hosts, current) >= WINDOW_MATCH_THRESHOLD;
+    if (keep) {
+      result.set(rule.id, rule.windowId);
+      claimed.add(rule.windowId);
+    }
+  }
+
+  for (const rule of rules) {
+    if (result.has(rule.id)) continue;
+    let best = null;
+    let bestScore = WINDOW_MATCH_THRESHOLD;
+    for (const [windowId, hosts] of windows) {
+      if (claimed.has(windowId)) continue;
+      const score = hostSimilarity(rule.pinnedHosts || [], hosts);
+      if (score >= bestScore && (best === null || score > bestScore)) {
+        best = windowId;
+        bestScore = score;
+      }
+    }
+    result.set(rule.id, best);
+    if (best !== null) claimed.add(best);
+  }
+
+  return result;
+}
+
+// What a schedule enforces, and when - its name doesn't matter
+function getScheduleKey(schedule) {
+  const { days, start, end, overrides } = schedule;
+  return JSON.stringify({ days, start, end, overrides });
+}
+
+// Whether next relaxes anything current enforces. Presets that are looser
+// and imports that loosen a locked limit go through the friction modal.
+export function isLooserSettings(current, next) {
+  const removedBlocklistRule = current.blocklist.some(
+    (rule) => !next.blocklist.some((other) => other.pattern === rule.pattern)
+  );
+  const relaxedDomainLimit = current.domainLimits.some((rule) => {
+    const other = next.domainLimits.find((r) => r.domain === rule.domain);
+    return !other || other.max > rule.max;
+  });
+  const relaxedWindowLimit = current.windowLimits.some((rule) => {
+    const other = next.windowLimits.find((r) => r.id === rule.id);
+    return !other || other.max > rule.max;
+  });
+  // A new window limit above the base limit lets that window hold more
+  const addedLooserWindowLimit = next.windowLimits.some(
+    (rule) =>
+      !current.windowLimits.some((other) => other.id === rule.id) && rule.max > next.maxTabs
+  );
+  // Schedules swap in their own overrides, so any new or edited one counts
+  const changedSchedule = next.schedules.some((schedule) => {
+    const other = current.schedules.find((s) => s.id === schedule.id);
+    return !other || getScheduleKey(other) !== getScheduleKey(schedule);
+  });
+
+  return (
+    next.maxTabs > current.maxTabs ||
+    (current.enabled && !next.enabled) ||
+    (current.globalLimit && !next.globalLimit) ||
+    (!current.allowlistEnabled && next.allowlistEnabled) ||
+    (next.allowlistEnabled && next.allowlist.some((d) => !current.allowlist.includes(d))) ||
+    (current.blocklistEnabled && (!next.blocklistEnabled || removedBlocklistRule)) ||
+    relaxedDomainLimit ||
+    relaxedWindowLimit ||
+    addedLooserWindowLimit ||
+    changedSchedule ||
+    (current.inactiveEnabled && !next.inactiveEnabled) ||
+    (current.inactiveEnabled && next.inactiveMinutes > current.inactiveMinutes) ||
+    next.overrideTokens > current.overrideTokens
+  );
+}
@@ -1,66 +1,73 @@
 // Safari Tab Limit - Popup Script
 
-// Friction phrases
-const FRICTION_PHRASES = [
-  "I am intentionally choosing distraction",
-  "I am breaking my focus on purpose",
-  "I accept this will hurt my productivity",
-  "I choose distraction over deep work",
-  "I am consciously multitasking now",
-  "I understand this breaks my momentum",
-  "I know this will fragment my attention",
-  "I accept the cost of context switching",
-  "I am trading focus for convenience",
-  "I acknowledge this hurts my flow state",
-  "This is my choice and I own it",
-  "I take full responsibility for this",
-  "I am aware of what I am doing",
-  "I choose short-term over long-term",
-  "I am deliberately reducing my focus",
-  "I will return to focused work soon",
-  "This is temporary and intentional",
-  "I promise to re-engage my focus",
-  "I am making an exception not a habit",
-  "I will protect my focus after this",
-  "I am sabotaging my own success",
-  "I am choosing chaos over clarity",
-  "I am letting distraction win today",
-  "I know better but I do it anyway",
-  "I am betraying my future self",
-  "I accept I am wasting my potential",
-  "I am feeding my worst habits",
-  "I prefer noise over signal right now",
-  "I am choosing the easy path",
-  "I am stealing time from my goals",
-  "I know this dopamine is not worth it",
-  "I am actively hurting my brain",
-  "I choose scattered over centered",
-  "I am giving up on deep thinking",
-  "I am training my brain to quit",
-];
+import {
+  SETTINGS_SCHEMA,
+  PRESET_FIELDS,
+  getDefaultSettings,
+  clampSetting,
+} from "./settings-schema.js";
+import {
+  createChallenge,
+  getHardestFrictionAction,
+  isWeakerFriction,
+  FRICTION_SETTING_KEYS,
+} from "./friction.js";
+import { isLooserSettings } from "./policy.js";
 
 // State
-let settings = {
-  enabled: true,
-  maxTabs: 2,
-  globalLimit: false,
-  allowlistEnabled: false,
-  allowlist: [],
-  tabLimitLocked: false,
-  inactiveEnabled: false,
-  inactiveMinutes: 30,
-  protectPinned: true,
-  protectAudible: true,
-  protectAllowlist: true,
-  minTabs: 5,
-  corralMax: 100,
-  corralExpireHours: 24,
-  debounceOnActivated: true,
-  wrangleOption: "exactURLMatch",
+// Filled from the background on load; defaults come from the shared schema
+let settings = getDefaultSettings();
+
+// Preset waiting for friction confirmation (switching to a looser one)
+let pendingPreset = null;
+let pendingSchedule = null;
+
+// Currently active schedule (from background), or null
+let activeSchedule = null;
+
+// Running focus session (from background), or null
+let focusSession = null;
+
+// Raised override budget waiting for friction confirmation
+let pendingOverrideBudget = null;
+let pendingFrictionChanges = null;
+
+// Friction actions a keyboard shortcut or context menu item can ask the
+// popup to confirm. When Safari can't open the popup, this page is opened in
+// a tab with ?confirm= and closes itself once the prompt is answered.
+const REQUESTED_CONFIRM_ACTIONS = ["disable", "endFocus", "allowlist"];
+const confirmPageAction = new URLSearchParams(window.location.search).get("confirm");
+
+const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Background state pushed over the popup port: a snapshot on connect, then
+// deltas. Lists render from here, so they always agree with each other.
+let popupState = {
+  count: 0,
+  limit: null, // this window's limit (its own, or maxTabs)
+  inactiveTabs: [],
+  corral: [],
+  readLater: [],
+  pendingFriction: null, // delayed friction action: { action, applyAt }
+  pause: null, // running pause: { startedAt, endsAt, minutes }
+  overrides: { budget: 0, remaining: 0, armedUntil: null },
 };
+let popupPort = null;
+
+// Window this popup belongs to (for window limits)
+let currentWindowId = null;
+
+// Recently closed filter: "" (all), "limit", "inactive" or "blocklist"
+let corralFilter = "";
 
-// Flag to skip corral update after clearing (prevents race condition)
-let corralJustCleared = false;
+// Stats history chart: range in days and which daily value to plot
+let historyDays = 7;
+let historyMetric = "blocked";
+
+// Parsed backup file waiting for the user to confirm the import, and the
+// dry-run summary for it
+let pendingImport = null;
+let pendingImportSummary = null;
 
 let stats = {
   currentStreak: 0,
@@ -68,6 +75,14 @@ let stats = {
   blockedToday: 0,
   blockedWeek: 0,
   blockedTotal: 0,
+  focusCompleted: 0,
+  focusAbandoned: 0,
+  pauses: 0,
+  pausedMinutes: 0,
+  streakPauses: 0,
+  overridesUsed: 0,
+  blocklistClosed: 0,
+  blockedSites: {},
 };
 
 // DOM Elements
@@ -96,15 +111,104 @@ function initElements() {
     playIcon: document.getElementById("playIcon"),
     globalLimitToggle: document.getElementById("globalLimitToggle"),
     globalHint: document.getElementById("globalHint"),
+    windowLimitGroup: document.getElementById("windowLimitGroup"),
+    windowLimitHint: document.getElementById("windowLimitHint"),
+    windowLimitLabel: document.getElementById("windowLimitLabel"),
+    windowLimitMax: document.getElementById("windowLimitMax"),
+    setWindowLimitBtn: document.getElementById("setWindowLimitBtn"),
+    windowLimitsList: document.getElementById("windowLimitsList"),
+    evictionPolicySelect: document.getElementById("evictionPolicySelect"),
+    duplicatePolicySelect: document.getElementById("duplicatePolicySelect"),
+    duplicateOptions: document.getElementById("duplicateOptions"),
+    duplicateIgnoreHashToggle: document.getElementById("duplicateIgnoreHashToggle"),
+    duplicateIgnoreTrackingToggle: document.getElementById("duplicateIgnoreTrackingToggle"),
+    duplicateIgnoreQueryToggle: document.getElementById("duplicateIgnoreQueryToggle"),
+    limitPageToggle: document.getElementById("limitPageToggle"),
+    readLaterToggle: document.getElementById("readLaterToggle"),
+    readLaterOpenSelect: document.getElementById("readLaterOpenSelect"),
     allowlistToggle: document.getElementById("allowlistToggle"),
     allowlistContainer: document.getElementById("allowlistContainer"),
     allowlistInput: document.getElementById("allowlistInput"),
     addDomainBtn: document.getElementById("addDomainBtn"),
+    allowlistPreview: document.getElementById("allowlistPreview"),
     domainsList: document.getElementById("domainsList"),
+    domainLimitInput: document.getElementById("domainLimitInput"),
+    domainLimitMax: document.getElementById("domainLimitMax"),
+    addDomainLimitBtn: document.getElementById("addDomainLimitBtn"),
+    domainLimitsList: document.getElementById("domainLimitsList"),
+    domainLimitsHint: document.getElementById("domainLimitsHint"),
+    blocklistToggle: document.getElementById("blocklistToggle"),
+    blocklistHint: document.getElementById("blocklistHint"),
+    blocklistContainer: document.getElementById("blocklistContainer"),
+    blocklistInput: document.getElementById("blocklistInput"),
+    blocklistAction: document.getElementById("blocklistAction"),
+    addBlocklistBtn: document.getElementById("addBlocklistBtn"),
+    blocklistPreview: document.getElementById("blocklistPreview"),
+    blocklistList: document.getElementById("blocklistList"),
+    frictionSelects: document.querySelectorAll(".friction-select"),
+    frictionWaitInput: document.getElementById("frictionWaitInput"),
+    frictionDelayInput: document.getElementById("frictionDelayInput"),
+    customPhraseInput: document.getElementById("customPhraseInput"),
+    addCustomPhraseBtn: document.getElementById("addCustomPhraseBtn"),
+    customPhrasesList: document.getElementById("customPhrasesList"),
+    frictionHint: document.getElementById("frictionHint"),
+    pendingFriction: document.getElementById("pendingFriction"),
+    pendingFrictionText: document.getElementById("pendingFrictionText"),
+    cancelFrictionBtn: document.getElementById("cancelFrictionBtn"),
+    blocklistClosedStat: document.getElementById("blocklistClosed"),
+    blockedSitesStat: document.getElementById("blockedSites"),
+    avgTabs: document.getElementById("avgTabs"),
+    peakTabs: document.getElementById("peakTabs"),
+    limitMinutes: document.getElementById("limitMinutes"),
+    tabMetricsHint: document.getElementById("tabMetricsHint"),
+    presetSelect: document.getElementById("presetSelect"),
+    presetNameInput: document.getElementById("presetNameInput"),
+    savePresetBtn: document.getElementById("savePresetBtn"),
+    presetsList: document.getElementById("presetsList"),
+    historyRange: document.getElementById("historyRange"),
+    historyMetric: document.getElementById("historyMetric"),
+    historyChart: document.getElementById("historyChart"),
+    historySummary: document.getElementById("historySummary"),
+    weekStartSelect: document.getElementById("weekStartSelect"),
+    historyDaysSelect: document.getElementById("historyDaysSelect"),
+    schedulesToggle: document.getElementById("schedulesToggle"),
+    schedulesHint: document.getElementById("schedulesHint"),
+    scheduleContainer: document.getElementById("scheduleContainer"),
+    scheduleList: document.getElementById("scheduleList"),
+    scheduleName: document.getElementById("scheduleName"),
+    scheduleDays: document.getElementById("scheduleDays"),
+    scheduleStart: document.getElementById("scheduleStart"),
+    scheduleEnd: document.getElementById("scheduleEnd"),
+    scheduleMaxTabs: document.getElementById("scheduleMaxTabs"),
+    scheduleGlobal: document.getElementById("scheduleGlobal"),
+    scheduleAllowlist: document.getElementById("scheduleAllowlist"),
+    scheduleInactive: document.getElementById("scheduleInactive"),
+    scheduleInactiveMinutes: document.getElementById("scheduleInactiveMinutes"),
+    addScheduleBtn: document.getElementById("addScheduleBtn"),
+    focusIdle: document.getElementById("focusIdle"),
+    focusActive: document.getElementById("focusActive"),
+    focusDurations: document.getElementById("focusDurations"),
+    focusCustomMinutes: document.getElementById("focusCustomMinutes"),
+    focusMaxTabs: document.getElementById("focusMaxTabs"),
+    startFocusBtn: document.getElementById("startFocusBtn"),
+    endFocusBtn: document.getElementById("endFocusBtn"),
+    focusRemaining: document.getElementById("focusRemaining"),
+    focusCompleted: document.getElementById("focusCompleted"),
+    focusAbandoned: document.getElementById("focusAbandoned"),
     settingsContainer: document.getElementById("settingsContainer"),
     activeState: document.getElementById("activeState"),
     inactiveState: document.getElementById("inactiveState"),
     enableBtn: document.getElementById("enableBtn"),
+    disabledTitle: document.getElementById("disabledTitle"),
+    disabledText: document.getElementById("disabledText"),
+    pauseDurations: document.getElementById("pauseDurations"),
+    streakPauses: document.getElementById("streakPauses"),
+    pausesStat: document.getElementById("pausesStat"),
+    pausedMinutesStat: document.getElementById("pausedMinutesStat"),
+    overridesUsedStat: document.getElementById("overridesUsedStat"),
+    overrideTokensInput: document.getElementById("overrideTokensInput"),
+    armOverrideBtn: document.getElementById("armOverrideBtn"),
+    overrideHint: document.getElementById("overrideHint"),
     currentStreak: document.getElementById("currentStreak"),
     bestStreak: document.getElementById("bestStreak"),
     blockedToday: document.getElementById("blockedToday"),
@@ -124,7 +228,19 @@ function initElements() {
     increaseMinTabs: document.getElementById("increaseMinTabs"),
     inactiveTabsList: document.getElementById("inactiveTabsList"),
     corralList: document.getElementById("corralList"),
+    readLaterList: document.getElementById("readLaterList"),
+    openNextQueuedBtn: document.getElementById("openNextQueuedBtn"),
+    exportBtn: document.getElementById("exportBtn"),
+    importBtn: document.getElementById("importBtn"),
+    importFile: document.getElementById("importFile"),
+    importPanel: document.getElementById("importPanel"),
+    importMode: document.getElementById("importMode"),
+    importSummary: document.getElementById("importSummary"),
+    importError: document.getElementById("importError"),
+    applyImportBtn: document.getElementById("applyImportBtn"),
+    cancelImportBtn: document.getElementById("cancelImportBtn"),
     clearCorralBtn: document.getElementById("clearCorralBtn"),
+    corralFilter: document.getElementById("corralFilter"),
     debounceValue: document.getElementById("debounceValue"),
     decreaseDebounce: document.getElementById("decreaseDebounce"),
     increaseDebounce: document.getElementById("increaseDebounce"),
@@ -138,10 +254,6 @@ function initElements() {
   };
 }
 
-function getRandomItem(arr) {
-  return arr[Math.floor(Math.random() * arr.length)];
-}
-
 async function loadSettings() {
   try {
     const response = await browser.runtime.sendMessage({
@@ -164,23 +276,91 @@ async function loadStats() {
   } catch {}
 }
 
-async function updateTabCount() {
+function updateTabCount() {
+  if (elements.currentTabsSpan) elements.currentTabsSpan.textContent = popupState.count;
+  if (elements.maxTabsSpan) elements.maxTabsSpan.textContent = popupState.limit || settings.maxTabs;
+}
+
+// Long-lived port to the background. It pushes typed deltas instead of the
+// popup polling; reconnects if the service worker restarts.
+function connectPopupPort() {
   try {
-    const response = await browser.runtime.sendMessage({
-      type: "GET_TAB_COUNT",
-    });
-    if (response && elements.currentTabsSpan) {
-      elements.currentTabsSpan.textContent = response.count;
-    }
-  } catch {}
+    popupPort = browser.runtime.connect({ name: "popup" });
+  } catch {
+    return;
+  }
+  popupPort.onMessage.addListener(handlePopupMessage);
+  popupPort.onDisconnect.addListener(() => {
+    popupPort = null;
+    setTimeout(connectPopupPort, 1000);
+  });
 }
 
-// Listen for real-time tab count updates from background
-browser.runtime.onMessage.addListener((message) => {
-  if (message.type === "TAB_COUNT_UPDATED" && elements.currentTabsSpan) {
-    elements.currentTabsSpan.textContent = message.count;
+function handlePopupMessage(message) {
+  switch (message.type) {
+    case "snapshot":
+      popupState = { ...popupState, ...message.state };
+      if (message.state.settings) settings = message.state.settings;
+      focusSession = message.state.focusSession || null;
+      activeSchedule = message.state.activeSchedule || null;
+      if (REQUESTED_CONFIRM_ACTIONS.includes(message.state.confirm)) {
+        showFrictionModal(message.state.confirm);
+      }
+      updateUI();
+      updateTabCount();
+      updateInactiveTabsList();
+      updateReadLaterList();
+      updateCorralList();
+      updatePendingFriction();
+      updatePauseUI();
+      updateOverridesUI();
+      break;
+    case "count":
+      popupState.count = message.count;
+      popupState.limit = message.limit;
+      updateTabCount();
+      break;
+    case "inactiveTabs":
+      popupState.inactiveTabs = message.tabs;
+      updateInactiveTabsList();
+      break;
+    case "corral":
+      popupState.corral = message.tabs;
+      updateCorralList();
+      break;
+    case "readLater":
+      popupState.readLater = message.queue;
+      updateReadLaterList();
+      break;
+    case "pendingFriction":
+      popupState.pendingFriction = message.pending;
+      updatePendingFriction();
+      break;
+    case "pause":
+      popupState.pause = message.pause;
+      updatePauseUI();
+      break;
+    case "overrides":
+      popupState.overrides = message.overrides;
+      updateOverridesUI();
+      break;
+    case "focusSession":
+      focusSession = message.session;
+      updateUI();
+      // An ended session adds to the stats
+      if (!focusSession) loadStats().then(updateUI);
+      break;
+    case "schedule":
+      activeSchedule = message.active;
+      updateUI();
+      break;
+    case "settings":
+      settings = message.settings;
+      updateUI();
+      updateInactiveTabsList();
+      break;
   }
-});
+}
 
 function updateUI() {
   // Toggle active/inactive states
@@ -191,8 +371,8 @@ function updateUI() {
     elements.inactiveState.style.display = settings.enabled ? "none" : "block";
   }
 
-  // Max tabs
-  if (elements.maxTabsSpan) elements.maxTabsSpan.textContent = settings.maxTabs;
+  // Max tabs (the header shows this window's limit)
+  if (elements.maxTabsSpan) elements.maxTabsSpan.textContent = popupState.limit || settings.maxTabs;
   if (elements.maxTabsValue)
     elements.maxTabsValue.textContent = settings.maxTabs;
 
@@ -205,6 +385,29 @@ function updateUI() {
     elements.globalLimitToggle.checked = settings.globalLimit;
   updateGlobalHint();
 
+  // Eviction policy
+  if (elements.evictionPolicySelect)
+    elements.evictionPolicySelect.value = settings.evictionPolicy || "closeNew";
+  if (elements.duplicatePolicySelect)
+    elements.duplicatePolicySelect.value = settings.duplicatePolicy;
+  if (elements.duplicateOptions)
+    elements.duplicateOptions.style.display = settings.duplicatePolicy === "allow" ? "none" : "";
+  if (elements.duplicateIgnoreHashToggle)
+    elements.duplicateIgnoreHashToggle.checked = settings.duplicateIgnoreHash;
+  if (elements.duplicateIgnoreTrackingToggle) {
+    elements.duplicateIgnoreTrackingToggle.checked = settings.duplicateIgnoreTracking;
+    // Ignoring the whole query already covers tracking parameters
+    elements.duplicateIgnoreTrackingToggle.disabled = settings.duplicateIgnoreQuery;
+  }
+  if (elements.duplicateIgnoreQueryToggle)
+    elements.duplicateIgnoreQueryToggle.checked = settings.duplicateIgnoreQuery;
+  if (elements.limitPageToggle)
+    elements.limitPageToggle.checked = settings.limitAction === "interstitial";
+  if (elements.readLaterToggle)
+    elements.readLaterToggle.checked = settings.readLaterEnabled;
+  if (elements.readLaterOpenSelect)
+    elements.readLaterOpenSelect.value = settings.readLaterOpen || "auto";
+
   // Allowlist
   if (elements.allowlistToggle)
     elements.allowlistToggle.checked = settings.allowlistEnabled;
@@ -215,6 +418,44 @@ function updateUI() {
     );
   }
   renderDomains();
+  renderDomainLimits();
+  renderWindowLimits();
+
+  // Blocklist (can't be loosened while the tab limit is locked)
+  if (elements.blocklistToggle) {
+    elements.blocklistToggle.checked = settings.blocklistEnabled;
+    elements.blocklistToggle.disabled =
+      settings.tabLimitLocked && settings.blocklistEnabled;
+  }
+  if (elements.blocklistContainer) {
+    elements.blocklistContainer.classList.toggle(
+      "enabled",
+      settings.blocklistEnabled
+    );
+  }
+  renderBlocklist();
+  renderFriction();
+  updateOverridesUI();
+
+  // Schedules
+  if (elements.schedulesToggle) {
+    elements.schedulesToggle.checked = settings.schedulesEnabled;
+    elements.schedulesToggle.disabled = settings.tabLimitLocked;
+  }
+  if (elements.scheduleContainer) {
+    elements.scheduleContainer.classList.toggle(
+      "enabled",
+      settings.schedulesEnabled && !settings.tabLimitLocked
+    );
+  }
+  if (elements.schedulesHint) {
+    elements.schedulesHint.textContent = settings.tabLimitLocked
+      ? "Unlock your tab limit to edit schedules"
+      : "Switch limits automatically by day and time";
+  }
+  renderSchedules();
+  renderPresets();
+  updateStatusText();
 
   // Inactive tabs
   if (elements.inactiveToggle)
@@ -250,6 +491,36 @@ function updateUI() {
     elements.blockedTotal.textContent = stats.blockedTotal;
   if (elements.inactiveClosedStat)
     elements.inactiveClosedStat.textContent = stats.inactiveClosed || 0;
+  if (elements.blocklistClosedStat)
+    elements.blocklistClosedStat.textContent = stats.blocklistClosed || 0;
+  if (elements.blockedSitesStat) {
+    // Top 3 blocked sites
+    elements.blockedSitesStat.textContent = Object.entries(stats.blockedSites || {})
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([site, count]) => `${site} (${count})`)
+      .join(" · ");
+  }
+  if (elements.focusCompleted)
+    elements.focusCompleted.textContent = stats.focusCompleted || 0;
+  if (elements.focusAbandoned)
+    elements.focusAbandoned.textContent = stats.focusAbandoned || 0;
+  if (elements.pausesStat) elements.pausesStat.textContent = stats.pauses || 0;
+  if (elements.overridesUsedStat)
+    elements.overridesUsedStat.textContent = stats.overridesUsed || 0;
+  if (elements.pausedMinutesStat)
+    elements.pausedMinutesStat.textContent = stats.pausedMinutes || 0;
+  if (elements.streakPauses) {
+    const pauses = stats.streakPauses || 0;
+    elements.streakPauses.textContent =
+      pauses > 0 ? `paused ${pauses} ${pauses === 1 ? "time" : "times"} this streak` : "";
+  }
+  if (elements.weekStartSelect)
+    elements.weekStartSelect.value = settings.weekStartDay || 0;
+  if (elements.historyDaysSelect)
+    elements.historyDaysSelect.value = settings.historyDays || 90;
+
+  updateFocusUI();
 }
 
 function updateLockUI() {
@@ -263,7 +534,9 @@ function updateLockUI() {
     elements.lockBtn.classList.toggle("locked", isLocked);
     elements.lockBtn.title = isLocked ? "Unlock tab limit" : "Lock tab limit";
   }
-  if (elements.stepper) elements.stepper.classList.toggle("locked", isLocked);
+  // The limit also can't be changed while a focus session runs
+  if (elements.stepper)
+    elements.stepper.classList.toggle("locked", isLocked || !!focusSession);
 
   if (elements.lockHint) {
     const unlockedHint = elements.lockHint.querySelector(".unlocked-hint");
@@ -308,6 +581,7 @@ function renderDomains() {
   settings.allowlist.forEach((domain, index) => {
     const tag = document.createElement("div");
     tag.className = "domain-tag";
+    tag.title = domain;
     const span = document.createElement("span");
     span.textContent = domain;
     const btn = document.createElement("button");
@@ -319,57 +593,913 @@ function renderDomains() {
   });
 }
 
+function updateStatusText() {
+  if (!elements.statusText) return;
+  if (focusSession) {
+    elements.statusText.textContent = `Focus session · ${formatRemaining(focusSession.endsAt)} left`;
+  } else if (activeSchedule) {
+    elements.statusText.textContent = `${activeSchedule.name} · until ${activeSchedule.end}`;
+  } else {
+    elements.statusText.textContent = "Protection active";
+  }
+}
+
+// Daily override tokens: budget input (raising it goes through friction,
+// and isn't possible while locked), what's left today, and arming one for
+// the next blocked tab
+function updateOverridesUI() {
+  const { budget, remaining, armedUntil } = popupState.overrides;
+  const armed = armedUntil && armedUntil > Date.now();
+  if (elements.overrideTokensInput && document.activeElement !== elements.overrideTokensInput)
+    elements.overrideTokensInput.value = settings.overrideTokens;
+  if (elements.armOverrideBtn) {
+    elements.armOverrideBtn.style.display = budget > 0 ? "" : "none";
+    elements.armOverrideBtn.disabled = remaining === 0 && !armed;
+    elements.armOverrideBtn.textContent = armed
+      ? `Next tab stays (${formatRemaining(armedUntil)}) · Cancel`
+      : "Let the next tab through";
+  }
+  if (elements.overrideHint) {
+    elements.overrideHint.textContent =
+      budget > 0
+        ? `${remaining} of ${budget} left today · resets at midnight`
+        : "Over-limit tabs you can keep each day";
+  }
+}
+
+async function setOverrideBudget(value) {
+  const budget = isNaN(value) ? 0 : clampSetting("overrideTokens", value);
+  if (budget > settings.overrideTokens) {
+    if (!settings.tabLimitLocked) {
+      pendingOverrideBudget = budget;
+      showFrictionModal("overrideBudget");
+    }
+    updateOverridesUI();
+    return;
+  }
+  settings.overrideTokens = budget;
+  await saveSettings();
+  updateUI();
+}
+
+async function toggleArmedOverride() {
+  const { armedUntil } = popupState.overrides;
+  const type = armedUntil && armedUntil > Date.now() ? "DISARM_OVERRIDE" : "ARM_OVERRIDE";
+  try {
+    await browser.runtime.sendMessage({ type });
+  } catch {}
+}
+
+// Inactive state while paused: a countdown instead of the warning
+const UNPROTECTED_TITLE = "You're unprotected";
+const UNPROTECTED_TEXT =
+  "Your focus is wide open to attacks. Every new tab is a threat to your productivity.";
+
+function updatePauseUI() {
+  const pause = popupState.pause;
+  if (elements.disabledTitle)
+    elements.disabledTitle.textContent = pause ? "Paused" : UNPROTECTED_TITLE;
+  if (elements.disabledText) {
+    elements.disabledText.textContent = pause
+      ? `Protection comes back in ${formatRemaining(pause.endsAt)}`
+      : UNPROTECTED_TEXT;
+  }
+}
+
+function formatRemaining(endsAt) {
+  const remaining = Math.max(0, endsAt - Date.now());
+  const mins = Math.floor(remaining / 60000);
+  const secs = Math.floor((remaining % 60000) / 1000);
+  return `${mins}m ${secs}s`;
+}
+
+function updateFocusUI() {
+  if (elements.focusIdle)
+    elements.focusIdle.style.display = focusSession ? "none" : "flex";
+  if (elements.focusActive)
+    elements.focusActive.style.display = focusSession ? "flex" : "none";
+  if (focusSession && elements.focusRemaining) {
+    elements.focusRemaining.textContent = `${formatRemaining(focusSession.endsAt)} left · ${focusSession.maxTabs} tabs`;
+  }
+  if (elements.focusMaxTabs && !elements.focusMaxTabs.value) {
+    elements.focusMaxTabs.placeholder = `Session limit (≤ ${settings.maxTabs})`;
+  }
+}
+
+// Focus session countdown; the background pushes the ended session (and
+// the restored settings) once it's over
+function tickFocusSession() {
+  if (!focusSession || Date.now() >= focusSession.endsAt) return;
+  updateFocusUI();
+  updateStatusText();
+}
+
+async function startFocusSession() {
+  const selected = elements.focusDurations.querySelector(".chip-btn.selected");
+  const custom = parseInt(elements.focusCustomMinutes.value);
+  const minutes = !isNaN(custom)
+    ? custom
+    : selected
+      ? parseInt(selected.dataset.minutes)
+      : 25;
+  const maxTabs = parseInt(elements.focusMaxTabs.value);
+
+  try {
+    await browser.runtime.sendMessage({
+      type: "START_FOCUS_SESSION",
+      minutes,
+      maxTabs: isNaN(maxTabs) ? Math.max(1, settings.maxTabs - 1) : maxTabs,
+    });
+  } catch {}
+
+  elements.focusCustomMinutes.value = "";
+  elements.focusMaxTabs.value = "";
+  await loadSettings();
+  updateUI();
+}
+
+// "Mon–Fri", "Weekends", "Every day" or a list of day names
+function formatScheduleDays(days) {
+  const sorted = [...days].sort((a, b) => a - b).join(",");
+  if (sorted === "0,1,2,3,4,5,6") return "Every day";
+  if (sorted === "1,2,3,4,5") return "Mon–Fri";
+  if (sorted === "0,6") return "Weekends";
+  return days.map((day) => DAY_NAMES[day]).join(", ");
+}
+
+function formatScheduleOverrides(overrides) {
+  const parts = [];
+  if (overrides.maxTabs != null) parts.push(`${overrides.maxTabs} tabs`);
+  if (overrides.globalLimit != null)
+    parts.push(`global ${overrides.globalLimit ? "on" : "off"}`);
+  if (overrides.allowlistEnabled != null)
+    parts.push(`allowlist ${overrides.allowlistEnabled ? "on" : "off"}`);
+  if (overrides.inactiveEnabled != null)
+    parts.push(`auto-close ${overrides.inactiveEnabled ? "on" : "off"}`);
+  if (overrides.inactiveMinutes != null)
+    parts.push(`${overrides.inactiveMinutes}m idle`);
+  return parts.join(" · ");
+}
+
+function renderSchedules() {
+  if (!elements.scheduleList) return;
+  elements.scheduleList.innerHTML = "";
+
+  settings.schedules.forEach((schedule, index) => {
+    const item = document.createElement("div");
+    item.className = "schedule-item";
+    if (activeSchedule && activeSchedule.id === schedule.id) {
+      item.classList.add("active");
+    }
+    const info = document.createElement("div");
+    info.className = "inactive-tab-info";
+    const title = document.createElement("span");
+    title.className = "inactive-tab-title";
+    title.textContent = schedule.name;
+    const details = document.createElement("span");
+    details.className = "inactive-tab-time";
+    const overrides = formatScheduleOverrides(schedule.overrides || {});
+    details.textContent = `${formatScheduleDays(schedule.days)} ${schedule.start}–${schedule.end}${overrides ? " · " + overrides : ""}`;
+    info.appendChild(title);
+    info.appendChild(details);
+    const btn = document.createElement("button");
+    btn.dataset.scheduleIndex = index;
+    btn.textContent = "×";
+    item.appendChild(info);
+    item.appendChild(btn);
+    elements.scheduleList.appendChild(item);
+  });
+}
+
+// "on" / "off" / "" (keep) select value to an override value
+function parseToggleOverride(value) {
+  if (value === "on") return true;
+  if (value === "off") return false;
+  return null;
+}
+
+async function addSchedule() {
+  if (settings.tabLimitLocked) return;
+
+  const days = [...elements.scheduleDays.querySelectorAll(".day-btn.selected")]
+    .map((btn) => parseInt(btn.dataset.day));
+  const start = elements.scheduleStart.value;
+  const end = elements.scheduleEnd.value;
+  if (days.length === 0 || !start || !end || start === end) return;
+
+  const overrides = {};
+  const maxTabs = parseInt(elements.scheduleMaxTabs.value);
+  if (!isNaN(maxTabs)) overrides.maxTabs = clampSetting("maxTabs", maxTabs);
+  const globalLimit = parseToggleOverride(elements.scheduleGlobal.value);
+  if (globalLimit !== null) overrides.globalLimit = globalLimit;
+  const allowlistEnabled = parseToggleOverride(elements.scheduleAllowlist.value);
+  if (allowlistEnabled !== null) overrides.allowlistEnabled = allowlistEnabled;
+  const inactiveEnabled = parseToggleOverride(elements.scheduleInactive.value);
+  if (inactiveEnabled !== null) overrides.inactiveEnabled = inactiveEnabled;
+  const inactiveMinutes = parseInt(elements.scheduleInactiveMinutes.value);
+  if (!isNaN(inactiveMinutes))
+    overrides.inactiveMinutes = clampSetting("inactiveMinutes", inactiveMinutes);
+
+  const schedule = {
+    id: `schedule-${Date.now()}`,
+    name: elements.scheduleName.value.trim() || `${start}–${end}`,
+    days,
+    start,
+    end,
+    overrides,
+  };
+  elements.scheduleName.value = "";
+  elements.scheduleMaxTabs.value = "";
+  elements.scheduleInactiveMinutes.value = "";
+  elements.scheduleGlobal.value = "";
+  elements.scheduleAllowlist.value = "";
+  elements.scheduleInactive.value = "";
+
+  // A schedule that relaxes anything needs the same friction as doing it
+  // by hand
+  if (isLooserSettings(settings, { ...settings, ...overrides })) {
+    pendingSchedule = schedule;
+    showFrictionModal("schedule");
+    return;
+  }
+  await saveSchedule(schedule);
+}
+
+async function saveSchedule(schedule) {
+  settings.schedules.push(schedule);
+  await saveSettings();
+  await loadSettings();
+  updateUI();
+}
+
+async function removeSchedule(index) {
+  if (settings.tabLimitLocked) return;
+  settings.schedules.splice(index, 1);
+  await saveSettings();
+  await loadSettings();
+  updateUI();
+}
+
+// Per-domain limits. Removing or raising a cap is blocked while the tab
+// limit is locked; adding a stricter one is always allowed.
+function renderDomainLimits() {
+  if (!elements.domainLimitsList) return;
+  elements.domainLimitsList.innerHTML = "";
+
+  settings.domainLimits.forEach((rule, index) => {
+    const tag = document.createElement("div");
+    tag.className = "domain-tag";
+    const span = document.createElement("span");
+    span.textContent = `${rule.domain} ≤ ${rule.max}`;
+    tag.appendChild(span);
+    if (!settings.tabLimitLocked) {
+      const btn = document.createElement("button");
+      btn.dataset.index = index;
+      btn.textContent = "×";
+      tag.appendChild(btn);
+    }
+    elements.domainLimitsList.appendChild(tag);
+  });
+
+  if (elements.domainLimitsHint) {
+    elements.domainLimitsHint.textContent = settings.tabLimitLocked
+      ? "Limit is locked: caps can be added or lowered, not removed"
+      : "Cap tabs per site, across all windows";
+  }
+}
+
+// Window limits: this window's own limit, plus saved ones to reattach when
+// a window wasn't recognized after a restart
+function renderWindowLimits() {
+  if (!elements.windowLimitsList) return;
+  if (elements.windowLimitGroup) {
+    elements.windowLimitGroup.style.display = settings.globalLimit ? "none" : "";
+  }
+  const own = settings.windowLimits.find((rule) => rule.windowId === currentWindowId);
+
+  elements.windowLimitsList.innerHTML = "";
+  settings.windowLimits.forEach((rule) => {
+    const tag = document.createElement("div");
+    tag.className = "domain-tag";
+    const span = document.createElement("span");
+    span.textContent = `${rule.label} ≤ ${rule.max}`;
+    tag.appendChild(span);
+    if (rule !== own && canUseWindowLimit(rule.max, own)) {
+      const attach = document.createElement("button");
+      attach.dataset.attach = rule.id;
+      attach.title = "Use for this window";
+      attach.textContent = "↩";
+      tag.appendChild(attach);
+    }
+    if (!settings.tabLimitLocked) {
+      const remove = document.createElement("button");
+      remove.dataset.remove = rule.id;
+      remove.textContent = "×";
+      tag.appendChild(remove);
+    }
+    elements.windowLimitsList.appendChild(tag);
+  });
+
+  if (elements.windowLimitHint) {
+    elements.windowLimitHint.textContent = own
+      ? `${own.label}: ${own.max} tabs. Recognized by its pinned tabs after a restart`
+      : `Uses the default limit (${settings.maxTabs})`;
+  }
+  if (own && document.activeElement !== elements.windowLimitLabel) {
+    elements.windowLimitLabel.placeholder = own.label;
+  }
+}
+
+// While locked, a window limit can only tighten this window's current one
+function canUseWindowLimit(max, own) {
+  if (!settings.tabLimitLocked) return true;
+  return max <= (own ? own.max : settings.maxTabs);
+}
+
+async function setWindowLimit() {
+  if (currentWindowId == null) return;
+  const own = settings.windowLimits.find((rule) => rule.windowId === currentWindowId);
+  const max = clampSetting("maxTabs", elements.windowLimitMax.value);
+  if (!canUseWindowLimit(max, own)) return;
+
+  try {
+    await browser.runtime.sendMessage({
+      type: "SET_WINDOW_LIMIT",
+      windowId: currentWindowId,
+      label: elements.windowLimitLabel.value,
+      max,
+    });
+  } catch {}
+  elements.windowLimitLabel.value = "";
+}
+
+async function addDomainLimit() {
+  const domain = sanitizeDomain(elements.domainLimitInput.value);
+  if (!domain) return;
+
+  let max = parseInt(elements.domainLimitMax.value);
+  if (isNaN(max) || max < 1) max = 1;
+  if (max > 500) max = 500;
+
+  const existing = settings.domainLimits.find((rule) => rule.domain === domain);
+  if (existing) {
+    if (settings.tabLimitLocked && max > existing.max) return;
+    existing.max = max;
+  } else {
+    settings.domainLimits.push({ domain, max });
+  }
+  await saveSettings();
+  updateUI();
+
+  elements.domainLimitInput.value = "";
+  elements.domainLimitMax.value = 1;
+}
+
+async function removeDomainLimit(index) {
+  if (settings.tabLimitLocked) return;
+  settings.domainLimits.splice(index, 1);
+  await saveSettings();
+  updateUI();
+}
+
+// Blocklist. Like domain limits, entries can't be removed while the tab
+// limit is locked.
+function renderBlocklist() {
+  if (!elements.blocklistList) return;
+  elements.blocklistList.innerHTML = "";
+
+  settings.blocklist.forEach((rule, index) => {
+    const tag = document.createElement("div");
+    tag.className = "domain-tag";
+    tag.title = rule.pattern;
+    const span = document.createElement("span");
+    span.textContent = `${rule.pattern} · ${rule.action === "close" ? "close" : "×" + rule.weight}`;
+    tag.appendChild(span);
+    if (!settings.tabLimitLocked) {
+      const btn = document.createElement("button");
+      btn.dataset.index = index;
+      btn.textContent = "×";
+      tag.appendChild(btn);
+    }
+    elements.blocklistList.appendChild(tag);
+  });
+
+  if (elements.blocklistHint) {
+    elements.blocklistHint.textContent = settings.tabLimitLocked
+      ? "Limit is locked: entries can be added, not removed"
+      : "Close distracting sites on sight, or make them count extra";
+  }
+}
+
+function renderPatternPreview(previewElement, result) {
+  if (!previewElement) return;
+  previewElement.classList.remove("valid", "invalid");
+
+  if (!result) {
+    previewElement.textContent = "";
+    return;
+  }
+
+  if (!result.valid) {
+    previewElement.classList.add("invalid");
+    previewElement.textContent = `✗ ${result.error}`;
+    return;
+  }
+
+  const tabs = result.matchCount === 1 ? "tab" : "tabs";
+  let text = `✓ ${result.description} · matches ${result.matchCount} open ${tabs}`;
+  if (result.matchTitles.length > 0) text += `: ${result.matchTitles.join(", ")}`;
+  previewElement.classList.add("valid");
+  previewElement.textContent = text;
+}
+
+let blocklistPreviewTimer = null;
+function scheduleBlocklistPreview() {
+  clearTimeout(blocklistPreviewTimer);
+  blocklistPreviewTimer = setTimeout(async () => {
+    const entry = elements.blocklistInput.value.trim();
+    renderPatternPreview(
+      elements.blocklistPreview,
+      entry ? await validateUrlPattern(entry) : null
+    );
+  }, 150);
+}
+
+async function addBlocklistEntry() {
+  const input = elements.blocklistInput.value.trim();
+  if (!input) return;
+
+  const result = await validateUrlPattern(input);
+  if (!result || !result.valid) {
+    renderPatternPreview(elements.blocklistPreview, result);
+    elements.blocklistInput.classList.add("error");
+    setTimeout(() => elements.blocklistInput.classList.remove("error"), 300);
+    return;
+  }
+
+  const action = elements.blocklistAction.value;
+  const rule =
+    action === "close"
+      ? { pattern: result.entry, action: "close" }
+      : { pattern: result.entry, action: "weight", weight: parseInt(action) };
+
+  const existing = settings.blocklist.findIndex((r) => r.pattern === rule.pattern);
+  if (existing > -1) {
+    // Replacing a rule may loosen it, which isn't allowed while locked
+    if (settings.tabLimitLocked) return;
+    settings.blocklist[existing] = rule;
+  } else {
+    settings.blocklist.push(rule);
+  }
+  await saveSettings();
+  updateUI();
+
+  elements.blocklistInput.value = "";
+  renderPatternPreview(elements.blocklistPreview, null);
+}
+
+async function removeBlocklistEntry(index) {
+  if (settings.tabLimitLocked) return;
+  settings.blocklist.splice(index, 1);
+  await saveSettings();
+  updateUI();
+}
+
+// Friction settings (all of them are fixed while the limit is locked, since
+// an easier challenge would loosen it)
+const MIN_CUSTOM_PHRASE_LENGTH = 15;
+
+function renderFriction() {
+  const locked = settings.tabLimitLocked;
+  for (const select of elements.frictionSelects || []) {
+    select.value = settings[select.dataset.setting];
+    select.disabled = locked;
+  }
+  if (elements.frictionWaitInput) {
+    elements.frictionWaitInput.value = settings.frictionWaitSeconds;
+    elements.frictionWaitInput.disabled = locked;
+  }
+  if (elements.frictionDelayInput) {
+    elements.frictionDelayInput.value = settings.frictionDelayMinutes;
+    elements.frictionDelayInput.disabled = locked;
+  }
+  if (elements.customPhraseInput) elements.customPhraseInput.disabled = locked;
+  if (elements.addCustomPhraseBtn) elements.addCustomPhraseBtn.disabled = locked;
+
+  if (elements.customPhrasesList) {
+    elements.customPhrasesList.innerHTML = "";
+    settings.customPhrases.forEach((phrase, index) => {
+      const tag = document.createElement("div");
+      tag.className = "domain-tag";
+      tag.title = phrase;
+      const span = document.createElement("span");
+      span.textContent = phrase;
+      tag.appendChild(span);
+      if (!locked) {
+        const btn = document.createElement("button");
+        btn.dataset.index = index;
+        btn.textContent = "×";
+        tag.appendChild(btn);
+      }
+      elements.customPhrasesList.appendChild(tag);
+    });
+  }
+
+  if (elements.frictionHint) {
+    elements.frictionHint.textContent = locked
+      ? "Unlock your tab limit to change these"
+      : "How hard it is to weaken your limits";
+  }
+}
+
+// Save friction changes; ones that make a challenge easier first ask for
+// the current challenge (of the changed action, or the hardest one for
+// settings every action shares)
+async function saveFrictionSettings(changes, challengeAction = getHardestFrictionAction(settings)) {
+  if (settings.tabLimitLocked) return;
+  if (isWeakerFriction(settings, { ...settings, ...changes })) {
+    renderFriction(); // Revert the inputs until confirmed
+    pendingFrictionChanges = changes;
+    showFrictionModal("frictionSettings", challengeAction);
+    return;
+  }
+  Object.assign(settings, changes);
+  await saveSettings();
+  updateUI();
+}
+
+async function addCustomPhrase() {
+  if (settings.tabLimitLocked) return;
+  const phrase = elements.customPhraseInput.value.trim().replace(/\s+/g, " ");
+  const exists = settings.customPhrases.some((p) => p.toLowerCase() === phrase.toLowerCase());
+  if (phrase.length < MIN_CUSTOM_PHRASE_LENGTH || exists) {
+    elements.customPhraseInput.classList.add("error");
+    setTimeout(() => elements.customPhraseInput.classList.remove("error"), 300);
+    return;
+  }
+  settings.customPhrases.push(phrase);
+  await saveSettings();
+  updateUI();
+  elements.customPhraseInput.value = "";
+}
+
+async function removeCustomPhrase(index) {
+  await saveFrictionSettings({
+    customPhrases: settings.customPhrases.filter((_, i) => i !== index),
+  });
+}
+
+// Banner for a delayed friction action that hasn't applied yet
+const PENDING_FRICTION_LABELS = {
+  disable: "Protection turns off",
+  allowlist: "Allowlist turns on",
+  unlock: "Tab limit unlocks",
+  disableGlobal: "Global limit turns off",
+  frictionSettings: "Challenges get easier",
+  preset: "Preset switches",
+  schedule: "Schedule is added",
+  importLoosen: "Backup is imported",
+  overrideBudget: "Daily overrides go up",
+  endFocus: "Focus session ends",
+};
+
+function updatePendingFriction() {
+  if (!elements.pendingFriction) return;
+  const pending = popupState.pendingFriction;
+  elements.pendingFriction.style.display = pending ? "flex" : "none";
+  if (pending && elements.pendingFrictionText) {
+    elements.pendingFrictionText.textContent = `${
+      PENDING_FRICTION_LABELS[pending.action]
+    } in ${formatRemaining(pending.applyAt)}`;
+  }
+}
+
+async function cancelPendingFriction() {
+  try {
+    await browser.runtime.sendMessage({ type: "CANCEL_FRICTION_ACTION" });
+  } catch {}
+}
+
 // Friction modal
 let currentFrictionAction = null;
-let currentFrictionPhrase = "";
+let currentChallenge = null;
+let challengeTimer = null;
+
+// Length of the pause offered when disabling; "" = until turned back on
+const DEFAULT_PAUSE_MINUTES = "15";
+
+// Second line of the modal message, by challenge type
+const CHALLENGE_INSTRUCTIONS = {
+  phrase: "Type the phrase to confirm:",
+  longPhrase: "Type the phrases to confirm:",
+  arithmetic: "Solve this to confirm:",
+  wait: "Confirm unlocks when the countdown ends:",
+  delayed: "Confirming schedules the change, and you can cancel it until then:",
+};
+
+// Presets: named bundles of PRESET_FIELDS
+function pickPresetSettings(source) {
+  const picked = {};
+  for (const field of PRESET_FIELDS) {
+    // Deep copy so later edits to settings don't change the preset
+    picked[field] = JSON.parse(JSON.stringify(source[field]));
+  }
+  return picked;
+}
+
+// The preset matching the current settings, if any ("Custom" otherwise)
+function findActivePreset() {
+  return (
+    settings.presets.find((preset) =>
+      PRESET_FIELDS.every(
+        (field) =>
+          JSON.stringify(preset.settings[field]) === JSON.stringify(settings[field])
+      )
+    ) || null
+  );
+}
+
+function renderPresets() {
+  if (elements.presetSelect) {
+    const active = findActivePreset();
+    elements.presetSelect.innerHTML = "";
+    if (!active) {
+      const option = document.createElement("option");
+      option.value = "";
+      option.textContent = "Custom";
+      elements.presetSelect.appendChild(option);
+    }
+    settings.presets.forEach((preset) => {
+      const option = document.createElement("option");
+      option.value = preset.id;
+      option.textContent = preset.name;
+      // Looser presets would get around the locked limit
+      option.disabled = isLockedOutPreset(preset);
+      elements.presetSelect.appendChild(option);
+    });
+    elements.presetSelect.value = active ? active.id : "";
+    elements.presetSelect.style.display = settings.presets.length ? "" : "none";
+  }
+
+  if (!elements.presetsList) return;
+  elements.presetsList.innerHTML = "";
+  settings.presets.forEach((preset, index) => {
+    const tag = document.createElement("div");
+    tag.className = "domain-tag";
+    const span = document.createElement("span");
+    span.textContent = `${preset.name} · ${preset.settings.maxTabs} tabs`;
+    const btn = document.createElement("button");
+    btn.dataset.index = index;
+    btn.textContent = "×";
+    tag.appendChild(span);
+    tag.appendChild(btn);
+    elements.presetsList.appendChild(tag);
+  });
+}
+
+// Save the current settings as a preset (same name overwrites)
+async function savePreset() {
+  const name = elements.presetNameInput.value.trim();
+  if (!name) return;
+
+  const existing = settings.presets.find(
+    (preset) => preset.name.toLowerCase() === name.toLowerCase()
+  );
+  if (existing) {
+    existing.settings = pickPresetSettings(settings);
+  } else {
+    settings.presets.push({
+      id: `preset-${Date.now()}`,
+      name,
+      settings: pickPresetSettings(settings),
+    });
+  }
+  await saveSettings();
+  updateUI();
+  elements.presetNameInput.value = "";
+}
+
+async function removePreset(index) {
+  settings.presets.splice(index, 1);
+  await saveSettings();
+  updateUI();
+}
+
+async function applyPreset(preset) {
+  Object.assign(settings, pickPresetSettings({ ...settings, ...preset.settings }));
+  await saveSettings();
+  // The background may clamp the limit (focus session) - show what was saved
+  await loadSettings();
+  updateUI();
+}
+
+// Header switcher: looser presets go through the friction modal
+function isLockedOutPreset(preset) {
+  return settings.tabLimitLocked && isLooserSettings(settings, { ...settings, ...preset.settings });
+}
+
+async function switchPreset(id) {
+  const preset = settings.presets.find((p) => p.id === id);
+  if (!preset) return;
+  if (isLockedOutPreset(preset)) {
+    renderPresets();
+    return;
+  }
+
+  const next = { ...settings, ...preset.settings };
+  if (isLooserSettings(settings, next)) {
+    renderPresets(); // Revert the select until confirmed
+    pendingPreset = preset;
+    showFrictionModal("preset");
+    return;
+  }
+  await applyPreset(preset);
+}
 
-function showFrictionModal(action) {
+// challengeAction: whose challenge to ask, if not the action's own
+function showFrictionModal(action, challengeAction = action) {
   currentFrictionAction = action;
-  currentFrictionPhrase = getRandomItem(FRICTION_PHRASES);
+  currentChallenge = createChallenge(challengeAction, settings);
 
   const titles = {
     disable: "Disable Protection?",
     allowlist: "Enable Allowlist?",
     unlock: "Unlock Tab Limit?",
     disableGlobal: "Disable Global Limit?",
+    endFocus: "End Focus Session?",
+    importLoosen: "Import Looser Settings?",
+    preset: "Switch to a Looser Preset?",
+    schedule: "Add a Looser Schedule?",
+    overrideBudget: "Raise Daily Overrides?",
+    frictionSettings: "Make Challenges Easier?",
   };
 
   const messages = {
-    disable: "This will allow unlimited tabs. Type the phrase to confirm:",
-    allowlist:
-      "This lets some sites bypass limits. Type the phrase to confirm:",
-    unlock: "This allows changing your tab limit. Type the phrase to confirm:",
-    disableGlobal:
-      "This allows tabs in other windows. Type the phrase to confirm:",
+    disable: "This will allow unlimited tabs.",
+    allowlist: "This lets some sites bypass limits.",
+    unlock: "This allows changing your tab limit.",
+    disableGlobal: "This allows tabs in other windows.",
+    endFocus: "This restores your normal tab limit early.",
+    importLoosen: "This backup weakens your locked tab limit.",
+    preset: "This preset relaxes your current limits.",
+    schedule: "This schedule relaxes your limits while it runs.",
+    overrideBudget: "More tabs a day can get past your limit.",
+    frictionSettings: "This makes it easier to weaken your limits.",
   };
 
   elements.modalTitle.textContent = titles[action];
-  elements.modalMessage.textContent = messages[action];
-  elements.phraseBox.textContent = currentFrictionPhrase;
+  elements.modalMessage.textContent = `${messages[action]} ${
+    CHALLENGE_INSTRUCTIONS[currentChallenge.type]
+  }`;
   elements.phraseInput.value = "";
-  elements.modalConfirm.disabled = true;
+  elements.phraseInput.type = currentChallenge.input === "number" ? "number" : "text";
+  elements.phraseInput.placeholder =
+    currentChallenge.input === "number" ? "Your answer..." : "Type the phrase above...";
+  elements.phraseInput.style.display = currentChallenge.input ? "" : "none";
+  if (elements.pauseDurations) {
+    elements.pauseDurations.style.display = action === "disable" ? "" : "none";
+    selectPauseDuration(DEFAULT_PAUSE_MINUTES);
+  }
+  renderChallenge();
+  if (currentChallenge.readyAt) challengeTimer = setInterval(renderChallenge, 1000);
   elements.frictionModal.classList.add("show");
-  elements.phraseInput.focus();
+  if (currentChallenge.input) elements.phraseInput.focus();
+}
+
+// Phrase box and Confirm state; re-run every second during a countdown
+function renderChallenge() {
+  const challenge = currentChallenge;
+  if (!challenge) return;
+  if (challenge.type === "wait") {
+    elements.phraseBox.textContent =
+      Date.now() < challenge.readyAt
+        ? `Wait ${formatRemaining(challenge.readyAt)}`
+        : "You can confirm now";
+  } else if (challenge.type === "delayed") {
+    elements.phraseBox.textContent = `Takes effect in ${challenge.delayMinutes} min`;
+  } else {
+    elements.phraseBox.textContent = challenge.prompt;
+  }
+  validatePhrase();
+}
+
+function selectPauseDuration(minutes) {
+  elements.pauseDurations
+    .querySelectorAll(".chip-btn")
+    .forEach((b) => b.classList.toggle("selected", b.dataset.minutes === minutes));
+}
+
+// Minutes picked in the disable prompt, or null to disable until turned on
+function getPauseMinutes() {
+  const selected = elements.pauseDurations?.querySelector(".chip-btn.selected");
+  return selected && selected.dataset.minutes ? parseInt(selected.dataset.minutes) : null;
 }
 
 function hideFrictionModal() {
   elements.frictionModal.classList.remove("show");
   elements.phraseInput.value = "";
   elements.phraseInput.classList.remove("error");
+  clearInterval(challengeTimer);
+  challengeTimer = null;
   currentFrictionAction = null;
+  currentChallenge = null;
+  pendingFrictionChanges = null;
+  pendingOverrideBudget = null;
+  pendingPreset = null;
+  pendingSchedule = null;
+  if (confirmPageAction) window.close();
+}
+
+function validatePhrase() {
+  const solved = Boolean(currentChallenge?.isSolved(elements.phraseInput.value, Date.now()));
+  elements.modalConfirm.disabled = !solved;
+  return solved;
 }
 
-function validatePhrase() {
-  const typed = elements.phraseInput.value.trim().toLowerCase();
-  const required = currentFrictionPhrase.toLowerCase();
-  elements.modalConfirm.disabled = typed !== required;
-  return typed === required;
-}
+// What a delayed action needs the background to keep until it applies
+function getDelayedFrictionPayload(action) {
+  switch (action) {
+    case "frictionSettings":
+      return { changes: pendingFrictionChanges };
+    case "preset":
+      if (!pendingPreset) return {};
+      return { changes: pickPresetSettings({ ...settings, ...pendingPreset.settings }) };
+    case "overrideBudget":
+      return { changes: { overrideTokens: pendingOverrideBudget } };
+    case "schedule":
+      if (!pendingSchedule) return {};
+      return { changes: { schedules: [...settings.schedules, pendingSchedule] } };
+    case "importLoosen":
+      return { backup: pendingImport, mode: elements.importMode.value };
+    default:
+      return {};
+  }
+}
+
+async function confirmFrictionAction() {
+  if (!validatePhrase()) {
+    elements.phraseInput.classList.add("error");
+    setTimeout(() => elements.phraseInput.classList.remove("error"), 300);
+    return;
+  }
+
+  // Delayed challenges only schedule the change; the background applies it
+  // when the delay runs out unless it's cancelled first
+  const pauseMinutes = currentFrictionAction === "disable" ? getPauseMinutes() : null;
+  if (currentChallenge.delayMinutes > 0) {
+    try {
+      await browser.runtime.sendMessage({
+        type: "SCHEDULE_FRICTION_ACTION",
+        action: currentFrictionAction,
+        minutes: pauseMinutes,
+        ...getDelayedFrictionPayload(currentFrictionAction),
+      });
+    } catch {}
+    if (currentFrictionAction === "importLoosen") hideImportPanel();
+    hideFrictionModal();
+    return;
+  }
+
+  // Ending a focus session restores settings in the background, so
+  // reload them instead of saving the (stale) popup copy
+  if (currentFrictionAction === "endFocus") {
+    try {
+      await browser.runtime.sendMessage({ type: "STOP_FOCUS_SESSION" });
+    } catch {}
+    await loadSettings();
+    await loadStats();
+    updateUI();
+    hideFrictionModal();
+    return;
+  }
+
+  if (currentFrictionAction === "schedule") {
+    if (pendingSchedule) await saveSchedule(pendingSchedule);
+    hideFrictionModal();
+    return;
+  }
+
+  if (currentFrictionAction === "preset") {
+    if (pendingPreset) await applyPreset(pendingPreset);
+    hideFrictionModal();
+    return;
+  }
 
-async function confirmFrictionAction() {
-  if (!validatePhrase()) {
-    elements.phraseInput.classList.add("error");
-    setTimeout(() => elements.phraseInput.classList.remove("error"), 300);
+  // Imports are written by the background, not the popup copy of settings
+  if (currentFrictionAction === "importLoosen") {
+    await runImport(true);
+    hideFrictionModal();
+    return;
+  }
+
+  // Pauses are kept by the background, which turns protection back on
+  if (pauseMinutes) {
+    try {
+      await browser.runtime.sendMessage({ type: "PAUSE_PROTECTION", minutes: pauseMinutes });
+    } catch {}
+    await loadStats();
+    updateUI();
+    hideFrictionModal();
     return;
   }
 
@@ -379,12 +1509,136 @@ async function confirmFrictionAction() {
   else if (currentFrictionAction === "unlock") settings.tabLimitLocked = false;
   else if (currentFrictionAction === "disableGlobal")
     settings.globalLimit = false;
+  else if (currentFrictionAction === "overrideBudget" && pendingOverrideBudget != null) {
+    settings.overrideTokens = pendingOverrideBudget;
+  } else if (currentFrictionAction === "frictionSettings" && pendingFrictionChanges)
+    Object.assign(settings, pendingFrictionChanges);
 
   await saveSettings();
   updateUI();
   hideFrictionModal();
 }
 
+// Backup export/import
+async function exportBackup() {
+  try {
+    const backup = await browser.runtime.sendMessage({ type: "EXPORT_BACKUP" });
+    const blob = new Blob([JSON.stringify(backup, null, 2)], {
+      type: "application/json",
+    });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `tabcap-backup-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    console.error("TabCap: Export failed:", error);
+  }
+}
+
+async function readImportFile(file) {
+  hideImportPanel();
+  try {
+    pendingImport = JSON.parse(await file.text());
+  } catch {
+    elements.importError.textContent = "That file isn't valid JSON";
+    return;
+  }
+  await previewImport();
+}
+
+// Dry run: ask the background what the import would change
+async function previewImport() {
+  if (!pendingImport) return;
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: "PREVIEW_IMPORT",
+      backup: pendingImport,
+      mode: elements.importMode.value,
+    });
+    if (!response || !response.valid) {
+      elements.importError.textContent = response
+        ? response.errors.join(" · ")
+        : "Couldn't read the backup";
+      elements.importPanel.style.display = "none";
+      return;
+    }
+    pendingImportSummary = response.summary;
+    elements.importError.textContent = "";
+    renderImportSummary(response.summary);
+    elements.importPanel.style.display = "flex";
+  } catch {}
+}
+
+function renderImportSummary(summary) {
+  const lines = [];
+  if (summary.exportedAt) {
+    lines.push([`Exported ${new Date(summary.exportedAt).toLocaleString()}`]);
+  }
+  const changed = summary.settingsChanged;
+  lines.push([
+    changed.length
+      ? `Settings: ${changed.length} changed (${changed.slice(0, 4).join(", ")}${changed.length > 4 ? ", …" : ""})`
+      : "Settings: no changes",
+  ]);
+  lines.push([summary.statsChanged ? "Stats: updated" : "Stats: no changes"]);
+  lines.push([`History: ${summary.statsHistory.before} → ${summary.statsHistory.after} days`]);
+  lines.push([`Tab samples: ${summary.tabSamples.before} → ${summary.tabSamples.after}`]);
+  lines.push([`Recently closed: ${summary.tabCorral.before} → ${summary.tabCorral.after} tabs`]);
+  lines.push([`Up next: ${summary.readLaterQueue.before} → ${summary.readLaterQueue.after} tabs`]);
+  lines.push([
+    `Tab activity: ${summary.tabActivity.before} → ${summary.tabActivity.after} entries`,
+  ]);
+  if (summary.loosensLimit) {
+    lines.push(["⚠️ Loosens your locked tab limit", "warning"]);
+  }
+
+  elements.importSummary.innerHTML = "";
+  lines.forEach(([text, className]) => {
+    const li = document.createElement("li");
+    li.textContent = text;
+    if (className) li.className = className;
+    elements.importSummary.appendChild(li);
+  });
+}
+
+function hideImportPanel() {
+  pendingImport = null;
+  pendingImportSummary = null;
+  elements.importPanel.style.display = "none";
+  elements.importError.textContent = "";
+  elements.importFile.value = "";
+}
+
+// confirmed: the friction challenge for a loosening import was passed
+async function runImport(confirmed = false) {
+  if (!pendingImport) return;
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: "APPLY_IMPORT",
+      backup: pendingImport,
+      mode: elements.importMode.value,
+      confirmed,
+    });
+    if (!response || !response.success) {
+      elements.importError.textContent = response
+        ? response.errors.join(" · ")
+        : "Import failed";
+      return;
+    }
+  } catch {
+    return;
+  }
+
+  hideImportPanel();
+  await loadSettings();
+  await loadStats();
+  updateUI();
+  await updateTabMetrics();
+  await updateHistoryChart();
+}
+
 function sanitizeDomain(input) {
   return input
     .trim() // Remove leading/trailing spaces
@@ -397,17 +1651,51 @@ function sanitizeDomain(input) {
     .split("#")[0]; // Remove hash
 }
 
+// Allowlist and blocklist entries can be domains, host:port, path prefixes,
+// globs or /regex/ - the background parses them, so ask it to validate and preview
+async function validateUrlPattern(entry) {
+  try {
+    return await browser.runtime.sendMessage({
+      type: "VALIDATE_URL_PATTERN",
+      entry,
+    });
+  } catch {
+    return null;
+  }
+}
+
+let allowlistPreviewTimer = null;
+function scheduleAllowlistPreview() {
+  clearTimeout(allowlistPreviewTimer);
+  allowlistPreviewTimer = setTimeout(async () => {
+    const entry = elements.allowlistInput.value.trim();
+    renderPatternPreview(
+      elements.allowlistPreview,
+      entry ? await validateUrlPattern(entry) : null
+    );
+  }, 150);
+}
+
 async function addDomain() {
-  const domain = sanitizeDomain(elements.allowlistInput.value);
-  if (!domain) return;
+  const input = elements.allowlistInput.value.trim();
+  if (!input) return;
+
+  const result = await validateUrlPattern(input);
+  if (!result || !result.valid) {
+    renderPatternPreview(elements.allowlistPreview, result);
+    elements.allowlistInput.classList.add("error");
+    setTimeout(() => elements.allowlistInput.classList.remove("error"), 300);
+    return;
+  }
 
-  if (!settings.allowlist.includes(domain)) {
-    settings.allowlist.push(domain);
+  if (!settings.allowlist.includes(result.entry)) {
+    settings.allowlist.push(result.entry);
     await saveSettings();
     updateUI();
   }
 
   elements.allowlistInput.value = "";
+  renderPatternPreview(elements.allowlistPreview, null);
 }
 
 async function removeDomain(index) {
@@ -450,8 +1738,8 @@ function setupEventListeners() {
   // Stepper
   if (elements.decreaseBtn) {
     elements.decreaseBtn.addEventListener("click", async () => {
-      if (settings.tabLimitLocked) return;
-      if (settings.maxTabs > 1) {
+      if (settings.tabLimitLocked || focusSession) return;
+      if (settings.maxTabs > SETTINGS_SCHEMA.maxTabs.min) {
         settings.maxTabs--;
         await saveSettings();
         updateUI();
@@ -461,8 +1749,8 @@ function setupEventListeners() {
 
   if (elements.increaseBtn) {
     elements.increaseBtn.addEventListener("click", async () => {
-      if (settings.tabLimitLocked) return;
-      if (settings.maxTabs < 500) {
+      if (settings.tabLimitLocked || focusSession) return;
+      if (settings.maxTabs < SETTINGS_SCHEMA.maxTabs.max) {
         settings.maxTabs++;
         await saveSettings();
         updateUI();
@@ -504,11 +1792,71 @@ function setupEventListeners() {
         settings.globalLimit = true;
         await saveSettings();
         updateUI();
-        await updateTabCount();
       }
     });
   }
 
+  // Eviction policy
+  if (elements.evictionPolicySelect) {
+    elements.evictionPolicySelect.addEventListener("change", async (e) => {
+      settings.evictionPolicy = e.target.value;
+      await saveSettings();
+    });
+  }
+
+  // Duplicate tabs
+  if (elements.duplicatePolicySelect) {
+    elements.duplicatePolicySelect.addEventListener("change", async (e) => {
+      settings.duplicatePolicy = e.target.value;
+      await saveSettings();
+      updateUI();
+    });
+  }
+  if (elements.duplicateIgnoreHashToggle) {
+    elements.duplicateIgnoreHashToggle.addEventListener("change", async (e) => {
+      settings.duplicateIgnoreHash = e.target.checked;
+      await saveSettings();
+      updateUI();
+    });
+  }
+  if (elements.duplicateIgnoreTrackingToggle) {
+    elements.duplicateIgnoreTrackingToggle.addEventListener("change", async (e) => {
+      settings.duplicateIgnoreTracking = e.target.checked;
+      await saveSettings();
+      updateUI();
+    });
+  }
+  if (elements.duplicateIgnoreQueryToggle) {
+    elements.duplicateIgnoreQueryToggle.addEventListener("change", async (e) => {
+      settings.duplicateIgnoreQuery = e.target.checked;
+      await saveSettings();
+      updateUI();
+    });
+  }
+
+  // Limit page toggle
+  if (elements.limitPageToggle) {
+    elements.limitPageToggle.addEventListener("change", async (e) => {
+      settings.limitAction = e.target.checked ? "interstitial" : "close";
+      await saveSettings();
+    });
+  }
+
+  // Read-later queue
+  if (elements.readLaterToggle) {
+    elements.readLaterToggle.addEventListener("change", async (e) => {
+      settings.readLaterEnabled = e.target.checked;
+      await saveSettings();
+    });
+  }
+
+  if (elements.readLaterOpenSelect) {
+    elements.readLaterOpenSelect.addEventListener("change", async (e) => {
+      settings.readLaterOpen = e.target.value;
+      await saveSettings();
+    });
+  }
+
   // Allowlist toggle
   if (elements.allowlistToggle) {
     elements.allowlistToggle.addEventListener("change", async (e) => {
@@ -530,6 +1878,7 @@ function setupEventListeners() {
     elements.allowlistInput.addEventListener("keydown", (e) => {
       if (e.key === "Enter") addDomain();
     });
+    elements.allowlistInput.addEventListener("input", scheduleAllowlistPreview);
   }
 
   // Remove domain
@@ -541,6 +1890,179 @@ function setupEventListeners() {
     });
   }
 
+  // Focus session
+  if (elements.focusDurations) {
+    elements.focusDurations.addEventListener("click", (e) => {
+      const btn = e.target.closest(".chip-btn");
+      if (!btn) return;
+      elements.focusDurations
+        .querySelectorAll(".chip-btn")
+        .forEach((b) => b.classList.toggle("selected", b === btn));
+      elements.focusCustomMinutes.value = "";
+    });
+  }
+
+  if (elements.startFocusBtn)
+    elements.startFocusBtn.addEventListener("click", startFocusSession);
+
+  if (elements.overrideTokensInput) {
+    elements.overrideTokensInput.addEventListener("change", (e) =>
+      setOverrideBudget(parseInt(e.target.value))
+    );
+  }
+  if (elements.armOverrideBtn)
+    elements.armOverrideBtn.addEventListener("click", toggleArmedOverride);
+
+  if (elements.pauseDurations) {
+    elements.pauseDurations.addEventListener("click", (e) => {
+      const btn = e.target.closest(".chip-btn");
+      if (btn) selectPauseDuration(btn.dataset.minutes);
+    });
+  }
+
+  // Ending early requires friction
+  if (elements.endFocusBtn) {
+    elements.endFocusBtn.addEventListener("click", () => {
+      showFrictionModal("endFocus");
+    });
+  }
+
+  // Schedules toggle (disabled while the tab limit is locked)
+  if (elements.schedulesToggle) {
+    elements.schedulesToggle.addEventListener("change", async (e) => {
+      if (settings.tabLimitLocked) {
+        e.target.checked = settings.schedulesEnabled;
+        return;
+      }
+      settings.schedulesEnabled = e.target.checked;
+      await saveSettings();
+      // A schedule switch rewrites settings in the background
+      await loadSettings();
+      updateUI();
+    });
+  }
+
+  if (elements.scheduleDays) {
+    elements.scheduleDays.addEventListener("click", (e) => {
+      const btn = e.target.closest(".day-btn");
+      if (btn) btn.classList.toggle("selected");
+    });
+  }
+
+  if (elements.addScheduleBtn)
+    elements.addScheduleBtn.addEventListener("click", addSchedule);
+
+  if (elements.scheduleList) {
+    elements.scheduleList.addEventListener("click", (e) => {
+      if (e.target.tagName === "BUTTON") {
+        removeSchedule(parseInt(e.target.dataset.scheduleIndex));
+      }
+    });
+  }
+
+  // Domain limits
+  if (elements.addDomainLimitBtn)
+    elements.addDomainLimitBtn.addEventListener("click", addDomainLimit);
+  if (elements.domainLimitInput) {
+    elements.domainLimitInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") addDomainLimit();
+    });
+  }
+  if (elements.domainLimitsList) {
+    elements.domainLimitsList.addEventListener("click", (e) => {
+      if (e.target.tagName === "BUTTON") {
+        removeDomainLimit(parseInt(e.target.dataset.index));
+      }
+    });
+  }
+
+  // Window limits
+  if (elements.setWindowLimitBtn)
+    elements.setWindowLimitBtn.addEventListener("click", setWindowLimit);
+  if (elements.windowLimitsList) {
+    elements.windowLimitsList.addEventListener("click", async (e) => {
+      const { attach, remove } = e.target.dataset;
+      if (attach) {
+        await browser.runtime.sendMessage({
+          type: "ATTACH_WINDOW_LIMIT",
+          id: attach,
+          windowId: currentWindowId,
+        });
+      } else if (remove && !settings.tabLimitLocked) {
+        await browser.runtime.sendMessage({ type: "REMOVE_WINDOW_LIMIT", id: remove });
+      }
+    });
+  }
+
+  // Blocklist toggle (turning it off is blocked while locked)
+  if (elements.blocklistToggle) {
+    elements.blocklistToggle.addEventListener("change", async (e) => {
+      if (!e.target.checked && settings.tabLimitLocked) {
+        e.target.checked = true;
+        return;
+      }
+      settings.blocklistEnabled = e.target.checked;
+      await saveSettings();
+      updateUI();
+    });
+  }
+
+  if (elements.addBlocklistBtn)
+    elements.addBlocklistBtn.addEventListener("click", addBlocklistEntry);
+  if (elements.blocklistInput) {
+    elements.blocklistInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") addBlocklistEntry();
+    });
+    elements.blocklistInput.addEventListener("input", scheduleBlocklistPreview);
+  }
+  if (elements.blocklistList) {
+    elements.blocklistList.addEventListener("click", (e) => {
+      if (e.target.tagName === "BUTTON") {
+        removeBlocklistEntry(parseInt(e.target.dataset.index));
+      }
+    });
+  }
+
+  // Friction challenges
+  for (const select of elements.frictionSelects || []) {
+    select.addEventListener("change", (e) => {
+      const key = select.dataset.setting;
+      const action = Object.keys(FRICTION_SETTING_KEYS).find(
+        (a) => FRICTION_SETTING_KEYS[a] === key
+      );
+      saveFrictionSettings({ [key]: e.target.value }, action);
+    });
+  }
+  const frictionNumbers = [
+    [elements.frictionWaitInput, "frictionWaitSeconds"],
+    [elements.frictionDelayInput, "frictionDelayMinutes"],
+  ];
+  for (const [input, key] of frictionNumbers) {
+    if (!input) continue;
+    input.addEventListener("change", (e) => {
+      const val = parseInt(e.target.value);
+      saveFrictionSettings({
+        [key]: isNaN(val) ? SETTINGS_SCHEMA[key].default : clampSetting(key, val),
+      });
+    });
+  }
+  if (elements.addCustomPhraseBtn)
+    elements.addCustomPhraseBtn.addEventListener("click", addCustomPhrase);
+  if (elements.customPhraseInput) {
+    elements.customPhraseInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") addCustomPhrase();
+    });
+  }
+  if (elements.customPhrasesList) {
+    elements.customPhrasesList.addEventListener("click", (e) => {
+      if (e.target.tagName === "BUTTON") {
+        removeCustomPhrase(parseInt(e.target.dataset.index));
+      }
+    });
+  }
+  if (elements.cancelFrictionBtn)
+    elements.cancelFrictionBtn.addEventListener("click", cancelPendingFriction);
+
   // Inactive tabs toggle
   if (elements.inactiveToggle) {
     elements.inactiveToggle.addEventListener("change", async (e) => {
@@ -550,12 +2072,14 @@ function setupEventListeners() {
     });
   }
 
-  // Inactive minutes stepper
   // Inactive minutes stepper
   if (elements.decreaseInactive) {
     elements.decreaseInactive.addEventListener("click", async () => {
-      if (settings.inactiveMinutes > 1) {
-        settings.inactiveMinutes = Math.max(1, settings.inactiveMinutes - (settings.inactiveMinutes <= 5 ? 1 : 5));
+      if (settings.inactiveMinutes > SETTINGS_SCHEMA.inactiveMinutes.min) {
+        settings.inactiveMinutes = clampSetting(
+          "inactiveMinutes",
+          settings.inactiveMinutes - (settings.inactiveMinutes <= 5 ? 1 : 5)
+        );
         await saveSettings();
         updateUI();
       }
@@ -564,8 +2088,11 @@ function setupEventListeners() {
 
   if (elements.increaseInactive) {
     elements.increaseInactive.addEventListener("click", async () => {
-      if (settings.inactiveMinutes < 480) {
-        settings.inactiveMinutes += settings.inactiveMinutes < 5 ? 1 : 5;
+      if (settings.inactiveMinutes < SETTINGS_SCHEMA.inactiveMinutes.max) {
+        settings.inactiveMinutes = clampSetting(
+          "inactiveMinutes",
+          settings.inactiveMinutes + (settings.inactiveMinutes < 5 ? 1 : 5)
+        );
         await saveSettings();
         updateUI();
       }
@@ -574,11 +2101,11 @@ function setupEventListeners() {
 
   if (elements.inactiveMinutesInput) {
     elements.inactiveMinutesInput.addEventListener("change", async (e) => {
-      let val = parseInt(e.target.value);
-      if (isNaN(val) || val < 1) val = 1;
-      if (val > 480) val = 480; // limits max to 8 hours
-      
-      settings.inactiveMinutes = val;
+      // Up to 8 hours; empty or invalid input falls back to the minimum
+      const val = parseInt(e.target.value);
+      settings.inactiveMinutes = isNaN(val)
+        ? SETTINGS_SCHEMA.inactiveMinutes.min
+        : clampSetting("inactiveMinutes", val);
       await saveSettings();
       updateUI();
     });
@@ -608,11 +2135,11 @@ function setupEventListeners() {
     });
   }
 
-  // Min tabs stepper (range: 0-50, Tab Wrangler allows 0+)
+  // Min tabs stepper (range from the schema: 0-50, Tab Wrangler allows 0+)
   if (elements.decreaseMinTabs) {
     elements.decreaseMinTabs.addEventListener("click", async () => {
       const current = settings.minTabs != null ? settings.minTabs : 5;
-      if (current > 1) {
+      if (current > SETTINGS_SCHEMA.minTabs.min) {
         settings.minTabs = current - 1;
         await saveSettings();
         updateUI();
@@ -622,7 +2149,7 @@ function setupEventListeners() {
   if (elements.increaseMinTabs) {
     elements.increaseMinTabs.addEventListener("click", async () => {
       const current = settings.minTabs != null ? settings.minTabs : 5;
-      if (current < 50) {
+      if (current < SETTINGS_SCHEMA.minTabs.max) {
         settings.minTabs = current + 1;
         await saveSettings();
         updateUI();
@@ -634,7 +2161,7 @@ function setupEventListeners() {
   if (elements.decreaseDebounce) {
     elements.decreaseDebounce.addEventListener("click", async () => {
       const current = settings.debounceDelay != null ? settings.debounceDelay : 1;
-      if (current > 0) {
+      if (current > SETTINGS_SCHEMA.debounceDelay.min) {
         settings.debounceDelay = current - 1;
         await saveSettings();
         updateUI();
@@ -645,7 +2172,7 @@ function setupEventListeners() {
   if (elements.increaseDebounce) {
     elements.increaseDebounce.addEventListener("click", async () => {
       const current = settings.debounceDelay != null ? settings.debounceDelay : 1;
-      if (current < 10) {
+      if (current < SETTINGS_SCHEMA.debounceDelay.max) {
         settings.debounceDelay = current + 1;
         await saveSettings();
         updateUI();
@@ -656,30 +2183,154 @@ function setupEventListeners() {
   // Clear recently closed tabs
   if (elements.clearCorralBtn) {
     elements.clearCorralBtn.addEventListener("click", async () => {
-      // Set flag to skip automatic updates (prevents race condition)
-      corralJustCleared = true;
-      
-      // Immediately update UI
-      if (elements.corralList) {
-        elements.corralList.innerHTML = '<p class="setting-hint">No closed tabs</p>';
-      }
-      
-      // Clear in background and verify
+      // Show it empty right away; the background pushes the cleared corral
+      popupState.corral = [];
+      updateCorralList();
+
       try {
         const response = await browser.runtime.sendMessage({ type: "CLEAR_CORRAL" });
-        if (response && response.success) {
-          console.log("TabCap: Corral cleared successfully");
-          // Reset flag after a delay to allow any pending updates to complete
-          setTimeout(() => {
-            corralJustCleared = false;
-          }, 6000);
-        } else {
-          console.error("TabCap: Clear corral failed");
-          // Keep flag on - don't let old data back in
-        }
+        if (!response || !response.success) console.error("TabCap: Clear corral failed");
       } catch (error) {
         console.error("TabCap: Error clearing corral:", error);
-        // Keep flag on
+      }
+    });
+  }
+
+  // Corral filter
+  if (elements.corralFilter) {
+    elements.corralFilter.addEventListener("click", async (e) => {
+      const btn = e.target.closest(".chip-btn");
+      if (!btn) return;
+      corralFilter = btn.dataset.reason;
+      elements.corralFilter
+        .querySelectorAll(".chip-btn")
+        .forEach((b) => b.classList.toggle("selected", b === btn));
+      updateCorralList();
+    });
+  }
+
+  // Presets
+  if (elements.presetSelect) {
+    elements.presetSelect.addEventListener("change", (e) => switchPreset(e.target.value));
+  }
+
+  if (elements.savePresetBtn) {
+    elements.savePresetBtn.addEventListener("click", savePreset);
+    elements.presetNameInput.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") savePreset();
+    });
+  }
+
+  if (elements.presetsList) {
+    elements.presetsList.addEventListener("click", (e) => {
+      if (e.target.tagName === "BUTTON") {
+        removePreset(parseInt(e.target.dataset.index));
+      }
+    });
+  }
+
+  // Stats history range and metric
+  if (elements.historyRange) {
+    elements.historyRange.addEventListener("click", async (e) => {
+      const btn = e.target.closest(".chip-btn");
+      if (!btn) return;
+      historyDays = parseInt(btn.dataset.days);
+      elements.historyRange
+        .querySelectorAll(".chip-btn")
+        .forEach((b) => b.classList.toggle("selected", b === btn));
+      await updateHistoryChart();
+    });
+  }
+
+  if (elements.historyMetric) {
+    elements.historyMetric.addEventListener("change", async (e) => {
+      historyMetric = e.target.value;
+      await updateHistoryChart();
+    });
+  }
+
+  // Week start changes what "this week" counts - reload stats
+  if (elements.weekStartSelect) {
+    elements.weekStartSelect.addEventListener("change", async (e) => {
+      settings.weekStartDay = parseInt(e.target.value);
+      await saveSettings();
+      await loadStats();
+      updateUI();
+    });
+  }
+
+  if (elements.historyDaysSelect) {
+    elements.historyDaysSelect.addEventListener("change", async (e) => {
+      settings.historyDays = parseInt(e.target.value);
+      await saveSettings();
+    });
+  }
+
+  // Backup export/import
+  if (elements.exportBtn) {
+    elements.exportBtn.addEventListener("click", exportBackup);
+  }
+
+  if (elements.importBtn) {
+    elements.importBtn.addEventListener("click", () => elements.importFile.click());
+    elements.importFile.addEventListener("change", async (e) => {
+      const [file] = e.target.files;
+      if (file) await readImportFile(file);
+    });
+    elements.importMode.addEventListener("change", previewImport);
+    elements.cancelImportBtn.addEventListener("click", hideImportPanel);
+    // Loosening a locked limit goes through the friction modal
+    elements.applyImportBtn.addEventListener("click", async () => {
+      if (pendingImportSummary && pendingImportSummary.loosensLimit) {
+        showFrictionModal("importLoosen");
+      } else {
+        await runImport();
+      }
+    });
+  }
+
+  // Open the next queued tab if this window has room
+  if (elements.openNextQueuedBtn) {
+    elements.openNextQueuedBtn.addEventListener("click", async () => {
+      await browser.runtime.sendMessage({
+        type: "OPEN_NEXT_READ_LATER",
+        windowId: currentWindowId,
+      });
+    });
+  }
+
+  // Up next queue controls (delegated click)
+  if (elements.readLaterList) {
+    elements.readLaterList.addEventListener("click", async (e) => {
+      const btn = e.target.closest("[data-queue-action]");
+      if (!btn) return;
+      const index = parseInt(btn.dataset.queueIndex);
+      const action = btn.dataset.queueAction;
+      if (action === "open") {
+        await browser.runtime.sendMessage({ type: "OPEN_READ_LATER", index });
+      } else if (action === "remove") {
+        await browser.runtime.sendMessage({ type: "REMOVE_READ_LATER", index });
+      } else {
+        await browser.runtime.sendMessage({
+          type: "MOVE_READ_LATER",
+          index,
+          direction: action === "up" ? -1 : 1,
+        });
+      }
+    });
+  }
+
+  // Open tabs snooze/keep controls (delegated click)
+  if (elements.inactiveTabsList) {
+    elements.inactiveTabsList.addEventListener("click", async (e) => {
+      const btn = e.target.closest("[data-protect-action]");
+      if (!btn) return;
+      const tabId = parseInt(btn.dataset.tabId);
+      const action = btn.dataset.protectAction;
+      if (action === "clear") {
+        await browser.runtime.sendMessage({ type: "UNPROTECT_TAB", tabId });
+      } else {
+        await browser.runtime.sendMessage({ type: "PROTECT_TAB", tabId, duration: action });
       }
     });
   }
@@ -691,7 +2342,6 @@ function setupEventListeners() {
       if (btn) {
         const index = parseInt(btn.dataset.corralIndex);
         await browser.runtime.sendMessage({ type: "RESTORE_FROM_CORRAL", index });
-        await updateCorralList();
       }
     });
   }
@@ -718,12 +2368,12 @@ function setupEventListeners() {
   }
 }
 
-// Inactive tabs list
-async function updateInactiveTabsList() {
+// Inactive tabs list (countdowns re-render every second from popupState)
+function updateInactiveTabsList() {
   if (!elements.inactiveTabsList) return;
   try {
-    const response = await browser.runtime.sendMessage({ type: "GET_INACTIVE_TABS" });
-    if (!response || !response.tabs || response.tabs.length === 0) {
+    const tabs = popupState.inactiveTabs;
+    if (tabs.length === 0) {
       elements.inactiveTabsList.innerHTML = '<p class="setting-hint">No open tabs</p>';
       return;
     }
@@ -732,7 +2382,7 @@ async function updateInactiveTabsList() {
     const limitMs = settings.inactiveMinutes * 60 * 1000;
 
     elements.inactiveTabsList.innerHTML = "";
-    response.tabs.forEach((tab) => {
+    tabs.forEach((tab) => {
       const elapsed = now - tab.lastAccessed;
       const remaining = Math.max(0, limitMs - elapsed);
       const mins = Math.floor(remaining / 60000);
@@ -754,20 +2404,36 @@ async function updateInactiveTabsList() {
         badgeText = `${mins}m ${secs}s`;
       }
 
+      // Snooze/keep controls for tabs nothing else protects; undo for
+      // tabs the user snoozed or kept
+      let controls = "";
+      if (tab.userProtected) {
+        controls = `<button class="btn-icon" data-protect-action="clear" data-tab-id="${tab.id}" title="Stop protecting">×</button>`;
+      } else if (!tab.isProtected) {
+        controls = SNOOZE_CONTROLS.map(
+          ([duration, label, title]) =>
+            `<button class="btn-icon" data-protect-action="${duration}" data-tab-id="${tab.id}" title="${title}">${label}</button>`
+        ).join("");
+      }
+      const badgeTitle = tab.protectedUntil
+        ? `Snoozed until ${new Date(tab.protectedUntil).toLocaleString([], { weekday: "short", hour: "numeric", minute: "2-digit" })}`
+        : "";
+
       const item = document.createElement("div");
       item.className = "inactive-tab-item";
       item.innerHTML = `
         <div class="inactive-tab-info">
           <span class="inactive-tab-title">${escapeHtml(tab.title || "Untitled")}</span>
         </div>
-        <span class="inactive-tab-badge ${badgeClass}">${badgeText}</span>
+        <div class="tab-protect-controls">${controls}</div>
+        <span class="inactive-tab-badge ${badgeClass}" title="${badgeTitle}">${badgeText}</span>
       `;
       elements.inactiveTabsList.appendChild(item);
     });
 
     // Check if any unprotected tabs have expired (remaining <= 0)
     // If so, trigger immediate background check to sync visual timer with data
-    const hasExpired = response.tabs.some(t => !t.isProtected && (limitMs - (now - t.lastAccessed)) <= 0);
+    const hasExpired = tabs.some(t => !t.isProtected && (limitMs - (now - t.lastAccessed)) <= 0);
     
     if (hasExpired && settings.inactiveEnabled) {
       // Throttle checks to avoid spamming message
@@ -779,20 +2445,35 @@ async function updateInactiveTabsList() {
   } catch {}
 }
 
+// Per-row snooze buttons: [duration sent to PROTECT_TAB, label, tooltip]
+const SNOOZE_CONTROLS = [
+  ["1h", "1h", "Snooze for 1 hour"],
+  ["4h", "4h", "Snooze for 4 hours"],
+  ["tomorrow", "☾", "Snooze until tomorrow"],
+  ["keep", "∞", "Keep (never auto-close)"],
+];
+
 // Recently Closed list
-async function updateCorralList() {
+function updateCorralList() {
   if (!elements.corralList) return;
-  // Skip update if we just cleared (prevents race condition)
-  if (corralJustCleared) return;
   try {
-    const response = await browser.runtime.sendMessage({ type: "GET_CORRAL" });
-    if (!response || !response.tabs || response.tabs.length === 0) {
+    const tabs = popupState.corral;
+    if (tabs.length === 0) {
+      elements.corralList.innerHTML = '<p class="setting-hint">No closed tabs</p>';
+      return;
+    }
+
+    // Entries saved before close reasons existed came from inactive cleanup
+    const entries = tabs
+      .map((tab, index) => ({ tab, index, reason: tab.reason || "inactive" }))
+      .filter((entry) => !corralFilter || entry.reason === corralFilter);
+    if (entries.length === 0) {
       elements.corralList.innerHTML = '<p class="setting-hint">No closed tabs</p>';
       return;
     }
 
     elements.corralList.innerHTML = "";
-    response.tabs.forEach((tab, index) => {
+    entries.forEach(({ tab, index, reason }) => {
       const ago = formatTimeAgo(tab.closedAt);
       let domain = "";
       try { domain = new URL(tab.url).hostname.replace(/^www\./, ""); } catch {}
@@ -801,7 +2482,7 @@ async function updateCorralList() {
       item.innerHTML = `
         <div class="inactive-tab-info">
           <span class="inactive-tab-title">${escapeHtml(tab.title || "Untitled")}</span>
-          <span class="inactive-tab-time">${domain ? escapeHtml(domain) + " · " : ""}${ago}</span>
+          <span class="inactive-tab-time">${domain ? escapeHtml(domain) + " · " : ""}${ago} · ${CORRAL_REASON_LABELS[reason] || reason}</span>
         </div>
         <button class="btn-small" data-corral-index="${index}" style="font-size: 0.625rem; padding: 0.25rem 0.5rem;">Restore</button>
       `;
@@ -810,6 +2491,104 @@ async function updateCorralList() {
   } catch {}
 }
 
+// Stats history bar chart
+const HISTORY_METRIC_LABELS = {
+  blocked: "blocked",
+  inactiveClosed: "auto-closed",
+  avgTabs: "avg tabs",
+  peakTabs: "peak tabs",
+  limitMinutes: "min at limit",
+};
+
+async function updateHistoryChart() {
+  if (!elements.historyChart) return;
+  try {
+    const response = await browser.runtime.sendMessage({
+      type: "GET_STATS_HISTORY",
+      days: historyDays,
+    });
+    if (!response || !response.days) return;
+
+    const values = response.days.map((day) => day[historyMetric] || 0);
+    const max = Math.max(1, ...values);
+    const label = HISTORY_METRIC_LABELS[historyMetric];
+
+    elements.historyChart.innerHTML = "";
+    response.days.forEach((day, i) => {
+      const bar = document.createElement("div");
+      bar.className = values[i] ? "history-bar" : "history-bar empty";
+      bar.style.height = `${(values[i] / max) * 100}%`;
+      bar.title = `${day.date}: ${values[i]} ${label}`;
+      elements.historyChart.appendChild(bar);
+    });
+
+    // Peaks and averages are per day - summing them across days means nothing
+    const average = values.reduce((a, b) => a + b, 0) / values.length;
+    elements.historySummary.textContent =
+      historyMetric === "peakTabs" || historyMetric === "avgTabs"
+        ? `Highest ${Math.max(...values)} · avg ${average.toFixed(1)} per day`
+        : `Total ${values.reduce((a, b) => a + b, 0)} · avg ${average.toFixed(1)} per day`;
+  } catch {}
+}
+
+// Tab-count metrics from the last 24 hours of samples
+async function updateTabMetrics() {
+  if (!elements.avgTabs) return;
+  try {
+    const metrics = await browser.runtime.sendMessage({ type: "GET_TAB_METRICS" });
+    if (!metrics) return;
+    elements.avgTabs.textContent = metrics.average;
+    elements.peakTabs.textContent = metrics.peak;
+    elements.limitMinutes.textContent = metrics.limitMinutes;
+    elements.tabMetricsHint.textContent = metrics.samples
+      ? `Busiest window peaked at ${metrics.peakWindow} tabs`
+      : "Sampled once a minute - check back soon";
+  } catch {}
+}
+
+// Up next (read-later queue)
+function updateReadLaterList() {
+  if (!elements.readLaterList) return;
+  try {
+    const queue = popupState.readLater;
+    if (elements.openNextQueuedBtn) elements.openNextQueuedBtn.disabled = queue.length === 0;
+    if (queue.length === 0) {
+      elements.readLaterList.innerHTML = '<p class="setting-hint">Nothing queued</p>';
+      return;
+    }
+
+    const last = queue.length - 1;
+    elements.readLaterList.innerHTML = "";
+    queue.forEach((entry, index) => {
+      let domain = "";
+      try { domain = new URL(entry.url).hostname.replace(/^www\./, ""); } catch {}
+      const item = document.createElement("div");
+      item.className = "inactive-tab-item";
+      item.innerHTML = `
+        <div class="inactive-tab-info">
+          <span class="inactive-tab-title">${escapeHtml(entry.title || "Untitled")}</span>
+          <span class="inactive-tab-time">${domain ? escapeHtml(domain) + " · " : ""}${formatTimeAgo(entry.addedAt)}</span>
+        </div>
+        <div class="queue-controls">
+          <button class="btn-icon" data-queue-action="up" data-queue-index="${index}" title="Move up" ${index === 0 ? "disabled" : ""}>↑</button>
+          <button class="btn-icon" data-queue-action="down" data-queue-index="${index}" title="Move down" ${index === last ? "disabled" : ""}>↓</button>
+          <button class="btn-icon" data-queue-action="remove" data-queue-index="${index}" title="Remove">×</button>
+          <button class="btn-small" data-queue-action="open" data-queue-index="${index}" style="font-size: 0.625rem; padding: 0.25rem 0.5rem;">Open</button>
+        </div>
+      `;
+      elements.readLaterList.appendChild(item);
+    });
+  } catch {}
+}
+
+const CORRAL_REASON_LABELS = {
+  limit: "limit",
+  inactive: "inactive",
+  blocklist: "blocked",
+  manual: "closed by you",
+  duplicate: "duplicate",
+};
+
 function formatTimeAgo(timestamp) {
   const diff = Date.now() - timestamp;
   const mins = Math.floor(diff / 60000);
@@ -830,14 +2609,24 @@ function escapeHtml(str) {
 // Initialize
 document.addEventListener("DOMContentLoaded", async () => {
   initElements();
+  try {
+    currentWindowId = (await browser.windows.getCurrent()).id;
+  } catch {}
   await loadSettings();
   await loadStats();
   updateUI();
-  await updateTabCount();
   setupEventListeners();
-  await updateInactiveTabsList();
-  await updateCorralList();
-  setInterval(updateTabCount, 1000);
-  setInterval(updateInactiveTabsList, 3000);
-  setInterval(updateCorralList, 5000);
+  // The snapshot fills the count and the lists
+  connectPopupPort();
+  if (REQUESTED_CONFIRM_ACTIONS.includes(confirmPageAction)) {
+    showFrictionModal(confirmPageAction);
+  }
+  await updateTabMetrics();
+  await updateHistoryChart();
+  // Local re-renders only: countdowns and "5m ago" labels age in place
+  setInterval(tickFocusSession, 1000);
+  setInterval(updateInactiveTabsList, 1000);
+  setInterval(updatePendingFriction, 1000);
+  setInterval(updatePauseUI, 1000);
+  setInterval(updateOverridesUI, 1000);
 });
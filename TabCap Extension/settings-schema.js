@@ -0,0 +1,191 @@
+// Safari Tab Limit - Settings Schema
+// The one list of settings, their defaults and allowed values. Imported by
+// the background script and the popup so the two can't drift apart.
+
+import { CHALLENGE_TYPES } from "./friction.js";
+
+// Bump when a migration is added below
+export const SCHEMA_VERSION = 2;
+
+// type: "boolean" | "integer" | "enum" | "array"
+// Integers out of range are clamped; anything of the wrong type falls back
+// to the default.
+export const SETTINGS_SCHEMA = {
+  enabled: { type: "boolean", default: true },
+  maxTabs: { type: "integer", default: 3, min: 1, max: 500 },
+  globalLimit: { type: "boolean", default: false }, // false = per window, true = all windows combined
+  evictionPolicy: {
+    type: "enum",
+    default: "closeNew",
+    values: ["closeNew", "closeLRU", "closeOldest", "closeSameDomain"],
+  },
+  // "close" or "interstitial" (redirect to the limit-reached page)
+  limitAction: { type: "enum", default: "close", values: ["close", "interstitial"] },
+  overrideTokens: { type: "integer", default: 0, min: 0, max: 10 }, // over-limit tabs allowed through per day (resets at local midnight)
+  readLaterEnabled: { type: "boolean", default: false }, // queue tabs blocked by the limit instead of dropping them
+  // "auto" (when a slot frees up) or "click" (from the popup, a shortcut or the context menu)
+  readLaterOpen: { type: "enum", default: "auto", values: ["auto", "click"] },
+  allowlistEnabled: { type: "boolean", default: false },
+  allowlist: { type: "array", default: [] },
+  domainLimits: { type: "array", default: [] }, // [{ domain: "youtube.com", max: 1 }] - enforced across all windows
+  windowLimits: { type: "array", default: [] }, // [{ id, label, max, windowId, pinnedHosts }] - own limit for one window (see policy.matchWindowLimits)
+  blocklistEnabled: { type: "boolean", default: false },
+  blocklist: { type: "array", default: [] }, // [{ pattern, action: "close" | "weight", weight }] - same patterns as allowlist
+  tabLimitLocked: { type: "boolean", default: false },
+  inactiveEnabled: { type: "boolean", default: false },
+  inactiveMinutes: { type: "integer", default: 30, min: 1, max: 480 },
+  protectPinned: { type: "boolean", default: true },
+  protectAudible: { type: "boolean", default: true },
+  protectAllowlist: { type: "boolean", default: true },
+  minTabs: { type: "integer", default: 5, min: 0, max: 50 },
+  corralMax: { type: "integer", default: 100, min: 1, max: 500 },
+  corralExpireHours: { type: "integer", default: 24, min: 0, max: 720 }, // Auto-delete closed tabs after this many hours (0 = never)
+  debounceDelay: { type: "integer", default: 1, min: 0, max: 10 }, // Wait X seconds before resetting timer (0 = instant)
+  wrangleOption: {
+    type: "enum",
+    default: "exactURLMatch",
+    values: ["withDupes", "exactURLMatch", "hostnameAndTitleMatch"],
+  },
+  // Opening a page that's already open: "allow", "focus" (switch to the open
+  // tab, close the new one) or "merge" (keep the new tab, close older copies)
+  duplicatePolicy: { type: "enum", default: "allow", values: ["allow", "focus", "merge"] },
+  duplicateIgnoreHash: { type: "boolean", default: true }, // page.html#a == page.html#b
+  duplicateIgnoreTracking: { type: "boolean", default: true }, // drop utm_*, fbclid, gclid...
+  duplicateIgnoreQuery: { type: "boolean", default: false }, // compare without ?query at all
+  schedulesEnabled: { type: "boolean", default: false },
+  schedules: { type: "array", default: [] }, // [{ id, name, days: [0-6], start: "HH:MM", end: "HH:MM", overrides: {...} }]
+  presets: { type: "array", default: [] }, // [{ id, name, settings: {...} }] - named settings bundles, switched from the popup
+  // Challenge asked before each loosening action (see friction.js):
+  // "phrase", "longPhrase", "wait", "arithmetic" or "delayed"
+  frictionDisable: { type: "enum", default: "phrase", values: CHALLENGE_TYPES },
+  frictionAllowlist: { type: "enum", default: "phrase", values: CHALLENGE_TYPES },
+  frictionUnlock: { type: "enum", default: "phrase", values: CHALLENGE_TYPES },
+  frictionDisableGlobal: { type: "enum", default: "phrase", values: CHALLENGE_TYPES },
+  frictionWaitSeconds: { type: "integer", default: 60, min: 5, max: 600 }, // "wait": countdown before Confirm
+  frictionDelayMinutes: { type: "integer", default: 10, min: 1, max: 240 }, // "delayed": time until the change applies
+  customPhrases: { type: "array", default: [] }, // extra phrases for the typing challenges
+  weekStartDay: { type: "integer", default: 0, min: 0, max: 6 }, // First day of "this week" in stats (0 = Sunday ... 6 = Saturday)
+  historyDays: { type: "integer", default: 90, min: 7, max: 365 }, // Days of per-day stats history to keep
+};
+
+// Settings a preset stores and restores (a delayed preset switch, applied
+// by the background, may only change these)
+export const PRESET_FIELDS = [
+  "maxTabs",
+  "globalLimit",
+  "evictionPolicy",
+  "limitAction",
+  "allowlistEnabled",
+  "allowlist",
+  "domainLimits",
+  "blocklistEnabled",
+  "blocklist",
+  "inactiveEnabled",
+  "inactiveMinutes",
+  "minTabs",
+  "protectPinned",
+  "protectAudible",
+  "protectAllowlist",
+];
+
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTINGS_SCHEMA).map(([key, field]) => [key, field.default])
+);
+
+// Fresh copy of the defaults (arrays aren't shared between callers)
+export function getDefaultSettings() {
+  return normalizeSettings({});
+}
+
+// Why a value isn't acceptable for a setting, or null if it is.
+// Out-of-range integers are reported here but clamped by normalizeSettings().
+export function validateSetting(key, value) {
+  const field = SETTINGS_SCHEMA[key];
+  if (!field) return `${key} is not a setting`;
+
+  switch (field.type) {
+    case "boolean":
+      return typeof value === "boolean" ? null : `${key} must be true or false`;
+    case "integer":
+      if (typeof value !== "number" || !Number.isInteger(value)) {
+        return `${key} must be a whole number`;
+      }
+      if (value < field.min || value > field.max) {
+        return `${key} must be between ${field.min} and ${field.max}`;
+      }
+      return null;
+    case "enum":
+      return field.values.includes(value) ? null : `${key} must be one of ${field.values.join(", ")}`;
+    case "array":
+      return Array.isArray(value) ? null : `${key} must be a list`;
+    default:
+      return null;
+  }
+}
+
+// Bring one value into range: clamp integers, default anything unusable
+export function clampSetting(key, value) {
+  const field = SETTINGS_SCHEMA[key];
+  if (!field) return value;
+
+  if (field.type === "integer") {
+    const number = typeof value === "string" ? parseInt(value) : value;
+    if (typeof number !== "number" || !Number.isFinite(number)) return field.default;
+    return Math.min(field.max, Math.max(field.min, Math.round(number)));
+  }
+  if (field.type === "array") {
+    return Array.isArray(value) ? [...value] : [...field.default];
+  }
+  return validateSetting(key, value) === null ? value : field.default;
+}
+
+// Complete, valid settings from whatever was stored. Unknown keys are dropped.
+export function normalizeSettings(settings) {
+  const source = settings && typeof settings === "object" ? settings : {};
+  const result = {};
+  for (const key of Object.keys(SETTINGS_SCHEMA)) {
+    result[key] = clampSetting(key, source[key]);
+  }
+  return result;
+}
+
+// Ordered storage migrations. Each upgrades stored settings from
+// version - 1 to version; they run once, oldest first, at startup.
+export const MIGRATIONS = [
+  {
+    version: 1,
+    // The popup saved a debounceOnActivated flag the background never read;
+    // debounceDelay is the real setting (0 = reset the timer instantly)
+    migrate(settings) {
+      const next = { ...settings };
+      if ("debounceOnActivated" in next) {
+        if (next.debounceOnActivated === false && next.debounceDelay == null) {
+          next.debounceDelay = 0;
+        }
+        delete next.debounceOnActivated;
+      }
+      return next;
+    },
+  },
+  {
+    version: 2,
+    // maxTabs, inactiveMinutes and minTabs were only bounded by the popup
+    // steppers, so older storage can hold anything; clamp it once for good
+    migrate(settings) {
+      return normalizeSettings(settings);
+    },
+  },
+];
+
+// Run the migrations newer than fromVersion. Returns the upgraded settings
+// and the version they're at now.
+export function migrateSettings(settings, fromVersion = 0) {
+  let next = settings && typeof settings === "object" ? { ...settings } : {};
+  let version = fromVersion;
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) continue;
+    next = migration.migrate(next);
+    version = migration.version;
+  }
+  return { settings: next, version };
+}
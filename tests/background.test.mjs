@@ -0,0 +1,1033 @@
+// Replays browser event sequences against background.js on the fake browser
+
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { FakeBrowser, startWorker, restartWorker } from "./fake-browser.mjs";
+import { SCHEMA_VERSION } from "../TabCap%20Extension/settings-schema.js";
+
+const MINUTE = 60 * 1000;
+
+let fake;
+let consoleLog;
+let consoleError;
+
+beforeEach(() => {
+  consoleLog = console.log;
+  consoleError = console.error;
+  console.log = () => {};
+  console.error = () => {};
+  fake = new FakeBrowser();
+  fake.clock.install();
+});
+
+afterEach(() => {
+  fake.clock.uninstall();
+  console.log = consoleLog;
+  console.error = consoleError;
+  assert.deepEqual(fake.errors, []);
+});
+
+function seedSettings(overrides = {}) {
+  fake.store.settings = { enabled: true, maxTabs: 3, inactiveEnabled: false, ...overrides };
+}
+
+function openTabIds() {
+  return [...fake.tabsById.keys()];
+}
+
+test("Safari restoring 40 tabs at startup closes nothing", async () => {
+  seedSettings({ maxTabs: 10, inactiveEnabled: true, inactiveMinutes: 30, minTabs: 0 });
+
+  // Activity left over from the previous session: tab ids are reassigned on
+  // relaunch, so none of these entries belong to the restored tabs
+  const stale = {};
+  for (let id = 500; id < 540; id++) stale[id] = fake.clock.now - 12 * 60 * MINUTE;
+  fake.store.tabActivity = stale;
+
+  fake.addWindow();
+  for (let i = 0; i < 40; i++) {
+    fake.seedTab({ url: `https://restored${i}.example/`, active: i === 39 });
+  }
+
+  await startWorker(fake);
+  await fake.advance(29 * MINUTE);
+
+  assert.deepEqual(fake.removedTabIds, []);
+  assert.equal(openTabIds().length, 40);
+  // Only the live tabs are tracked, all with fresh timers
+  const activity = Object.keys(fake.store.tabActivity).map(Number);
+  assert.deepEqual(activity.sort((a, b) => a - b), openTabIds());
+});
+
+test("settings saved before the schema are migrated at startup", async () => {
+  fake.store.settings = { enabled: true, maxTabs: 0, minTabs: 99, debounceOnActivated: true };
+  fake.addWindow();
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+
+  assert.equal(fake.store.schemaVersion, SCHEMA_VERSION);
+  assert.equal(fake.store.settings.maxTabs, 1);
+  assert.equal(fake.store.settings.minTabs, 50);
+  assert.equal("debounceOnActivated" in fake.store.settings, false);
+
+  // The popup can't save an out-of-range limit either
+  await fake.sendMessage({ type: "SAVE_SETTINGS", settings: { ...fake.store.settings, inactiveMinutes: 0 } });
+  assert.equal(fake.store.settings.inactiveMinutes, 1);
+});
+
+test("a fresh install starts at the current schema version", async () => {
+  fake.addWindow();
+  await startWorker(fake);
+
+  assert.equal(fake.store.schemaVersion, SCHEMA_VERSION);
+  assert.equal(fake.store.settings, undefined);
+});
+
+test("a new tab over the limit is closed into the corral", async () => {
+  seedSettings();
+  fake.addWindow();
+  for (let i = 0; i < 3; i++) fake.seedTab({ url: `https://site${i}.example/`, active: i === 0 });
+  await startWorker(fake);
+
+  const tab = await fake.openTab({ url: "https://extra.example/", title: "Extra" });
+
+  assert.deepEqual(fake.removedTabIds, [tab.id]);
+  assert.equal(fake.store.tabCorral[0].url, "https://extra.example/");
+  assert.equal(fake.store.tabCorral[0].reason, "limit");
+  assert.equal(fake.store.stats.blockedTotal, 1);
+});
+
+test("a pending tab that turns out allowlisted is kept", async () => {
+  seedSettings({ allowlistEnabled: true, allowlist: ["docs.example"] });
+  fake.addWindow();
+  for (let i = 0; i < 3; i++) fake.seedTab({ url: `https://site${i}.example/`, active: i === 0 });
+  await startWorker(fake);
+
+  const tab = await fake.openTab({ url: "" });
+  await fake.advance(100);
+  await fake.navigate(tab.id, "https://docs.example/spec");
+  await fake.advance(MINUTE);
+
+  assert.deepEqual(fake.removedTabIds, []);
+
+  // The allowlisted tab doesn't count, so the window is still full at 3
+  const extra = await fake.openTab({ url: "https://news.example/" });
+  assert.deepEqual(fake.removedTabIds, [extra.id]);
+});
+
+test("a pending tab that navigates off the allowlist is enforced", async () => {
+  seedSettings({ allowlistEnabled: true, allowlist: ["docs.example"] });
+  fake.addWindow();
+  for (let i = 0; i < 3; i++) fake.seedTab({ url: `https://site${i}.example/`, active: i === 0 });
+  await startWorker(fake);
+
+  const tab = await fake.openTab({ url: "" });
+  await fake.navigate(tab.id, "https://news.example/");
+
+  assert.deepEqual(fake.removedTabIds, [tab.id]);
+});
+
+test("a pending tab that never gets a URL is enforced after the timeout", async () => {
+  seedSettings({ allowlistEnabled: true, allowlist: ["docs.example"] });
+  fake.addWindow();
+  for (let i = 0; i < 3; i++) fake.seedTab({ url: `https://site${i}.example/`, active: i === 0 });
+  await startWorker(fake);
+
+  // A link still loading: no url yet, only pendingUrl
+  const tab = await fake.openTab({ url: "", pendingUrl: "https://slow.example/" });
+  await fake.advance(200);
+  assert.deepEqual(fake.removedTabIds, []);
+
+  await fake.advance(200);
+  assert.deepEqual(fake.removedTabIds, [tab.id]);
+  assert.equal(fake.store.tabCorral[0].url, "https://slow.example/");
+});
+
+test("a link opened blank at the limit is saved once its URL arrives", async () => {
+  seedSettings();
+  fake.addWindow();
+  for (let i = 0; i < 3; i++) fake.seedTab({ url: `https://site${i}.example/`, active: i === 0 });
+  await startWorker(fake);
+
+  const tab = await fake.openTab({ url: "" });
+  assert.deepEqual(fake.removedTabIds, []);
+  await fake.navigate(tab.id, "https://link.example/", "Link");
+
+  assert.deepEqual(fake.removedTabIds, [tab.id]);
+  assert.equal(fake.store.tabCorral[0].url, "https://link.example/");
+});
+
+test("a tab leaving the allowlist over the limit goes to the corral", async () => {
+  seedSettings({ allowlistEnabled: true, allowlist: ["docs.example"] });
+  fake.addWindow();
+  for (let i = 0; i < 3; i++) fake.seedTab({ url: `https://site${i}.example/`, active: i === 0 });
+  await startWorker(fake);
+
+  const tab = await fake.openTab({ url: "https://docs.example/", title: "Docs" });
+  assert.deepEqual(fake.removedTabIds, []);
+
+  await fake.navigate(tab.id, "https://elsewhere.example/", "Elsewhere");
+
+  assert.deepEqual(fake.removedTabIds, [tab.id]);
+  assert.equal(fake.store.tabCorral[0].url, "https://elsewhere.example/");
+});
+
+test("inactive tabs close oldest first down to minTabs", async () => {
+  seedSettings({ maxTabs: 20, inactiveEnabled: true, inactiveMinutes: 30, minTabs: 4 });
+  fake.addWindow();
+  const tabs = [];
+  for (let i = 0; i < 7; i++) {
+    tabs.push(fake.seedTab({ url: `https://site${i}.example/`, active: i === 6 }));
+  }
+  const now = fake.clock.now;
+  fake.store.tabActivity = {
+    [tabs[0].id]: now - 40 * MINUTE,
+    [tabs[1].id]: now - 90 * MINUTE,
+    [tabs[2].id]: now - 35 * MINUTE,
+    [tabs[3].id]: now - 60 * MINUTE,
+    [tabs[4].id]: now - 5 * MINUTE,
+    [tabs[5].id]: now - 5 * MINUTE,
+  };
+
+  await startWorker(fake);
+
+  // 7 tabs, 4 expired, keep at least 4: the three oldest go
+  assert.deepEqual(fake.removedTabIds, [tabs[1].id, tabs[3].id, tabs[0].id]);
+  assert.equal(fake.store.stats.inactiveClosed, 3);
+  assert.deepEqual(
+    fake.store.tabCorral.map((t) => t.reason),
+    ["inactive", "inactive", "inactive"]
+  );
+
+  // The one left behind got a fresh timer instead of closing on the next tick
+  await fake.advance(2 * MINUTE);
+  assert.equal(fake.removedTabIds.length, 3);
+});
+
+test("a worker killed mid-check finishes the job after restart", async () => {
+  seedSettings({ maxTabs: 20, inactiveEnabled: true, inactiveMinutes: 30, minTabs: 0 });
+  fake.addWindow();
+  const active = fake.seedTab({ url: "https://active.example/", active: true });
+  const idle = fake.seedTab({ url: "https://idle.example/" });
+  await startWorker(fake);
+
+  // Freeze the check at the point where it closes tabs, then kill the worker
+  fake.hold("tabs.remove");
+  await fake.advance(31 * MINUTE);
+  assert.equal(fake.tabsById.has(idle.id), true);
+
+  await restartWorker(fake);
+
+  assert.deepEqual(fake.removedTabIds, [idle.id]);
+  assert.equal(fake.tabsById.has(active.id), true);
+  assert.equal(fake.store.tabCorral.length, 1);
+  assert.equal(fake.store.stats.inactiveClosed, 1);
+});
+
+test("a worker restart keeps inactivity timers running", async () => {
+  seedSettings({ maxTabs: 20, inactiveEnabled: true, inactiveMinutes: 30, minTabs: 0 });
+  fake.addWindow();
+  fake.seedTab({ url: "https://active.example/", active: true });
+  const idle = fake.seedTab({ url: "https://idle.example/" });
+  await startWorker(fake);
+
+  await fake.advance(20 * MINUTE);
+  await restartWorker(fake);
+  assert.deepEqual(fake.removedTabIds, []);
+
+  // The alarm survives the restart and fires against the restored timestamps
+  await fake.advance(11 * MINUTE);
+  assert.deepEqual(fake.removedTabIds, [idle.id]);
+});
+
+test("a burst of tab events uses the tab index and one badge update", async () => {
+  seedSettings({ maxTabs: 50 });
+  fake.addWindow();
+  for (let i = 0; i < 20; i++) fake.seedTab({ url: `https://site${i}.example/`, active: i === 0 });
+  await startWorker(fake);
+  await fake.advance(1000);
+  fake.resetCallCounts();
+
+  for (let i = 0; i < 5; i++) {
+    const tab = await fake.openTab({ url: `https://new${i}.example/` });
+    await fake.activate(tab.id);
+  }
+  await fake.advance(1000);
+
+  const calls = fake.callCounts();
+  assert.equal(calls["tabs.query"] || 0, 0);
+  assert.equal(calls["action.setBadgeText"], 1);
+  assert.equal(fake.badge.text, "25/50");
+});
+
+test("settings written elsewhere replace the cached copy", async () => {
+  seedSettings({ maxTabs: 5 });
+  fake.addWindow();
+  for (let i = 0; i < 3; i++) fake.seedTab({ url: `https://site${i}.example/`, active: i === 0 });
+  await startWorker(fake);
+
+  await fake.openTab({ url: "https://fourth.example/" });
+  assert.deepEqual(fake.removedTabIds, []);
+
+  // e.g. a backup import or another popup lowering the limit
+  await fake.api.storage.local.set({ settings: { ...fake.store.settings, maxTabs: 4 } });
+  const fifth = await fake.openTab({ url: "https://fifth.example/" });
+  assert.deepEqual(fake.removedTabIds, [fifth.id]);
+});
+
+test("the tab index resyncs tabs Safari never reported", async () => {
+  seedSettings({ maxTabs: 3 });
+  fake.addWindow();
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+
+  // Opened without an onCreated event reaching the worker
+  fake.seedTab({ url: "https://b.example/" });
+  fake.seedTab({ url: "https://c.example/" });
+  await fake.advance(61 * 1000);
+
+  const extra = await fake.openTab({ url: "https://d.example/" });
+  assert.deepEqual(fake.removedTabIds, [extra.id]);
+});
+
+test("an open popup gets a snapshot, then pushed changes", async () => {
+  seedSettings({ maxTabs: 5 });
+  fake.addWindow();
+  for (let i = 0; i < 3; i++) fake.seedTab({ url: `https://site${i}.example/`, active: i === 0 });
+  await startWorker(fake);
+
+  const port = await fake.connectPopup();
+  const [snapshot] = port.messages;
+  assert.equal(snapshot.type, "snapshot");
+  assert.equal(snapshot.state.count, 3);
+  assert.equal(snapshot.state.settings.maxTabs, 5);
+  assert.equal(snapshot.state.inactiveTabs.length, 3);
+  assert.deepEqual(snapshot.state.corral, []);
+
+  port.messages.length = 0;
+  await fake.openTab({ url: "https://fourth.example/" });
+  await fake.advance(1000);
+  assert.equal(port.messages.findLast((m) => m.type === "count").count, 4);
+
+  await fake.api.storage.local.set({ settings: { ...fake.store.settings, maxTabs: 3 } });
+  const extra = await fake.openTab({ url: "https://fifth.example/", title: "Fifth" });
+  await fake.advance(1000);
+  assert.deepEqual(fake.removedTabIds, [extra.id]);
+  assert.equal(port.messages.findLast((m) => m.type === "settings").settings.maxTabs, 3);
+  assert.equal(port.messages.findLast((m) => m.type === "corral").tabs[0].title, "Fifth");
+
+  await fake.sendMessage({ type: "CLEAR_CORRAL" });
+  assert.deepEqual(port.messages.findLast((m) => m.type === "corral").tabs, []);
+
+  // Nothing is pushed to a closed popup
+  port.disconnect();
+  await fake.advance(1000);
+  const sent = port.messages.length;
+  await fake.openTab({ url: "https://sixth.example/" });
+  await fake.advance(1000);
+  assert.equal(port.messages.length, sent);
+});
+
+test("the popup is pushed focus sessions as they start and end", async () => {
+  seedSettings({ maxTabs: 5 });
+  fake.addWindow();
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+
+  const port = await fake.connectPopup();
+  assert.equal(port.messages[0].state.focusSession, null);
+  assert.equal(port.messages[0].state.activeSchedule, null);
+
+  await fake.sendMessage({ type: "START_FOCUS_SESSION", minutes: 25, maxTabs: 2 });
+  const started = port.messages.findLast((m) => m.type === "focusSession");
+  assert.equal(started.session.maxTabs, 2);
+
+  await fake.sendMessage({ type: "STOP_FOCUS_SESSION" });
+  assert.equal(port.messages.findLast((m) => m.type === "focusSession").session, null);
+  port.disconnect();
+});
+
+test("shortcuts close to and restore from the corral", async () => {
+  seedSettings({ maxTabs: 3 });
+  fake.addWindow();
+  fake.seedTab({ url: "https://a.example/" });
+  const current = fake.seedTab({ url: "https://b.example/", title: "B", active: true });
+  await startWorker(fake);
+
+  await fake.emit("commands.onCommand", "close-to-corral");
+  assert.deepEqual(fake.removedTabIds, [current.id]);
+  assert.equal(fake.store.tabCorral[0].reason, "manual");
+  // Closing by hand isn't a blocked tab
+  assert.equal(fake.store.stats?.blockedTotal ?? 0, 0);
+
+  await fake.emit("commands.onCommand", "restore-last-closed");
+  assert.deepEqual(fake.store.tabCorral, []);
+  assert.ok([...fake.tabsById.values()].some((t) => t.url === "https://b.example/"));
+});
+
+test("a shortcut that loosens protection asks for confirmation instead", async () => {
+  seedSettings({ maxTabs: 2 });
+  fake.addWindow();
+  for (let i = 0; i < 2; i++) fake.seedTab({ url: `https://site${i}.example/`, active: i === 0 });
+  await startWorker(fake);
+
+  await fake.emit("commands.onCommand", "toggle-protection");
+  await fake.advance(1000);
+
+  assert.equal(fake.store.settings.enabled, true);
+  // No popup to open here: the confirmation page opens in a tab, even at the limit
+  const page = [...fake.tabsById.values()].find((t) => t.url.endsWith("popup.html?confirm=disable"));
+  assert.ok(page);
+  assert.deepEqual(fake.removedTabIds, []);
+
+  // Where the popup can open, it gets the prompt in its snapshot
+  fake.canOpenPopup = true;
+  await fake.emit("commands.onCommand", "toggle-protection");
+  assert.equal(fake.popupOpens, 1);
+  const port = await fake.connectPopup();
+  assert.equal(port.messages[0].state.confirm, "disable");
+});
+
+test("the remaining-slots shortcut shows free slots on the badge briefly", async () => {
+  seedSettings({ maxTabs: 5 });
+  fake.addWindow();
+  for (let i = 0; i < 3; i++) fake.seedTab({ url: `https://site${i}.example/`, active: i === 0 });
+  await startWorker(fake);
+
+  await fake.emit("commands.onCommand", "show-remaining-slots");
+  assert.equal(fake.badge.text, "2");
+
+  await fake.advance(4000);
+  assert.equal(fake.badge.text, "3/5");
+});
+
+test("a tab protected from the context menu outlives its inactivity timer", async () => {
+  seedSettings({ maxTabs: 20, inactiveEnabled: true, inactiveMinutes: 30, minTabs: 0 });
+  fake.addWindow();
+  fake.seedTab({ url: "https://active.example/", active: true });
+  const kept = fake.seedTab({ url: "https://kept.example/" });
+  const idle = fake.seedTab({ url: "https://idle.example/" });
+  await startWorker(fake);
+  assert.ok(fake.menuItems.has("protect-tab"));
+
+  await fake.emit("contextMenus.onClicked", { menuItemId: "protect-tab" }, kept);
+  await restartWorker(fake);
+  await fake.advance(31 * MINUTE);
+
+  assert.deepEqual(fake.removedTabIds, [idle.id]);
+  const port = await fake.connectPopup();
+  const info = port.messages[0].state.inactiveTabs.find((t) => t.id === kept.id);
+  assert.equal(info.protectReason, "kept");
+});
+
+test("allowing a site from the context menu asks first while the allowlist is off", async () => {
+  seedSettings();
+  fake.addWindow();
+  const tab = fake.seedTab({ url: "https://www.docs.example/page", active: true });
+  await startWorker(fake);
+
+  await fake.emit("contextMenus.onClicked", { menuItemId: "allow-site", pageUrl: tab.url }, tab);
+  assert.deepEqual(fake.store.settings.allowlist, ["docs.example"]);
+  assert.equal(fake.store.settings.allowlistEnabled, false);
+  assert.ok([...fake.tabsById.values()].some((t) => t.url.endsWith("?confirm=allowlist")));
+});
+
+test("a link opens from the context menu only while under the limit", async () => {
+  seedSettings({ maxTabs: 3 });
+  fake.addWindow();
+  const page = fake.seedTab({ url: "https://a.example/", active: true });
+  fake.seedTab({ url: "https://b.example/" });
+  await startWorker(fake);
+
+  const click = { menuItemId: "open-link-under-limit", linkUrl: "https://link.example/" };
+  await fake.emit("contextMenus.onClicked", click, page);
+  assert.equal(openTabIds().length, 3);
+
+  await fake.emit("contextMenus.onClicked", { ...click, linkUrl: "https://other.example/" }, page);
+  assert.equal(openTabIds().length, 3);
+  assert.deepEqual(fake.removedTabIds, []);
+  assert.equal(fake.badge.text, "0");
+});
+
+test("a snoozed tab is exempt until the snooze runs out", async () => {
+  seedSettings({ maxTabs: 20, inactiveEnabled: true, inactiveMinutes: 30, minTabs: 0 });
+  fake.addWindow();
+  fake.seedTab({ url: "https://active.example/", active: true });
+  const snoozed = fake.seedTab({ url: "https://snoozed.example/" });
+  await startWorker(fake);
+
+  assert.deepEqual(await fake.sendMessage({ type: "PROTECT_TAB", tabId: snoozed.id, duration: "1h" }), {
+    success: true,
+  });
+  const port = await fake.connectPopup();
+  const info = port.messages[0].state.inactiveTabs.find((t) => t.id === snoozed.id);
+  assert.equal(info.protectReason, "snoozed");
+  assert.equal(info.protectedUntil, fake.clock.now + 60 * MINUTE);
+
+  await fake.advance(59 * MINUTE);
+  assert.deepEqual(fake.removedTabIds, []);
+
+  // The timer restarts when the snooze ends instead of closing at once
+  await fake.advance(2 * MINUTE);
+  assert.deepEqual(fake.removedTabIds, []);
+  await fake.advance(30 * MINUTE);
+  assert.deepEqual(fake.removedTabIds, [snoozed.id]);
+});
+
+test("kept tabs are found by URL after Safari renumbers them", async () => {
+  seedSettings({ maxTabs: 20, inactiveEnabled: true, inactiveMinutes: 30, minTabs: 0 });
+  fake.store.tabProtections = {
+    900: { url: "https://kept.example/", until: null },
+    901: { url: "https://snoozed.example/", until: fake.clock.now - MINUTE },
+  };
+  fake.addWindow();
+  fake.seedTab({ url: "https://active.example/", active: true });
+  const kept = fake.seedTab({ url: "https://kept.example/" });
+  const expired = fake.seedTab({ url: "https://snoozed.example/" });
+  await startWorker(fake);
+
+  assert.deepEqual(Object.keys(fake.store.tabProtections), [String(kept.id)]);
+  await fake.advance(31 * MINUTE);
+  assert.deepEqual(fake.removedTabIds, [expired.id]);
+
+  await fake.sendMessage({ type: "UNPROTECT_TAB", tabId: kept.id });
+  await fake.advance(31 * MINUTE);
+  assert.deepEqual(fake.removedTabIds, [expired.id, kept.id]);
+});
+
+test("opening a page that's already open switches to it, even at the limit", async () => {
+  seedSettings({ maxTabs: 2, duplicatePolicy: "focus" });
+  fake.addWindow();
+  const open = fake.seedTab({ url: "https://news.example/story#comments" });
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+
+  // Safari opens links blank, then loads them
+  const tab = await fake.openTab({ url: "" });
+  await fake.navigate(tab.id, "https://www.news.example/story?utm_source=feed");
+
+  assert.deepEqual(fake.removedTabIds, [tab.id]);
+  assert.equal(fake.tabsById.get(open.id).active, true);
+  // Not a blocked tab: no corral entry, no blocked count
+  assert.equal((fake.store.tabCorral || []).length, 0);
+  assert.equal(fake.store.stats?.blockedTotal ?? 0, 0);
+});
+
+test("merging duplicates keeps the new tab and frees the old one's slot", async () => {
+  seedSettings({ maxTabs: 2, duplicatePolicy: "merge" });
+  fake.addWindow();
+  const old = fake.seedTab({ url: "https://news.example/story" });
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+
+  const tab = await fake.openTab({ url: "https://news.example/story" });
+  assert.deepEqual(fake.removedTabIds, [old.id]);
+  assert.equal(fake.tabsById.has(tab.id), true);
+  assert.equal(fake.store.stats?.blockedTotal ?? 0, 0);
+  // Merged copies can be restored
+  assert.equal(fake.store.tabCorral[0].url, "https://news.example/story");
+  assert.equal(fake.store.tabCorral[0].reason, "duplicate");
+});
+
+test("merging duplicates leaves pinned and kept copies open", async () => {
+  seedSettings({ maxTabs: 5, duplicatePolicy: "merge" });
+  fake.addWindow();
+  const pinned = fake.seedTab({ url: "https://news.example/story", pinned: true });
+  const kept = fake.seedTab({ url: "https://news.example/story" });
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+  await fake.sendMessage({ type: "PROTECT_TAB", tabId: kept.id, duration: "keep" });
+
+  await fake.openTab({ url: "https://news.example/story" });
+  assert.deepEqual(fake.removedTabIds, []);
+  assert.equal(fake.tabsById.has(pinned.id), true);
+});
+
+test("a window with its own limit is enforced and shown against it", async () => {
+  seedSettings({ maxTabs: 3 });
+  const research = fake.addWindow();
+  for (let i = 0; i < 3; i++) fake.seedTab({ windowId: research, url: `https://paper${i}.example/`, active: i === 0 });
+  const work = fake.addWindow();
+  for (let i = 0; i < 3; i++) fake.seedTab({ windowId: work, url: `https://work${i}.example/`, active: i === 0 });
+  await startWorker(fake);
+
+  await fake.sendMessage({ type: "SET_WINDOW_LIMIT", windowId: research, label: "Research", max: 5 });
+  const kept = await fake.openTab({ windowId: research, url: "https://paper3.example/" });
+  const closed = await fake.openTab({ windowId: work, url: "https://work3.example/" });
+  assert.deepEqual(fake.removedTabIds, [closed.id]);
+  assert.equal(fake.tabsById.has(kept.id), true);
+
+  fake.focusedWindowId = research;
+  await fake.emit("windows.onFocusChanged", research);
+  await fake.advance(1000);
+  assert.equal(fake.badge.text, "4/5");
+});
+
+test("window limits find their window again after Safari relaunches", async () => {
+  seedSettings({
+    maxTabs: 2,
+    windowLimits: [
+      { id: "w1", label: "Research", max: 6, windowId: 1, pinnedHosts: ["docs.example", "mail.example"] },
+    ],
+  });
+  // Window ids restart: window 1 is now a different window
+  const other = fake.addWindow();
+  fake.seedTab({ windowId: other, url: "https://news.example/", active: true });
+  const research = fake.addWindow();
+  fake.seedTab({ windowId: research, url: "https://mail.example/inbox", pinned: true, active: true });
+  fake.seedTab({ windowId: research, url: "https://docs.example/", pinned: true });
+  await startWorker(fake);
+
+  assert.equal(fake.store.settings.windowLimits[0].windowId, research);
+  for (let i = 0; i < 3; i++) await fake.openTab({ windowId: research, url: `https://paper${i}.example/` });
+  assert.deepEqual(fake.removedTabIds, []);
+
+  const extra = await fake.openTab({ windowId: other, url: "https://more.example/" });
+  const extra2 = await fake.openTab({ windowId: other, url: "https://even-more.example/" });
+  assert.deepEqual(fake.removedTabIds, [extra2.id]);
+  assert.equal(fake.tabsById.has(extra.id), true);
+});
+
+test("on a cold start a window limit without pinned sites waits to be reattached", async () => {
+  seedSettings({
+    maxTabs: 2,
+    windowLimits: [{ id: "w1", label: "Scratch", max: 6, windowId: 1, pinnedHosts: [] }],
+  });
+  const window = fake.addWindow();
+  fake.seedTab({ windowId: window, url: "https://a.example/", active: true });
+  await startWorker(fake);
+  // A worker restart keeps it: window ids only change when Safari relaunches
+  assert.equal(fake.store.settings.windowLimits[0].windowId, window);
+
+  await fake.emit("runtime.onStartup");
+  assert.equal(fake.store.settings.windowLimits[0].windowId, null);
+  await fake.advance(2 * MINUTE);
+  assert.equal(fake.store.settings.windowLimits[0].windowId, null);
+});
+
+test("a backup that drops or raises a window limit loosens a locked limit", async () => {
+  const rule = { id: "w1", label: "Scratch", max: 4, windowId: 1, pinnedHosts: [] };
+  seedSettings({ tabLimitLocked: true, windowLimits: [rule] });
+  fake.addWindow();
+  await startWorker(fake);
+
+  const backup = await fake.sendMessage({ type: "EXPORT_BACKUP" });
+  const preview = async (windowLimits) => {
+    const edited = { ...backup, data: { ...backup.data, settings: { ...backup.data.settings, windowLimits } } };
+    return (await fake.sendMessage({ type: "PREVIEW_IMPORT", backup: edited, mode: "replace" })).summary;
+  };
+  assert.equal((await preview([rule])).loosensLimit, false);
+  assert.equal((await preview([{ ...rule, max: 3 }])).loosensLimit, false);
+  assert.equal((await preview([{ ...rule, max: 5 }])).loosensLimit, true);
+  assert.equal((await preview([])).loosensLimit, true);
+});
+
+test("a running schedule picks up edits to its overrides and to the base", async () => {
+  const schedule = {
+    id: "s1",
+    name: "Work",
+    days: [0, 1, 2, 3, 4, 5, 6],
+    start: "00:00",
+    end: "23:59",
+    overrides: { maxTabs: 2 },
+  };
+  seedSettings({ maxTabs: 5, schedulesEnabled: true, schedules: [schedule] });
+  fake.addWindow();
+  await startWorker(fake);
+  assert.equal(fake.store.settings.maxTabs, 2);
+
+  const save = (changes) =>
+    fake.sendMessage({ type: "SAVE_SETTINGS", settings: { ...fake.store.settings, ...changes } });
+
+  // Editing the running schedule applies it right away
+  await save({ schedules: [{ ...schedule, overrides: { maxTabs: 3 } }] });
+  assert.equal(fake.store.settings.maxTabs, 3);
+  assert.equal(fake.store.scheduleState.base.maxTabs, 5);
+
+  // Changing an overridden field by hand is kept once the schedule ends
+  await save({ maxTabs: 4 });
+  assert.equal(fake.store.settings.maxTabs, 4);
+  await save({ schedulesEnabled: false });
+  assert.equal(fake.store.settings.maxTabs, 4);
+  assert.equal(fake.store.scheduleState.activeId, null);
+});
+
+test("a backup that loosens a locked limit is only applied once confirmed", async () => {
+  seedSettings({
+    tabLimitLocked: true,
+    blocklistEnabled: true,
+    blocklist: [{ pattern: "news.example", weight: 0 }],
+  });
+  fake.addWindow();
+  await startWorker(fake);
+
+  const backup = await fake.sendMessage({ type: "EXPORT_BACKUP" });
+  backup.data.settings = { ...backup.data.settings, blocklist: [], frictionUnlock: "phrase" };
+  const apply = (confirmed) =>
+    fake.sendMessage({ type: "APPLY_IMPORT", backup, mode: "replace", confirmed });
+
+  const refused = await apply(undefined);
+  assert.equal(refused.success, false);
+  assert.equal(fake.store.settings.blocklist.length, 1);
+
+  assert.equal((await apply(true)).success, true);
+  assert.deepEqual(fake.store.settings.blocklist, []);
+});
+
+test("a focus session ended twice at once only ends once", async () => {
+  seedSettings({ maxTabs: 5 });
+  fake.addWindow();
+  await startWorker(fake);
+
+  await fake.sendMessage({ type: "START_FOCUS_SESSION", minutes: 25, maxTabs: 2 });
+  const responses = await Promise.all([
+    fake.sendMessage({ type: "STOP_FOCUS_SESSION" }),
+    fake.sendMessage({ type: "STOP_FOCUS_SESSION" }),
+  ]);
+  assert.deepEqual(
+    responses.map((r) => r.success),
+    [true, false]
+  );
+  assert.equal(fake.store.stats.focusAbandoned, 1);
+  assert.equal(fake.store.settings.maxTabs, 5);
+});
+
+test("a focus session started twice at once only starts once", async () => {
+  seedSettings({ maxTabs: 5 });
+  fake.addWindow();
+  await startWorker(fake);
+
+  const responses = await Promise.all([
+    fake.sendMessage({ type: "START_FOCUS_SESSION", minutes: 25, maxTabs: 3 }),
+    fake.sendMessage({ type: "START_FOCUS_SESSION", minutes: 25, maxTabs: 2 }),
+  ]);
+  assert.deepEqual(
+    responses.map((r) => r.success),
+    [true, false]
+  );
+  assert.equal(fake.store.focusSession.maxTabs, 3);
+  assert.equal(fake.store.focusSession.previousMaxTabs, 5);
+
+  await fake.sendMessage({ type: "STOP_FOCUS_SESSION" });
+  assert.equal(fake.store.settings.maxTabs, 5);
+});
+
+test("a delayed disable applies when its time comes, unless cancelled", async () => {
+  seedSettings({ frictionDisable: "delayed", frictionDelayMinutes: 10, tabLimitLocked: true });
+  fake.addWindow();
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+  const port = await fake.connectPopup();
+
+  await fake.sendMessage({ type: "SCHEDULE_FRICTION_ACTION", action: "disable" });
+  assert.equal(fake.store.pendingFriction.action, "disable");
+  const pushed = port.messages.find((m) => m.type === "pendingFriction");
+  assert.deepEqual(pushed.pending, fake.store.pendingFriction);
+
+  await fake.advance(9 * MINUTE);
+  assert.equal(fake.store.settings.enabled, true);
+  await fake.advance(1 * MINUTE);
+  assert.equal(fake.store.settings.enabled, false);
+  assert.equal(fake.store.pendingFriction, undefined);
+
+  // Cancelled within the delay: nothing changes
+  await fake.sendMessage({ type: "SCHEDULE_FRICTION_ACTION", action: "unlock" });
+  await fake.advance(5 * MINUTE);
+  await fake.sendMessage({ type: "CANCEL_FRICTION_ACTION" });
+  await fake.advance(10 * MINUTE);
+  assert.equal(fake.store.pendingFriction, undefined);
+  assert.equal(fake.store.settings.tabLimitLocked, true);
+  port.disconnect();
+});
+
+test("a delayed friction change only applies friction settings", async () => {
+  seedSettings({ frictionDisable: "delayed", frictionDelayMinutes: 10 });
+  fake.addWindow();
+  await startWorker(fake);
+
+  await fake.sendMessage({
+    type: "SCHEDULE_FRICTION_ACTION",
+    action: "frictionSettings",
+    changes: { frictionDisable: "phrase", maxTabs: 50 },
+  });
+  assert.deepEqual(fake.store.pendingFriction.changes, { frictionDisable: "phrase" });
+
+  await fake.advance(10 * MINUTE);
+  assert.equal(fake.store.settings.frictionDisable, "phrase");
+  assert.equal(fake.store.settings.maxTabs, 3);
+});
+
+test("preset, import, override and focus actions can be delayed too", async () => {
+  seedSettings({ maxTabs: 3, frictionUnlock: "delayed", frictionDelayMinutes: 10 });
+  fake.addWindow();
+  await startWorker(fake);
+  const schedule = async (message) => {
+    const response = await fake.sendMessage({ type: "SCHEDULE_FRICTION_ACTION", ...message });
+    assert.equal(response.success, true, message.action);
+    await fake.advance(10 * MINUTE);
+    assert.equal(fake.store.pendingFriction, undefined, message.action);
+  };
+
+  // Only preset fields are taken from a preset
+  await schedule({ action: "preset", changes: { maxTabs: 6, frictionUnlock: "phrase" } });
+  assert.equal(fake.store.settings.maxTabs, 6);
+  assert.equal(fake.store.settings.frictionUnlock, "delayed");
+
+  await schedule({ action: "overrideBudget", changes: { overrideTokens: 2, maxTabs: 50 } });
+  assert.equal(fake.store.settings.overrideTokens, 2);
+  assert.equal(fake.store.settings.maxTabs, 6);
+
+  const backup = await fake.sendMessage({ type: "EXPORT_BACKUP" });
+  backup.data.settings = { ...backup.data.settings, maxTabs: 9 };
+  await schedule({ action: "importLoosen", backup, mode: "replace" });
+  assert.equal(fake.store.settings.maxTabs, 9);
+
+  await fake.sendMessage({ type: "START_FOCUS_SESSION", minutes: 60, maxTabs: 2 });
+  await schedule({ action: "endFocus" });
+  assert.equal(fake.store.focusSession, undefined);
+  assert.equal(fake.store.settings.maxTabs, 9);
+});
+
+test("a looser preset can't be scheduled while the limit is locked", async () => {
+  seedSettings({ maxTabs: 3, tabLimitLocked: true, frictionUnlock: "delayed" });
+  fake.addWindow();
+  await startWorker(fake);
+
+  const schedule = (maxTabs) =>
+    fake.sendMessage({ type: "SCHEDULE_FRICTION_ACTION", action: "preset", changes: { maxTabs } });
+  assert.deepEqual(await schedule(6), { success: false });
+  assert.deepEqual(await schedule(2), { success: true });
+  await fake.advance(10 * MINUTE);
+  assert.equal(fake.store.settings.maxTabs, 2);
+});
+
+test("a looser schedule can be delayed but not while the limit is locked", async () => {
+  seedSettings({ maxTabs: 3, frictionUnlock: "delayed", frictionDelayMinutes: 10 });
+  fake.addWindow();
+  await startWorker(fake);
+
+  const looser = {
+    id: "schedule-1",
+    name: "Evening",
+    days: [0, 1, 2, 3, 4, 5, 6],
+    start: "00:00",
+    end: "23:59",
+    overrides: { maxTabs: 8 },
+  };
+  const schedule = (schedules) =>
+    fake.sendMessage({
+      type: "SCHEDULE_FRICTION_ACTION",
+      action: "schedule",
+      changes: { schedules, maxTabs: 50 },
+    });
+  assert.deepEqual(await schedule([looser]), { success: true });
+  await fake.advance(10 * MINUTE);
+  assert.deepEqual(fake.store.settings.schedules.map((s) => s.id), ["schedule-1"]);
+  assert.equal(fake.store.settings.frictionUnlock, "delayed");
+
+  await fake.sendMessage({
+    type: "SAVE_SETTINGS",
+    settings: { ...fake.store.settings, tabLimitLocked: true },
+  });
+  assert.deepEqual(await schedule([]), { success: false });
+});
+
+test("a pause turns protection back on when its time is up", async () => {
+  seedSettings({ maxTabs: 2 });
+  fake.addWindow();
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+
+  await fake.sendMessage({ type: "PAUSE_PROTECTION", minutes: 15 });
+  await fake.advance(1000);
+  assert.equal(fake.store.settings.enabled, false);
+  assert.equal(fake.badge.text, "15m");
+  assert.equal(fake.store.stats.pauses, 1);
+  assert.equal(fake.store.stats.streakPauses, 1);
+
+  await fake.openTab({ url: "https://b.example/" });
+  await fake.openTab({ url: "https://c.example/" });
+  assert.deepEqual(fake.removedTabIds, []);
+
+  await fake.advance(10 * MINUTE);
+  assert.equal(fake.badge.text, "5m");
+  await fake.advance(5 * MINUTE);
+  assert.equal(fake.store.settings.enabled, true);
+  assert.equal(fake.store.pause, undefined);
+  assert.equal(fake.store.stats.pausedMinutes, 15);
+});
+
+test("turning protection back on early ends the pause", async () => {
+  seedSettings();
+  fake.addWindow();
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+
+  await fake.sendMessage({ type: "PAUSE_PROTECTION", minutes: 60 });
+  await fake.advance(20 * MINUTE);
+  const settings = await fake.sendMessage({ type: "GET_SETTINGS" });
+  await fake.sendMessage({ type: "SAVE_SETTINGS", settings: { ...settings, enabled: true } });
+
+  assert.equal(fake.store.pause, undefined);
+  assert.equal(fake.alarmsByName.has("pauseEnd"), false);
+  assert.equal(fake.store.stats.pausedMinutes, 20);
+  // Only an actual pause option is accepted
+  assert.deepEqual(await fake.sendMessage({ type: "PAUSE_PROTECTION", minutes: 600 }), { success: false });
+});
+
+test("an armed override token lets one over-limit tab stay", async () => {
+  seedSettings({ maxTabs: 2, overrideTokens: 1 });
+  fake.addWindow();
+  fake.seedTab({ url: "https://a.example/", active: true });
+  fake.seedTab({ url: "https://b.example/" });
+  await startWorker(fake);
+  const port = await fake.connectPopup();
+  assert.deepEqual(port.messages[0].state.overrides, { budget: 1, remaining: 1, armedUntil: null });
+
+  assert.deepEqual(await fake.sendMessage({ type: "ARM_OVERRIDE" }), { success: true });
+  const kept = await fake.openTab({ url: "https://c.example/" });
+  assert.deepEqual(fake.removedTabIds, []);
+  assert.equal(fake.store.stats.overridesUsed, 1);
+  assert.deepEqual(port.messages.findLast((m) => m.type === "overrides").overrides, {
+    budget: 1,
+    remaining: 0,
+    armedUntil: null,
+  });
+
+  // None left: arming fails and the next tab is closed
+  assert.deepEqual(await fake.sendMessage({ type: "ARM_OVERRIDE" }), { success: false });
+  const closed = await fake.openTab({ url: "https://d.example/" });
+  assert.deepEqual(fake.removedTabIds, [closed.id]);
+  assert.equal(fake.tabsById.has(kept.id), true);
+
+  // The budget is back the next day (usage is kept per local date)
+  fake.store.overrideUsage = { ...fake.store.overrideUsage, date: "2000-01-01" };
+  assert.deepEqual(await fake.sendMessage({ type: "ARM_OVERRIDE" }), { success: true });
+  port.disconnect();
+});
+
+test("the limit page can open the blocked tab with an override token", async () => {
+  seedSettings({ maxTabs: 1, limitAction: "interstitial", overrideTokens: 2 });
+  fake.addWindow();
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+
+  const tab = await fake.openTab({ url: "https://b.example/" });
+  const pageTab = fake.tabsById.get(tab.id);
+  const state = await fake.sendMessage({ type: "GET_INTERSTITIAL_STATE" }, { tab: pageTab });
+  assert.deepEqual(state.overrides, { budget: 2, remaining: 2, armedUntil: null });
+
+  // Only the limit page may ask
+  const message = { type: "OPEN_WITH_OVERRIDE", url: "https://b.example/" };
+  const fromSite = await fake.sendMessage(message, { tab: pageTab, url: "https://b.example/" });
+  assert.deepEqual(fromSite, { success: false });
+  assert.equal(fake.store.overrideUsage, undefined);
+
+  const response = await fake.sendMessage(message, { tab: pageTab, url: pageTab.url });
+  assert.deepEqual(response, { success: true });
+  await fake.advance(1000);
+  assert.equal(fake.tabsById.get(tab.id).url, "https://b.example/");
+  assert.deepEqual(fake.removedTabIds, []);
+  assert.equal(fake.store.overrideUsage.used, 1);
+});
+
+test("the last override token can only be spent once", async () => {
+  seedSettings({ maxTabs: 1, limitAction: "interstitial", overrideTokens: 1 });
+  fake.addWindow();
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+
+  const tab = await fake.openTab({ url: "https://b.example/" });
+  const pageTab = fake.tabsById.get(tab.id);
+  const message = { type: "OPEN_WITH_OVERRIDE", url: "https://b.example/" };
+  const responses = await Promise.all([
+    fake.sendMessage(message, { tab: pageTab, url: pageTab.url }),
+    fake.sendMessage(message, { tab: pageTab, url: pageTab.url }),
+  ]);
+  assert.deepEqual(
+    responses.map((r) => r.success),
+    [true, false]
+  );
+  assert.equal(fake.store.overrideUsage.used, 1);
+  assert.equal(fake.store.stats.overridesUsed, 1);
+});
+
+test("only one limit page is kept, and leaving it re-checks the limit", async () => {
+  seedSettings({ maxTabs: 1, limitAction: "interstitial" });
+  fake.addWindow();
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+
+  const first = await fake.openTab({ url: "https://b.example/", title: "B" });
+  const second = await fake.openTab({ url: "https://c.example/", title: "C" });
+  assert.deepEqual(fake.removedTabIds, [first.id]);
+  assert.equal(fake.store.tabCorral[0].url, "https://b.example/");
+  assert.match(fake.tabsById.get(second.id).url, /blocked\.html/);
+
+  // Going back from the limit page to the blocked URL is blocked again
+  await fake.navigate(second.id, "https://c.example/", "C");
+  await fake.advance(1000);
+  assert.match(fake.tabsById.get(second.id).url, /blocked\.html/);
+});
+
+test("a weighted blocked tab over the limit gets the limit page", async () => {
+  const blocklist = [{ pattern: "news.example", action: "weight", weight: 3 }];
+  seedSettings({ maxTabs: 3, blocklistEnabled: true, blocklist, limitAction: "interstitial" });
+  fake.addWindow();
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+
+  const news = await fake.openTab({ url: "https://b.example/" });
+  await fake.navigate(news.id, "https://news.example/", "News");
+  await fake.advance(1000);
+  assert.deepEqual(fake.removedTabIds, []);
+  assert.match(fake.tabsById.get(news.id).url, /blocked\.html/);
+});
+
+test("a weighted blocked tab over the limit can evict older tabs instead", async () => {
+  const blocklist = [{ pattern: "news.example", action: "weight", weight: 2 }];
+  seedSettings({ maxTabs: 3, blocklistEnabled: true, blocklist, evictionPolicy: "closeLRU" });
+  fake.addWindow();
+  const old = fake.seedTab({ url: "https://old.example/" });
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+
+  const news = await fake.openTab({ url: "https://b.example/" });
+  await fake.navigate(news.id, "https://news.example/", "News");
+  await fake.advance(1000);
+  assert.deepEqual(fake.removedTabIds, [old.id]);
+  assert.ok(fake.tabsById.has(news.id));
+});
+
+test("queued tabs open on request without taking over the toolbar button", async () => {
+  seedSettings({ maxTabs: 2, readLaterEnabled: true, readLaterOpen: "click" });
+  fake.store.readLaterQueue = [{ url: "https://queued.example/", title: "Queued", addedAt: 0 }];
+  fake.addWindow();
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+  await fake.advance(1000);
+
+  // The popup stays reachable; the badge says something is queued
+  assert.equal(fake.callCounts()["action.setPopup"] ?? 0, 0);
+  assert.equal(fake.badge.text, "+1");
+
+  await fake.emit("commands.onCommand", "open-next-queued");
+  const opened = [...fake.tabsById.values()].find((t) => t.url === "https://queued.example/");
+  assert.ok(opened);
+  assert.deepEqual(fake.store.readLaterQueue, []);
+});
+
+test("evicting an existing tab saves it without counting it as blocked", async () => {
+  seedSettings({ maxTabs: 2, evictionPolicy: "closeLRU" });
+  fake.addWindow();
+  const old = fake.seedTab({ url: "https://old.example/", title: "Old" });
+  fake.seedTab({ url: "https://a.example/", active: true });
+  await startWorker(fake);
+
+  const tab = await fake.openTab({ url: "https://new.example/" });
+  assert.deepEqual(fake.removedTabIds, [old.id]);
+  assert.equal(fake.tabsById.has(tab.id), true);
+  assert.equal(fake.store.tabCorral[0].url, "https://old.example/");
+  assert.equal(fake.store.stats?.blockedTotal ?? 0, 0);
+});
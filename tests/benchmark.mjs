@@ -0,0 +1,83 @@
+// API call benchmark: replays a burst of link-opening with 120 tabs open and
+// counts the browser API calls the background script makes.
+// Run with `npm run benchmark` (not part of `npm test`).
+// Without the tab index, settings cache and coalesced UI updates, every tab
+// event cost a settings read, a tab query and a badge update or more, so the
+// calls are reported against the number of events replayed.
+
+import { FakeBrowser, startWorker, flush } from "./fake-browser.mjs";
+
+const OPEN_TABS = 120;
+const BURST = 30;
+
+async function run() {
+  const log = console.log;
+  console.log = () => {};
+  console.error = () => {};
+
+  const fake = new FakeBrowser();
+  fake.clock.install();
+  fake.store.settings = {
+    enabled: true,
+    maxTabs: 200,
+    allowlistEnabled: true,
+    allowlist: ["docs.example", "mail.example"],
+    inactiveEnabled: true,
+    inactiveMinutes: 60,
+  };
+
+  const windows = [fake.addWindow(), fake.addWindow()];
+  for (let i = 0; i < OPEN_TABS; i++) {
+    fake.seedTab({
+      windowId: windows[i % 2],
+      url: `https://site${i}.example/`,
+      active: i === OPEN_TABS - 1,
+    });
+  }
+  await startWorker(fake);
+  await fake.advance(5000);
+  fake.resetCallCounts();
+
+  // Rapid link-opening: blank tabs that get their URL a moment later,
+  // a few tab switches and closes in between
+  const opened = [];
+  let events = 0;
+  for (let i = 0; i < BURST; i++) {
+    const tab = await fake.openTab({ windowId: windows[1], url: "" });
+    opened.push(tab);
+    await fake.navigate(tab.id, `https://link${i}.example/`, `Link ${i}`);
+    events += 2;
+    if (i % 3 === 0) {
+      await fake.activate(tab.id);
+      events++;
+    }
+    if (i % 5 === 4) {
+      await fake.closeTab(opened[i - 2].id);
+      events++;
+    }
+    await fake.advance(20);
+  }
+  await fake.advance(3000);
+  await flush();
+
+  const counts = fake.callCounts();
+  fake.clock.uninstall();
+  console.log = log;
+  return { counts, events };
+}
+
+function total(counts) {
+  return Object.values(counts).reduce((sum, n) => sum + n, 0);
+}
+
+const { counts, events } = await run();
+const rows = Object.entries(counts).map(([call, calls]) => ({
+  call,
+  calls,
+  perEvent: +(calls / events).toFixed(2),
+}));
+rows.push({ call: "total", calls: total(counts), perEvent: +(total(counts) / events).toFixed(2) });
+
+console.log(`${BURST} links opened in quick succession with ${OPEN_TABS} tabs open`);
+console.log(`${events} tab events replayed`);
+console.table(rows);
@@ -0,0 +1,561 @@
+// Safari Tab Limit - Fake Browser API
+// In-memory stand-in for the WebExtension `browser` global with a clock the
+// test controls. Tabs, windows, storage and alarms live here, so a scenario
+// can restart the background script and keep the browser state.
+
+const RealDate = Date;
+const realSetImmediate = setImmediate;
+
+class FakeEvent {
+  constructor() {
+    this.listeners = [];
+  }
+
+  addListener(fn) {
+    this.listeners.push(fn);
+  }
+
+  removeListener(fn) {
+    this.listeners = this.listeners.filter((l) => l !== fn);
+  }
+
+  hasListener(fn) {
+    return this.listeners.includes(fn);
+  }
+
+  // Call every listener; returns the first non-undefined result (onMessage)
+  async dispatch(...args) {
+    let response;
+    for (const fn of this.listeners) {
+      const result = await fn(...args);
+      if (response === undefined) response = result;
+    }
+    return response;
+  }
+}
+
+// Timers and Date driven by advance() instead of the wall clock
+export class FakeClock {
+  constructor(start = RealDate.UTC(2025, 0, 6, 9, 0)) {
+    this.now = start;
+    this.timers = new Map();
+    this.nextTimerId = 1;
+  }
+
+  setTimeout(fn, ms = 0, ...args) {
+    const id = this.nextTimerId++;
+    this.timers.set(id, { at: this.now + Math.max(0, ms), fn, args, interval: null });
+    return id;
+  }
+
+  setInterval(fn, ms = 0, ...args) {
+    const id = this.nextTimerId++;
+    const interval = Math.max(1, ms);
+    this.timers.set(id, { at: this.now + interval, fn, args, interval });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  // Drop every pending timer (the service worker was terminated)
+  clearAll() {
+    this.timers.clear();
+  }
+
+  nextTimer(until) {
+    let next = null;
+    for (const [id, timer] of this.timers) {
+      if (timer.at > until) continue;
+      if (!next || timer.at < next.timer.at) next = { id, timer };
+    }
+    return next;
+  }
+
+  // Globals for the code under test: Date, setTimeout, setInterval
+  install() {
+    const clock = this;
+    class FakeDate extends RealDate {
+      constructor(...args) {
+        if (args.length === 0) super(clock.now);
+        else super(...args);
+      }
+
+      static now() {
+        return clock.now;
+      }
+    }
+    this.saved = {
+      Date: globalThis.Date,
+      setTimeout: globalThis.setTimeout,
+      clearTimeout: globalThis.clearTimeout,
+      setInterval: globalThis.setInterval,
+      clearInterval: globalThis.clearInterval,
+    };
+    globalThis.Date = FakeDate;
+    globalThis.setTimeout = (fn, ms, ...args) => clock.setTimeout(fn, ms, ...args);
+    globalThis.clearTimeout = (id) => clock.clearTimeout(id);
+    globalThis.setInterval = (fn, ms, ...args) => clock.setInterval(fn, ms, ...args);
+    globalThis.clearInterval = (id) => clock.clearTimeout(id);
+  }
+
+  uninstall() {
+    if (!this.saved) return;
+    Object.assign(globalThis, this.saved);
+    this.saved = null;
+  }
+}
+
+// Let pending promise chains settle. Real macrotask turns, so every
+// microtask queued by the code under test runs in between.
+export async function flush(turns = 10) {
+  for (let i = 0; i < turns; i++) {
+    await new Promise((resolve) => realSetImmediate(resolve));
+  }
+}
+
+export class FakeBrowser {
+  constructor({ clock = new FakeClock() } = {}) {
+    this.clock = clock;
+    this.tabsById = new Map();
+    this.nextTabId = 1;
+    this.windowIds = [];
+    this.nextWindowId = 1;
+    this.focusedWindowId = null;
+    this.store = {};
+    this.alarmsByName = new Map();
+    this.badge = { text: "", color: null, popup: "popup.html" };
+    this.popupOpens = 0;
+    this.menuItems = new Map(); // context menu id -> create() properties
+    this.canOpenPopup = false; // Safari only opens the popup from some contexts
+    this.sentMessages = [];
+    this.removedTabIds = [];
+    this.held = new Map();
+    this.errors = [];
+    this.calls = new Map(); // "tabs.query" -> number of calls
+    this.generation = 0;
+    this.api = this.buildApi();
+  }
+
+  // --- Scripting helpers ---------------------------------------------------
+
+  addWindow({ focused = true } = {}) {
+    const id = this.nextWindowId++;
+    this.windowIds.push(id);
+    if (focused || this.focusedWindowId === null) this.focusedWindowId = id;
+    return id;
+  }
+
+  // Put a tab in place without firing events (already open when the worker starts)
+  seedTab(props = {}) {
+    const windowId = props.windowId ?? this.focusedWindowId ?? this.addWindow();
+    const tab = {
+      id: this.nextTabId++,
+      windowId,
+      index: this.tabsIn(windowId).length,
+      url: "about:blank",
+      title: "",
+      active: false,
+      pinned: false,
+      audible: false,
+      ...props,
+      windowId,
+    };
+    if (tab.active) this.deactivateOthers(tab);
+    this.tabsById.set(tab.id, tab);
+    return { ...tab };
+  }
+
+  // Open a tab the way Safari does: onCreated first, often before the URL
+  async openTab(props = {}) {
+    const tab = this.seedTab(props);
+    await this.emit("tabs.onCreated", { ...tab });
+    return tab;
+  }
+
+  // Navigate an existing tab and fire onUpdated with the new URL
+  async navigate(tabId, url, title = "") {
+    const tab = this.tabsById.get(tabId);
+    if (!tab) throw new Error(`No tab ${tabId}`);
+    tab.url = url;
+    tab.title = title || tab.title;
+    await this.emit("tabs.onUpdated", tabId, { url }, { ...tab });
+  }
+
+  // The user closes a tab
+  async closeTab(tabId) {
+    const tab = this.tabsById.get(tabId);
+    this.tabsById.delete(tabId);
+    this.removedTabIds.push(tabId);
+    await this.emit("tabs.onRemoved", tabId, { windowId: tab.windowId, isWindowClosing: false });
+  }
+
+  async activate(tabId) {
+    const tab = this.tabsById.get(tabId);
+    this.deactivateOthers(tab);
+    tab.active = true;
+    await this.emit("tabs.onActivated", { tabId, windowId: tab.windowId });
+  }
+
+  tabsIn(windowId) {
+    return [...this.tabsById.values()].filter((t) => t.windowId === windowId);
+  }
+
+  deactivateOthers(tab) {
+    for (const other of this.tabsIn(tab.windowId)) other.active = false;
+  }
+
+  async emit(path, ...args) {
+    const [ns, event] = path.split(".");
+    const result = await this.api[ns][event].dispatch(...args);
+    await flush();
+    return result;
+  }
+
+  // Deliver a runtime message as the popup would
+  async sendMessage(message, sender = {}) {
+    const response = await this.api.runtime.onMessage.dispatch(message, sender);
+    await flush();
+    return response;
+  }
+
+  // Open a popup port. The background's side posts into port.messages;
+  // port.disconnect() closes the popup.
+  async connectPopup() {
+    const calls = this.calls;
+    const port = {
+      name: "popup",
+      messages: [],
+      onMessage: new FakeEvent(),
+      onDisconnect: new FakeEvent(),
+      postMessage(message) {
+        calls.set("port.postMessage", (calls.get("port.postMessage") || 0) + 1);
+        port.messages.push(structuredClone(message));
+      },
+      disconnect() {
+        port.onDisconnect.dispatch(port);
+      },
+    };
+    await this.api.runtime.onConnect.dispatch(port);
+    await flush();
+    return port;
+  }
+
+  // Move the clock forward, firing timers and alarms in order
+  async advance(ms) {
+    const target = this.clock.now + ms;
+    for (;;) {
+      const next = this.clock.nextTimer(target);
+      if (!next) break;
+      const { id, timer } = next;
+      this.clock.now = Math.max(this.clock.now, timer.at);
+      if (timer.interval) timer.at += timer.interval;
+      else this.clock.timers.delete(id);
+      // Like real timers, the callback isn't awaited: a check stuck on a
+      // held call mustn't stall the clock
+      Promise.resolve()
+        .then(() => timer.fn(...timer.args))
+        .catch((error) => this.errors.push(error));
+      await flush();
+    }
+    this.clock.now = target;
+    await flush();
+  }
+
+  // Make calls to an API method hang until release() (e.g. "tabs.remove")
+  hold(path) {
+    let release;
+    const gate = new Promise((resolve) => (release = resolve));
+    this.held.set(path, gate);
+    return () => {
+      this.held.delete(path);
+      release();
+    };
+  }
+
+  // API calls made since the last reset, by method
+  callCounts() {
+    return Object.fromEntries([...this.calls].sort(([a], [b]) => a.localeCompare(b)));
+  }
+
+  resetCallCounts() {
+    this.calls.clear();
+  }
+
+  // Calls made through a terminated worker's API never complete
+  async gate(path, generation) {
+    this.calls.set(path, (this.calls.get(path) || 0) + 1);
+    const held = this.held.get(path);
+    if (held) await held;
+    if (generation !== this.generation) await new Promise(() => {});
+  }
+
+  // Fire an event without waiting for listeners, as Safari does for events
+  // caused by an API call. Listener errors are collected in `errors`.
+  dispatchLater(event, ...args) {
+    event.dispatch(...args).catch((error) => this.errors.push(error));
+  }
+
+  // Terminate the service worker: listeners, timers and held calls are
+  // gone; tabs, storage and alarms survive
+  terminateWorker() {
+    this.generation++;
+    this.held.clear();
+    this.clock.clearAll();
+    this.api = this.buildApi();
+    for (const alarm of this.alarmsByName.values()) alarm.timerId = null;
+    this.rescheduleAlarms();
+  }
+
+  rescheduleAlarms() {
+    for (const alarm of this.alarmsByName.values()) {
+      if (alarm.timerId !== null) continue;
+      const delay = Math.max(0, alarm.scheduledTime - this.clock.now);
+      alarm.timerId = this.clock.setTimeout(() => this.fireAlarm(alarm.name), delay);
+    }
+  }
+
+  async fireAlarm(name) {
+    const alarm = this.alarmsByName.get(name);
+    if (!alarm) return;
+    alarm.timerId = null;
+    if (alarm.periodInMinutes) {
+      alarm.scheduledTime = this.clock.now + alarm.periodInMinutes * 60000;
+      this.rescheduleAlarms();
+    } else {
+      this.alarmsByName.delete(name);
+    }
+    await this.api.alarms.onAlarm.dispatch({
+      name,
+      scheduledTime: this.clock.now,
+      periodInMinutes: alarm.periodInMinutes,
+    });
+  }
+
+  // --- The browser API -----------------------------------------------------
+
+  buildApi() {
+    const fake = this;
+    const generation = this.generation;
+    const gate = (path) => fake.gate(path, generation);
+    const copy = (value) => (value === undefined ? undefined : structuredClone(value));
+
+    const tabs = {
+      onCreated: new FakeEvent(),
+      onUpdated: new FakeEvent(),
+      onRemoved: new FakeEvent(),
+      onActivated: new FakeEvent(),
+      onMoved: new FakeEvent(),
+      onAttached: new FakeEvent(),
+      onDetached: new FakeEvent(),
+
+      async query(filter = {}) {
+        await gate("tabs.query");
+        return [...fake.tabsById.values()]
+          .filter((tab) => {
+            if (filter.windowId !== undefined && tab.windowId !== filter.windowId) return false;
+            if (filter.active !== undefined && tab.active !== filter.active) return false;
+            if (filter.pinned !== undefined && tab.pinned !== filter.pinned) return false;
+            if (filter.currentWindow && tab.windowId !== fake.focusedWindowId) return false;
+            return true;
+          })
+          .map((tab) => ({ ...tab }));
+      },
+
+      async get(tabId) {
+        await gate("tabs.get");
+        const tab = fake.tabsById.get(tabId);
+        if (!tab) throw new Error(`Invalid tab ID: ${tabId}`);
+        return { ...tab };
+      },
+
+      async create(props = {}) {
+        await gate("tabs.create");
+        const tab = fake.seedTab({
+          url: props.url || "about:blank",
+          active: props.active !== false,
+          windowId: props.windowId,
+        });
+        fake.dispatchLater(fake.api.tabs.onCreated, { ...tab });
+        return tab;
+      },
+
+      async update(tabId, props = {}) {
+        await gate("tabs.update");
+        const tab = fake.tabsById.get(tabId);
+        if (!tab) throw new Error(`Invalid tab ID: ${tabId}`);
+        if (props.active) fake.deactivateOthers(tab);
+        Object.assign(tab, props);
+        return { ...tab };
+      },
+
+      async remove(tabIds) {
+        await gate("tabs.remove");
+        const ids = Array.isArray(tabIds) ? tabIds : [tabIds];
+        for (const tabId of ids) {
+          const tab = fake.tabsById.get(tabId);
+          if (!tab) throw new Error(`Invalid tab ID: ${tabId}`);
+          fake.tabsById.delete(tabId);
+          fake.removedTabIds.push(tabId);
+          fake.dispatchLater(fake.api.tabs.onRemoved, tabId, {
+            windowId: tab.windowId,
+            isWindowClosing: false,
+          });
+        }
+      },
+    };
+
+    const windows = {
+      WINDOW_ID_NONE: -1,
+      onFocusChanged: new FakeEvent(),
+      onCreated: new FakeEvent(),
+      onRemoved: new FakeEvent(),
+      async update(windowId, props = {}) {
+        await gate("windows.update");
+        if (!fake.windowIds.includes(windowId)) throw new Error(`Invalid window ID: ${windowId}`);
+        if (props.focused) fake.focusedWindowId = windowId;
+        return { id: windowId, focused: fake.focusedWindowId === windowId };
+      },
+    };
+
+    const storage = {
+      onChanged: new FakeEvent(),
+      local: {
+        async get(keys) {
+          await gate("storage.get");
+          if (keys == null) return copy(fake.store);
+          const list = typeof keys === "string" ? [keys] : Array.isArray(keys) ? keys : Object.keys(keys);
+          const result = {};
+          for (const key of list) {
+            if (key in fake.store) result[key] = copy(fake.store[key]);
+            else if (keys && typeof keys === "object" && !Array.isArray(keys)) result[key] = keys[key];
+          }
+          return result;
+        },
+
+        async set(items) {
+          await gate("storage.set");
+          const changes = {};
+          for (const [key, value] of Object.entries(items)) {
+            changes[key] = { oldValue: copy(fake.store[key]), newValue: copy(value) };
+            fake.store[key] = copy(value);
+          }
+          fake.dispatchLater(fake.api.storage.onChanged, changes, "local");
+        },
+
+        async remove(keys) {
+          await gate("storage.remove");
+          const changes = {};
+          for (const key of typeof keys === "string" ? [keys] : keys) {
+            if (!(key in fake.store)) continue;
+            changes[key] = { oldValue: fake.store[key] };
+            delete fake.store[key];
+          }
+          fake.dispatchLater(fake.api.storage.onChanged, changes, "local");
+        },
+      },
+    };
+
+    const alarms = {
+      onAlarm: new FakeEvent(),
+
+      async create(name, info = {}) {
+        await gate("alarms.create");
+        const existing = fake.alarmsByName.get(name);
+        if (existing && existing.timerId !== null) fake.clock.clearTimeout(existing.timerId);
+        const delayMinutes = info.delayInMinutes ?? info.periodInMinutes ?? 0;
+        fake.alarmsByName.set(name, {
+          name,
+          scheduledTime: info.when ?? fake.clock.now + delayMinutes * 60000,
+          periodInMinutes: info.periodInMinutes || null,
+          timerId: null,
+        });
+        fake.rescheduleAlarms();
+      },
+
+      async clear(name) {
+        await gate("alarms.clear");
+        const alarm = fake.alarmsByName.get(name);
+        if (!alarm) return false;
+        if (alarm.timerId !== null) fake.clock.clearTimeout(alarm.timerId);
+        fake.alarmsByName.delete(name);
+        return true;
+      },
+
+      async get(name) {
+        const alarm = fake.alarmsByName.get(name);
+        return alarm ? { name, scheduledTime: alarm.scheduledTime, periodInMinutes: alarm.periodInMinutes } : undefined;
+      },
+    };
+
+    const action = {
+      onClicked: new FakeEvent(),
+      async setBadgeText({ text }) {
+        await gate("action.setBadgeText");
+        fake.badge.text = text;
+      },
+      async setBadgeBackgroundColor({ color }) {
+        await gate("action.setBadgeBackgroundColor");
+        fake.badge.color = color;
+      },
+      async setPopup({ popup }) {
+        await gate("action.setPopup");
+        fake.badge.popup = popup;
+      },
+      async openPopup() {
+        await gate("action.openPopup");
+        if (!fake.canOpenPopup) throw new Error("openPopup is not supported");
+        fake.popupOpens++;
+      },
+    };
+
+    const commands = {
+      onCommand: new FakeEvent(),
+    };
+
+    const contextMenus = {
+      onClicked: new FakeEvent(),
+      create(props) {
+        fake.menuItems.set(props.id, props);
+      },
+      async removeAll() {
+        await gate("contextMenus.removeAll");
+        fake.menuItems.clear();
+      },
+    };
+
+    const runtime = {
+      onMessage: new FakeEvent(),
+      onConnect: new FakeEvent(),
+      onStartup: new FakeEvent(),
+      getURL(path) {
+        return `safari-web-extension://tabcap/${path.replace(/^\//, "")}`;
+      },
+      // Messages from the background to the popup; nobody is listening
+      async sendMessage(message) {
+        await gate("runtime.sendMessage");
+        fake.sentMessages.push(message);
+        throw new Error("Could not establish connection. Receiving end does not exist.");
+      },
+    };
+
+    return { tabs, windows, storage, alarms, action, runtime, commands, contextMenus };
+  }
+}
+
+let workerCount = 0;
+
+// Start (or restart) the background script against a fake browser.
+// Each start imports a fresh module instance, like a new service worker.
+export async function startWorker(fake) {
+  globalThis.browser = fake.api;
+  const url = new URL(`../TabCap%20Extension/background.js?worker=${++workerCount}`, import.meta.url);
+  await import(url.href);
+  await flush();
+}
+
+export async function restartWorker(fake) {
+  fake.terminateWorker();
+  await startWorker(fake);
+}
@@ -0,0 +1,111 @@
+// Unit tests for the friction challenges (run with `npm test`)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  FRICTION_PHRASES,
+  createChallenge,
+  getChallengeType,
+  getHardestFrictionAction,
+  isWeakerFriction,
+} from "../TabCap%20Extension/friction.js";
+import { getDefaultSettings } from "../TabCap%20Extension/settings-schema.js";
+
+const NOW = Date.UTC(2025, 0, 6, 9, 0);
+
+function makeSettings(overrides = {}) {
+  return { ...getDefaultSettings(), ...overrides };
+}
+
+// Deterministic stand-in for Math.random, cycling through values
+function sequence(...values) {
+  let i = 0;
+  return () => values[i++ % values.length];
+}
+
+test("each configurable action uses its own challenge type", () => {
+  const settings = makeSettings({ frictionDisable: "wait", frictionUnlock: "arithmetic" });
+  assert.equal(getChallengeType("disable", settings), "wait");
+  assert.equal(getChallengeType("unlock", settings), "arithmetic");
+  assert.equal(getChallengeType("allowlist", settings), "phrase");
+  assert.equal(getChallengeType("disable", { frictionDisable: "bogus" }), "phrase");
+});
+
+test("actions without a setting ask for the hardest challenge", () => {
+  const settings = makeSettings({ frictionDisable: "arithmetic", frictionUnlock: "delayed" });
+  for (const action of ["preset", "importLoosen", "overrideBudget", "endFocus"]) {
+    assert.equal(getChallengeType(action, settings), "delayed", action);
+    assert.equal(createChallenge(action, settings).delayMinutes, settings.frictionDelayMinutes);
+  }
+  assert.equal(getChallengeType("endFocus", makeSettings()), "phrase");
+});
+
+test("phrase challenges ignore case and surrounding space", () => {
+  const challenge = createChallenge("disable", makeSettings(), { random: () => 0 });
+  assert.equal(challenge.prompt, FRICTION_PHRASES[0]);
+  assert.equal(challenge.input, "text");
+  assert.equal(challenge.isSolved(`  ${FRICTION_PHRASES[0].toUpperCase()} `), true);
+  assert.equal(challenge.isSolved(FRICTION_PHRASES[1]), false);
+});
+
+test("custom phrases join the pool", () => {
+  const settings = makeSettings({ customPhrases: ["My future self is watching me"] });
+  const challenge = createChallenge("disable", settings, { random: () => 0.999 });
+  assert.equal(challenge.prompt, "My future self is watching me");
+});
+
+test("long phrases chain three different phrases", () => {
+  const settings = makeSettings({ frictionDisable: "longPhrase" });
+  const challenge = createChallenge("disable", settings, { random: () => 0 });
+  assert.equal(challenge.prompt, FRICTION_PHRASES.slice(0, 3).join(". "));
+  assert.equal(challenge.isSolved(FRICTION_PHRASES[0]), false);
+  assert.equal(challenge.isSolved(challenge.prompt), true);
+});
+
+test("the wait challenge unlocks after the countdown", () => {
+  const settings = makeSettings({ frictionAllowlist: "wait", frictionWaitSeconds: 30 });
+  const challenge = createChallenge("allowlist", settings, { now: NOW });
+  assert.equal(challenge.input, null);
+  assert.equal(challenge.readyAt, NOW + 30000);
+  assert.equal(challenge.isSolved("", NOW + 29999), false);
+  assert.equal(challenge.isSolved("", NOW + 30000), true);
+});
+
+test("the arithmetic challenge checks the answer", () => {
+  const settings = makeSettings({ frictionUnlock: "arithmetic" });
+  const challenge = createChallenge("unlock", settings, { random: sequence(0, 0, 0) });
+  assert.equal(challenge.prompt, "12 × 3 + 10 = ?");
+  assert.equal(challenge.input, "number");
+  assert.equal(challenge.isSolved("46"), true);
+  assert.equal(challenge.isSolved("45"), false);
+  assert.equal(challenge.isSolved(""), false);
+});
+
+test("the delayed challenge confirms at once but carries the delay", () => {
+  const settings = makeSettings({ frictionDisableGlobal: "delayed", frictionDelayMinutes: 15 });
+  const challenge = createChallenge("disableGlobal", settings);
+  assert.equal(challenge.delayMinutes, 15);
+  assert.equal(challenge.isSolved(""), true);
+});
+
+test("easier types, shorter waits and removed phrases weaken friction", () => {
+  const current = makeSettings({
+    frictionUnlock: "wait",
+    customPhrases: ["My future self is watching me"],
+  });
+  const weaker = (changes) => isWeakerFriction(current, { ...current, ...changes });
+  assert.equal(weaker({ frictionUnlock: "phrase" }), true);
+  assert.equal(weaker({ frictionWaitSeconds: current.frictionWaitSeconds - 1 }), true);
+  assert.equal(weaker({ frictionDelayMinutes: current.frictionDelayMinutes - 1 }), true);
+  assert.equal(weaker({ customPhrases: [] }), true);
+  // Harder challenges and extra phrases are saved without one
+  assert.equal(weaker({ frictionUnlock: "delayed", frictionDisable: "arithmetic" }), false);
+  assert.equal(weaker({ customPhrases: [...current.customPhrases, "Another phrase here"] }), false);
+});
+
+test("shared friction settings ask for the hardest challenge", () => {
+  assert.equal(getHardestFrictionAction(makeSettings()), "disable");
+  const settings = makeSettings({ frictionAllowlist: "arithmetic", frictionUnlock: "wait" });
+  assert.equal(getHardestFrictionAction(settings), "unlock");
+});
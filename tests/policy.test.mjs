@@ -0,0 +1,424 @@
+// Unit tests for the pure policy core (run with `npm test`)
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  isUrlAllowed,
+  parseUrlPattern,
+  matchesUrlPattern,
+  findBlocklistRule,
+  tabWeight,
+  isPendingExpired,
+  decideNewTab,
+  decidePendingTab,
+  getAllowlistTransition,
+  getProtectReason,
+  selectInactiveTabs,
+  chooseEvictionVictims,
+  addCorralEntries,
+  expireCorral,
+  normalizeDuplicateUrl,
+  findDuplicateTabs,
+  matchWindowLimits,
+  isLooserSettings,
+} from "../TabCap%20Extension/policy.js";
+
+const MINUTE = 60 * 1000;
+const NOW = Date.UTC(2025, 0, 6, 9, 0);
+
+function makeSettings(overrides = {}) {
+  return {
+    maxTabs: 3,
+    allowlistEnabled: false,
+    allowlist: [],
+    blocklistEnabled: false,
+    blocklist: [],
+    evictionPolicy: "closeNew",
+    inactiveMinutes: 30,
+    minTabs: 0,
+    protectPinned: true,
+    protectAudible: true,
+    protectAllowlist: true,
+    domainLimits: [],
+    windowLimits: [],
+    schedules: [],
+    ...overrides,
+  };
+}
+
+function makeTab(id, props = {}) {
+  return {
+    id,
+    windowId: 1,
+    url: `https://site${id}.example/`,
+    title: `Tab ${id}`,
+    active: false,
+    pinned: false,
+    audible: false,
+    ...props,
+  };
+}
+
+test("allowlist patterns match domains, subdomains, paths and globs", () => {
+  const allowlist = ["example.com", "docs.google.com/document/", "*.dev.test/*", "/github\\.com\\/acme\\//"];
+  assert.equal(isUrlAllowed("https://www.example.com/a", allowlist), true);
+  assert.equal(isUrlAllowed("https://mail.example.com/", allowlist), true);
+  assert.equal(isUrlAllowed("https://notexample.com/", allowlist), false);
+  assert.equal(isUrlAllowed("https://docs.google.com/document/d/1", allowlist), true);
+  assert.equal(isUrlAllowed("https://docs.google.com/spreadsheets/d/1", allowlist), false);
+  assert.equal(isUrlAllowed("https://api.dev.test/v1", allowlist), true);
+  assert.equal(isUrlAllowed("https://www.dev.test/v1", allowlist), true);
+  assert.equal(isUrlAllowed("https://dev.test/v1", allowlist), false);
+  // A host wildcard stays in the host: no matches smuggled in the path or query
+  assert.equal(isUrlAllowed("https://evil.example/x.dev.test/", allowlist), false);
+  assert.equal(isUrlAllowed("https://evil.example/watch?v=.dev.test", allowlist), false);
+  assert.equal(isUrlAllowed("https://github.com/acme/repo", allowlist), true);
+  assert.equal(isUrlAllowed("https://github.com/other/repo", allowlist), false);
+  assert.throws(() => parseUrlPattern("/[/"), /Invalid regular expression/);
+});
+
+test("glob patterns match the host and the path separately", () => {
+  const docs = parseUrlPattern("*.google.com/document/*");
+  assert.equal(matchesUrlPattern("https://docs.google.com/document/d/1", docs), true);
+  assert.equal(matchesUrlPattern("https://a.b.google.com/document/", docs), true);
+  assert.equal(matchesUrlPattern("https://youtube.com/a.google.com/document/x", docs), false);
+  assert.equal(matchesUrlPattern("https://docs.google.com.evil.example/document/", docs), false);
+
+  const any = parseUrlPattern("*.google.com");
+  assert.equal(matchesUrlPattern("https://www.google.com/search?q=1", any), true);
+  assert.equal(matchesUrlPattern("https://youtube.com/watch?v=.google.com", any), false);
+  assert.equal(matchesUrlPattern("https://evil.com/x.google.com", any), false);
+
+  // A wildcard inside a label stays in that label
+  const part = parseUrlPattern("app-*.example.com:*");
+  assert.equal(matchesUrlPattern("http://app-1.example.com:8080/", part), true);
+  assert.equal(matchesUrlPattern("http://app-1.evil.example.com/", part), false);
+});
+
+test("tab weight: allowlisted tabs are free, blocklist weight wins", () => {
+  const settings = makeSettings({
+    allowlistEnabled: true,
+    allowlist: ["docs.example"],
+    blocklistEnabled: true,
+    blocklist: [{ pattern: "video.example", action: "weight", weight: 3 }],
+  });
+  const page = "safari-web-extension://tabcap/blocked.html";
+  assert.equal(tabWeight(makeTab(1), settings, page), 1);
+  assert.equal(tabWeight(makeTab(2, { url: "https://docs.example/x" }), settings, page), 0);
+  assert.equal(tabWeight(makeTab(3, { url: "https://video.example/" }), settings, page), 3);
+  assert.equal(tabWeight(makeTab(4, { url: `${page}?url=x` }), settings, page), 0);
+
+  settings.allowlist.push("video.example");
+  assert.equal(tabWeight(makeTab(5, { url: "https://video.example/" }), settings, page), 3);
+  assert.deepEqual(findBlocklistRule("about:blank", settings), null);
+});
+
+test("new tab decisions", () => {
+  const plain = makeSettings();
+  assert.equal(decideNewTab(makeTab(1), 3, plain), "keep");
+  assert.equal(decideNewTab(makeTab(1), 4, plain), "enforce");
+  // Links open blank: wait for the URL so the tab can be saved
+  assert.equal(decideNewTab(makeTab(1, { url: "" }), 4, plain), "pending");
+
+  const sameDomain = makeSettings({ evictionPolicy: "closeSameDomain" });
+  assert.equal(decideNewTab(makeTab(1, { url: "" }), 4, sameDomain), "pending");
+  assert.equal(decideNewTab(makeTab(1), 4, sameDomain), "enforce");
+
+  const allow = makeSettings({ allowlistEnabled: true, allowlist: ["docs.example"] });
+  assert.equal(decideNewTab(makeTab(1, { url: "about:blank" }), 4, allow), "pending");
+  assert.equal(decideNewTab(makeTab(1, { url: "https://docs.example/" }), 4, allow), "keep");
+  assert.equal(decideNewTab(makeTab(1), 4, allow), "enforce");
+
+  // A blocklist rule takes an allowlisted tab back out of the free pass
+  const both = makeSettings({
+    allowlistEnabled: true,
+    allowlist: ["docs.example"],
+    blocklistEnabled: true,
+    blocklist: [{ pattern: "docs.example", action: "weight", weight: 2 }],
+  });
+  assert.equal(decideNewTab(makeTab(1, { url: "https://docs.example/" }), 4, both), "enforce");
+});
+
+test("pending tab decisions and timeout", () => {
+  const allow = makeSettings({ allowlistEnabled: true, allowlist: ["docs.example"] });
+  assert.equal(decidePendingTab("https://docs.example/a", 9, allow), "allowlisted");
+  assert.equal(decidePendingTab("https://other.example/", 3, allow), "keep");
+  assert.equal(decidePendingTab("https://other.example/", 4, allow), "enforce");
+  assert.equal(decidePendingTab("about:blank", 4, allow), "enforce");
+
+  const pending = { windowId: 1, timestamp: NOW };
+  assert.equal(isPendingExpired(pending, NOW + 299, 300), false);
+  assert.equal(isPendingExpired(pending, NOW + 300, 300), true);
+});
+
+test("allowlist transitions", () => {
+  assert.equal(getAllowlistTransition(false, true), "enter");
+  assert.equal(getAllowlistTransition(true, false), "leave");
+  assert.equal(getAllowlistTransition(true, true), null);
+  assert.equal(getAllowlistTransition(false, false), null);
+});
+
+test("protect reasons follow the protection settings", () => {
+  const settings = makeSettings({ allowlistEnabled: true, allowlist: ["docs.example"] });
+  assert.equal(getProtectReason(makeTab(1, { active: true }), settings), "active");
+  assert.equal(getProtectReason(makeTab(1, { url: "about:blank" }), settings), "system");
+  assert.equal(getProtectReason(makeTab(1, { pinned: true }), settings), "pinned");
+  assert.equal(getProtectReason(makeTab(1, { audible: true }), settings), "audible");
+  assert.equal(getProtectReason(makeTab(1, { url: "https://docs.example/" }), settings), "allowlist");
+  assert.equal(getProtectReason(makeTab(1), settings), "");
+  assert.equal(getProtectReason(makeTab(1), settings, new Map([[1, "kept"]])), "kept");
+
+  const unprotected = makeSettings({ protectPinned: false, protectAudible: false });
+  assert.equal(getProtectReason(makeTab(1, { pinned: true, audible: true }), unprotected), "");
+});
+
+test("inactive selection closes the oldest first and respects minTabs", () => {
+  const tabs = [1, 2, 3, 4, 5, 6].map((id) => makeTab(id, { active: id === 6 }));
+  const lastAccessed = new Map([
+    [1, NOW - 90 * MINUTE],
+    [2, NOW - 45 * MINUTE],
+    [3, NOW - 120 * MINUTE],
+    [4, NOW - 10 * MINUTE],
+    [5, NOW - 31 * MINUTE],
+    [6, NOW - 500 * MINUTE],
+  ]);
+
+  const { close, touch } = selectInactiveTabs(tabs, lastAccessed, makeSettings({ minTabs: 3 }), NOW);
+  // 6 tabs, keep at least 3: the three oldest candidates go
+  assert.deepEqual(close.map((t) => t.id), [3, 1, 2]);
+  // The active tab restarts its timer; tab 5 waits for a slot
+  assert.deepEqual(touch.sort(), [5, 6]);
+});
+
+test("inactive selection refreshes protected, unknown and future-dated tabs", () => {
+  const tabs = [
+    makeTab(1, { pinned: true }),
+    makeTab(2, { url: "about:blank" }),
+    makeTab(3),
+    makeTab(4),
+    makeTab(5, { active: true }),
+  ];
+  const lastAccessed = new Map([
+    [1, NOW - 90 * MINUTE],
+    [2, NOW - 90 * MINUTE],
+    [4, NOW + 60 * MINUTE],
+    [5, NOW - 90 * MINUTE],
+  ]);
+
+  const { close, touch } = selectInactiveTabs(tabs, lastAccessed, makeSettings(), NOW, 5);
+  assert.deepEqual(close, []);
+  // Tab 5 is active but its activation is still being debounced
+  assert.deepEqual(touch.sort(), [1, 2, 3, 4]);
+});
+
+test("inactive selection treats windows at minTabs as full", () => {
+  const tabs = [
+    makeTab(1, { windowId: 1 }),
+    makeTab(2, { windowId: 1 }),
+    makeTab(3, { windowId: 2 }),
+    makeTab(4, { windowId: 2 }),
+    makeTab(5, { windowId: 2 }),
+  ];
+  const lastAccessed = new Map(tabs.map((t) => [t.id, NOW - 60 * MINUTE]));
+  const { close, touch } = selectInactiveTabs(tabs, lastAccessed, makeSettings({ minTabs: 2 }), NOW);
+  assert.deepEqual(close.map((t) => t.windowId), [2]);
+  assert.equal(touch.includes(1) && touch.includes(2), true);
+});
+
+test("inactiveMinutes below 1 is treated as 1", () => {
+  const tabs = [makeTab(1), makeTab(2)];
+  const lastAccessed = new Map([
+    [1, NOW - 30 * 1000],
+    [2, NOW - 2 * MINUTE],
+  ]);
+  const { close } = selectInactiveTabs(tabs, lastAccessed, makeSettings({ inactiveMinutes: 0 }), NOW);
+  assert.deepEqual(close.map((t) => t.id), [2]);
+});
+
+test("eviction picks victims per policy", () => {
+  const tabs = [
+    makeTab(5, { url: "https://news.example/a" }),
+    makeTab(2, { url: "https://mail.example/" }),
+    makeTab(7, { url: "https://news.example/b" }),
+    makeTab(3, { url: "https://docs.example/", active: true }),
+    makeTab(9, { url: "https://news.example/c" }),
+  ];
+  const newTab = tabs[4];
+  const lastAccessed = new Map([
+    [5, NOW - 5 * MINUTE],
+    [2, NOW - 50 * MINUTE],
+    [7, NOW - 20 * MINUTE],
+  ]);
+
+  const oldest = chooseEvictionVictims(newTab, tabs, makeSettings({ maxTabs: 3, evictionPolicy: "closeOldest" }));
+  assert.deepEqual(oldest.map((t) => t.id), [2, 5]);
+  // Opening times win over IDs; untracked tabs count as oldest
+  const openedAt = new Map([
+    [2, NOW - MINUTE],
+    [5, NOW - 10 * MINUTE],
+  ]);
+  const byOpened = chooseEvictionVictims(
+    newTab,
+    tabs,
+    makeSettings({ maxTabs: 3, evictionPolicy: "closeOldest" }),
+    { openedAt }
+  );
+  assert.deepEqual(byOpened.map((t) => t.id), [7, 5]);
+
+  const lru = chooseEvictionVictims(newTab, tabs, makeSettings({ maxTabs: 4, evictionPolicy: "closeLRU" }), {
+    lastAccessed,
+  });
+  assert.deepEqual(lru.map((t) => t.id), [2]);
+
+  const sameDomain = chooseEvictionVictims(
+    newTab,
+    tabs,
+    makeSettings({ maxTabs: 3, evictionPolicy: "closeSameDomain" }),
+    { lastAccessed }
+  );
+  assert.deepEqual(sameDomain.map((t) => t.id), [7, 5]);
+
+  // Exempt (pending / just restored) tabs can't be evicted
+  const exempt = chooseEvictionVictims(newTab, tabs, makeSettings({ maxTabs: 2, evictionPolicy: "closeSameDomain" }), {
+    exemptIds: new Set([5]),
+  });
+  assert.equal(exempt, null);
+
+  assert.deepEqual(chooseEvictionVictims(newTab, tabs, makeSettings({ maxTabs: 5, evictionPolicy: "closeLRU" })), []);
+});
+
+test("corral dedup options and trimming", () => {
+  const corral = [
+    { url: "https://a.example/1", title: "A", closedAt: NOW - MINUTE, reason: "limit" },
+    { url: "https://b.example/1", title: "B", closedAt: NOW - MINUTE, reason: "limit" },
+  ];
+
+  const exact = addCorralEntries(corral, [makeTab(1, { url: "https://a.example/1", title: "A again" })], "inactive", {
+    now: NOW,
+  });
+  assert.deepEqual(exact.map((t) => t.url), ["https://a.example/1", "https://b.example/1"]);
+  assert.equal(exact[0].title, "A again");
+  assert.equal(exact[0].reason, "inactive");
+  assert.equal(corral.length, 2, "input corral is not modified");
+
+  const byHost = addCorralEntries(corral, [makeTab(1, { url: "https://b.example/2", title: "B" })], "limit", {
+    wrangleOption: "hostnameAndTitleMatch",
+    now: NOW,
+  });
+  assert.deepEqual(byHost.map((t) => t.url), ["https://b.example/2", "https://a.example/1"]);
+
+  const dupes = addCorralEntries(corral, [makeTab(1, { url: "https://a.example/1" })], "limit", {
+    wrangleOption: "withDupes",
+    max: 2,
+    now: NOW,
+  });
+  assert.deepEqual(dupes.map((t) => t.url), ["https://a.example/1", "https://a.example/1"]);
+
+  const expired = expireCorral(
+    [{ closedAt: NOW - 30 * MINUTE }, { closedAt: NOW - 3 * 60 * MINUTE }],
+    2,
+    NOW
+  );
+  assert.equal(expired.length, 1);
+  assert.equal(expireCorral(corral, 0, NOW), corral);
+});
+
+test("duplicate URLs are compared per the normalization options", () => {
+  const url = "https://www.example.com/a?id=1&utm_source=x#top";
+  assert.equal(normalizeDuplicateUrl(url, {}), "https://example.com/a?id=1&utm_source=x#top");
+  assert.equal(
+    normalizeDuplicateUrl(url, { ignoreHash: true, ignoreTracking: true }),
+    "https://example.com/a?id=1"
+  );
+  assert.equal(normalizeDuplicateUrl(url, { ignoreQuery: true }), "https://example.com/a#top");
+
+  const tabs = [
+    makeTab(1, { url: "https://example.com/a?id=1" }),
+    makeTab(2, { url: "https://example.com/a?id=1#top" }),
+    makeTab(3, { url: "https://example.com/a?id=2" }),
+  ];
+  const settings = makeSettings({
+    duplicatePolicy: "focus",
+    duplicateIgnoreHash: true,
+    duplicateIgnoreTracking: true,
+    duplicateIgnoreQuery: false,
+  });
+  const lastAccessed = new Map([[1, NOW - MINUTE], [2, NOW]]);
+  const found = findDuplicateTabs(makeTab(9), url, tabs, settings, lastAccessed);
+  assert.deepEqual(found.map((t) => t.id), [2, 1]);
+
+  const allow = { ...settings, duplicatePolicy: "allow" };
+  assert.deepEqual(findDuplicateTabs(makeTab(9), url, tabs, allow), []);
+});
+
+test("window limits are matched to windows by their pinned sites", () => {
+  const rules = [
+    { id: "a", windowId: 1, pinnedHosts: ["docs.example", "mail.example"] },
+    { id: "b", windowId: 2, pinnedHosts: ["chat.example"] },
+    { id: "c", windowId: 3, pinnedHosts: [] },
+  ];
+  // After a relaunch: window 1 is someone else, the docs/mail window is 7
+  const windows = new Map([
+    [1, ["news.example"]],
+    [3, []],
+    [7, ["docs.example", "mail.example", "music.example"]],
+  ]);
+  const matches = matchWindowLimits(rules, windows);
+  assert.equal(matches.get("a"), 7);
+  assert.equal(matches.get("b"), null);
+  // Nothing pinned to compare: the window id is all there is to go on
+  assert.equal(matches.get("c"), 3);
+  // ...except on a cold start, when that id belongs to a new window
+  assert.equal(matchWindowLimits(rules, windows, { coldStart: true }).get("c"), null);
+});
+
+test("looser settings: anything that relaxes a limit or rule", () => {
+  const current = makeSettings({
+    enabled: true,
+    globalLimit: true,
+    blocklistEnabled: true,
+    blocklist: [{ pattern: "news.example", weight: 0 }],
+    domainLimits: [{ domain: "video.example", max: 1 }],
+    windowLimits: [{ id: "w1", max: 4 }],
+    inactiveEnabled: true,
+    overrideTokens: 0,
+  });
+  const looser = (changes) => isLooserSettings(current, { ...current, ...changes });
+  assert.equal(looser({}), false);
+  assert.equal(looser({ maxTabs: 2, domainLimits: [] }), true);
+  assert.equal(looser({ blocklist: [] }), true);
+  assert.equal(looser({ domainLimits: [{ domain: "video.example", max: 2 }] }), true);
+  assert.equal(looser({ windowLimits: [] }), true);
+  assert.equal(looser({ inactiveMinutes: 60 }), true);
+  assert.equal(looser({ overrideTokens: 1 }), true);
+  // Tightening is fine
+  assert.equal(looser({ maxTabs: 2, windowLimits: [{ id: "w1", max: 3 }] }), false);
+});
+
+test("looser settings: new window limits above the base limit", () => {
+  const current = makeSettings({ maxTabs: 5, windowLimits: [{ id: "w1", max: 4 }] });
+  const looser = (windowLimits) => isLooserSettings(current, { ...current, windowLimits });
+  assert.equal(looser([{ id: "w1", max: 4 }, { id: "w2", max: 8 }]), true);
+  assert.equal(looser([{ id: "w1", max: 4 }, { id: "w2", max: 5 }]), false);
+  assert.equal(looser([{ id: "w1", max: 4 }, { id: "w2", max: 2 }]), false);
+});
+
+test("looser settings: new or changed schedules", () => {
+  const evening = {
+    id: "s1",
+    name: "Evening",
+    days: [1, 2, 3],
+    start: "18:00",
+    end: "22:00",
+    overrides: { maxTabs: 3 },
+  };
+  const current = makeSettings({ maxTabs: 5, schedules: [evening] });
+  const looser = (schedules) => isLooserSettings(current, { ...current, schedules });
+  assert.equal(looser([evening]), false);
+  assert.equal(looser([{ ...evening, name: "Night" }]), false);
+  assert.equal(looser([]), false);
+  assert.equal(looser([evening, { ...evening, id: "s2" }]), true);
+  assert.equal(looser([{ ...evening, overrides: { maxTabs: 3, globalLimit: false } }]), true);
+  assert.equal(looser([{ ...evening, end: "23:00" }]), true);
+});
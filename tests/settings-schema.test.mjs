@@ -0,0 +1,69 @@
+// Unit tests for the shared settings schema and its migrations
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  SCHEMA_VERSION,
+  SETTINGS_SCHEMA,
+  DEFAULT_SETTINGS,
+  getDefaultSettings,
+  validateSetting,
+  clampSetting,
+  normalizeSettings,
+  migrateSettings,
+} from "../TabCap%20Extension/settings-schema.js";
+
+test("defaults come from the schema", () => {
+  assert.deepEqual(Object.keys(DEFAULT_SETTINGS), Object.keys(SETTINGS_SCHEMA));
+  assert.equal(DEFAULT_SETTINGS.maxTabs, 3);
+  assert.equal(DEFAULT_SETTINGS.debounceDelay, 1);
+
+  const a = getDefaultSettings();
+  a.allowlist.push("example.com");
+  assert.deepEqual(getDefaultSettings().allowlist, [], "defaults don't share arrays");
+});
+
+test("validation reports wrong types and out-of-range values", () => {
+  assert.equal(validateSetting("maxTabs", 10), null);
+  assert.match(validateSetting("maxTabs", 0), /between 1 and 500/);
+  assert.match(validateSetting("maxTabs", 2.5), /whole number/);
+  assert.match(validateSetting("enabled", "yes"), /true or false/);
+  assert.match(validateSetting("evictionPolicy", "closeAll"), /one of/);
+  assert.match(validateSetting("allowlist", "example.com"), /list/);
+  assert.match(validateSetting("nope", 1), /not a setting/);
+});
+
+test("clamping keeps numbers in range and defaults the rest", () => {
+  assert.equal(clampSetting("inactiveMinutes", 0), 1);
+  assert.equal(clampSetting("inactiveMinutes", 10000), 480);
+  assert.equal(clampSetting("minTabs", -3), 0);
+  assert.equal(clampSetting("maxTabs", "12"), 12);
+  assert.equal(clampSetting("maxTabs", null), 3);
+  assert.equal(clampSetting("limitAction", "explode"), "close");
+  assert.equal(clampSetting("protectPinned", false), false);
+});
+
+test("normalizing fills missing keys and drops unknown ones", () => {
+  const settings = normalizeSettings({ maxTabs: 900, bogus: true, schedules: "no" });
+  assert.equal(settings.maxTabs, 500);
+  assert.deepEqual(settings.schedules, []);
+  assert.equal("bogus" in settings, false);
+  assert.equal(settings.inactiveMinutes, 30);
+  assert.deepEqual(normalizeSettings(undefined), getDefaultSettings());
+});
+
+test("migrations run in order from the stored version", () => {
+  const legacy = { maxTabs: 0, inactiveMinutes: 9999, minTabs: -1, debounceOnActivated: false };
+  const { settings, version } = migrateSettings(legacy, 0);
+  assert.equal(version, SCHEMA_VERSION);
+  assert.equal(settings.debounceDelay, 0);
+  assert.equal("debounceOnActivated" in settings, false);
+  assert.equal(settings.maxTabs, 1);
+  assert.equal(settings.inactiveMinutes, 480);
+  assert.equal(settings.minTabs, 0);
+
+  // Already current: nothing runs
+  const current = { maxTabs: 7, debounceOnActivated: false };
+  assert.deepEqual(migrateSettings(current, SCHEMA_VERSION), { settings: current, version: SCHEMA_VERSION });
+});